@@ -6,10 +6,44 @@ const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const multer = require('multer');
+const net = require('net');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || 'replace-with-secure-secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// A rotated refresh token presented again within this window is treated as a
+// race between tabs rather than theft
+const REFRESH_REUSE_GRACE_SECONDS = 60;
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Job Tracker <no-reply@localhost>';
+const MAIL_OUTBOX_FILE = process.env.MAIL_OUTBOX_FILE || 'outbox.log';
+const REMINDER_CHANNEL = process.env.REMINDER_CHANNEL || 'log';
+const REMINDER_FILE = process.env.REMINDER_FILE || 'reminders.log';
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.REMINDER_INTERVAL_MINUTES) || 15;
+// Follow-ups overdue for longer are only shown on the dashboard, so the first sweep
+// after a deploy doesn't notify about a user's whole history
+const REMINDER_LOOKBACK_DAYS = 7;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || 'uploads';
+const S3_ENDPOINT = (process.env.S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/+$/, '');
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_BUCKET = process.env.S3_BUCKET || 'job-tracker';
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB) || 10) * 1024 * 1024;
+// Apply pending migrations at startup; set to false when they run as a separate step
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START !== 'false';
+const SCHEMA_RETRY_SECONDS = 5;
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'postgres';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+// Proxies in front of the API (the ingress controller), so req.ip is the client's address
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS) || 0;
 
 // Database connection
 const pool = new Pool({
@@ -21,32 +55,299 @@ const pool = new Pool({
 });
 
 // Middleware
+app.set('trust proxy', TRUST_PROXY_HOPS);
 app.use(helmet());
 app.use(compression());
-app.use(cors());
+// Let the frontend read rate limit headers when served from another origin
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }));
 app.use(express.json({ limit: '10mb' }));
 
+// Set once the database schema is at the version this build expects
+let schemaReady = false;
+
 // Health check endpoint - BEFORE rate limiting to avoid probe failures
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Rate limiting - applied AFTER health endpoint
+// Readiness check: fails until the database schema is at the expected version
+app.get('/ready', (req, res) => {
+  res.status(schemaReady ? 200 : 503).json({ status: schemaReady ? 'OK' : 'STARTING', schema_version: SCHEMA_VERSION });
+});
+
+// Refuse traffic until the schema is ready rather than failing on missing tables
+app.use((req, res, next) => {
+  if (schemaReady) {
+    return next();
+  }
+  res.set('Retry-After', String(SCHEMA_RETRY_SECONDS));
+  res.status(503).json({ error: 'Service is starting up, please retry shortly' });
+});
+
+// RATE LIMITING
+
+// A store outage shouldn't take the API down with it: the request is let through
+// as the first of its window and the error is logged
+async function countOrPass(count) {
+  try {
+    return await count();
+  } catch (err) {
+    console.error('Rate limit store error:', err.message);
+    return { totalHits: 1, resetTime: undefined };
+  }
+}
+
+// Minimal Redis client: one lazily opened connection speaking RESP, with replies
+// matched to commands in order. Enough for the rate limit counters.
+function createRedisClient(url, createConnection = net.createConnection) {
+  const { hostname, port, username, password, pathname } = new URL(url);
+  const setup = [];
+  if (password) {
+    setup.push(username
+      ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)]
+      : ['AUTH', decodeURIComponent(password)]);
+  }
+  if (pathname.length > 1) {
+    setup.push(['SELECT', pathname.slice(1)]);
+  }
+
+  let connection = null;
+
+  // Parse one reply at offset; returns [value, nextOffset], or null while incomplete
+  const parseReply = (buffer, offset) => {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    if (type === '+') return [line, next];
+    if (type === '-') return [new Error(`Redis: ${line}`), next];
+    if (type === ':') return [Number(line), next];
+    if (type === '$') {
+      const length = Number(line);
+      if (length === -1) return [null, next];
+      if (buffer.length < next + length + 2) return null;
+      return [buffer.toString('utf8', next, next + length), next + length + 2];
+    }
+    if (type === '*') {
+      const items = [];
+      let position = next;
+      for (let i = 0; i < Number(line); i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item[0]);
+        position = item[1];
+      }
+      return [items, position];
+    }
+    throw new Error(`Unexpected Redis reply type "${type}"`);
+  };
+
+  const connect = () => {
+    const current = {
+      socket: createConnection({ host: hostname, port: Number(port) || 6379 }),
+      buffer: Buffer.alloc(0),
+      pending: []
+    };
+
+    const fail = (err) => {
+      current.pending.forEach(({ reject }) => reject(err));
+      current.pending = [];
+      if (connection === current) {
+        connection = null;
+      }
+    };
+
+    current.socket.setTimeout(10000, () => current.socket.destroy(new Error('Redis connection timed out')));
+    current.socket.on('error', fail);
+    current.socket.on('close', () => fail(new Error('Redis connection closed')));
+    current.socket.on('data', (chunk) => {
+      current.buffer = Buffer.concat([current.buffer, chunk]);
+      try {
+        let reply;
+        while (current.pending.length && (reply = parseReply(current.buffer, 0))) {
+          current.buffer = current.buffer.subarray(reply[1]);
+          const { resolve, reject } = current.pending.shift();
+          reply[0] instanceof Error ? reject(reply[0]) : resolve(reply[0]);
+        }
+      } catch (err) {
+        current.socket.destroy(err);
+      }
+    });
+    return current;
+  };
+
+  const command = (args) => {
+    if (!connection) {
+      connection = connect();
+      setup.forEach(setupArgs => command(setupArgs).catch(err => console.error(err.message)));
+    }
+    const current = connection;
+    return new Promise((resolve, reject) => {
+      current.pending.push({ resolve, reject });
+      current.socket.write(`*${args.length}\r\n${args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`);
+    });
+  };
+
+  return { command };
+}
+
+let redisClient = null;
+
+// The client for REDIS_URL, shared by every limiter
+function sharedRedisClient() {
+  if (!redisClient) {
+    redisClient = createRedisClient(REDIS_URL);
+  }
+  return redisClient;
+}
+
+// Shared hit counters for express-rate-limit, so limits hold across replicas and
+// restarts. Each factory returns the store for one limiter, whose keys start with
+// the given prefix; memory keeps per-process counters for development. The
+// database pool or Redis client can be passed in place of the shared one.
+const rateLimitStores = {
+  postgres: (prefix, db = pool) => {
+    let windowMs;
+    return {
+      prefix,
+      localKeys: false,
+      init: (options) => {
+        windowMs = options.windowMs;
+        // Expired counters are only reset by their next hit, so sweep the rest now and then
+        setInterval(() => {
+          if (!schemaReady) return;
+          db.query('DELETE FROM rate_limits WHERE key LIKE $1 AND reset_at <= NOW()', [`${prefix}%`])
+            .catch(err => console.error('Error sweeping rate limits:', err.message));
+        }, windowMs).unref();
+      },
+      increment: (key) => countOrPass(async () => {
+        const result = await db.query(`
+          INSERT INTO rate_limits (key, hits, reset_at)
+          VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+          ON CONFLICT (key) DO UPDATE SET
+            hits = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.hits + 1 END,
+            reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+          RETURNING hits, reset_at
+        `, [prefix + key, windowMs]);
+        return { totalHits: result.rows[0].hits, resetTime: result.rows[0].reset_at };
+      }),
+      decrement: (key) => db.query(
+        'UPDATE rate_limits SET hits = hits - 1 WHERE key = $1 AND hits > 0 AND reset_at > NOW()',
+        [prefix + key]
+      ).catch(err => console.error('Rate limit store error:', err.message)),
+      resetKey: (key) => db.query('DELETE FROM rate_limits WHERE key = $1', [prefix + key])
+    };
+  },
+  redis: (prefix, client = sharedRedisClient()) => {
+    let windowMs;
+    return {
+      prefix,
+      localKeys: false,
+      init: (options) => {
+        windowMs = options.windowMs;
+      },
+      increment: (key) => countOrPass(async () => {
+        // Pipelined on one connection; NX only starts the window for a new key
+        const [, totalHits, ttl] = await Promise.all([
+          client.command(['SET', prefix + key, 0, 'PX', windowMs, 'NX']),
+          client.command(['INCR', prefix + key]),
+          client.command(['PTTL', prefix + key])
+        ]);
+        // The key expired between SET and INCR, leaving it without a TTL
+        if (ttl < 0) {
+          await client.command(['PEXPIRE', prefix + key, windowMs]);
+        }
+        return { totalHits, resetTime: new Date(Date.now() + (ttl < 0 ? windowMs : ttl)) };
+      }),
+      decrement: (key) => client.command(['DECR', prefix + key])
+        .catch(err => console.error('Rate limit store error:', err.message)),
+      resetKey: (key) => client.command(['DEL', prefix + key])
+    };
+  },
+  memory: () => new rateLimit.MemoryStore()
+};
+
+function rateLimitStore(name) {
+  const factory = rateLimitStores[RATE_LIMIT_STORE];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store "${RATE_LIMIT_STORE}"`);
+  }
+  return factory(`${name}:`);
+}
+
+// Rate limited responses use the API's error format. The RateLimit-* and
+// Retry-After headers tell clients when to retry; retry_after repeats it in seconds.
+const rateLimitHandler = (message) => (req, res, next, options) => {
+  const resetMs = req.rateLimit.resetTime ? req.rateLimit.resetTime - Date.now() : options.windowMs;
+  res.status(options.statusCode).json({ error: message, retry_after: Math.max(1, Math.ceil(resetMs / 1000)) });
+};
+
+// User id from a valid access token, without the session lookup authenticateToken does
+function requestUserId(req) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  try {
+    return token ? jwt.verify(token, JWT_SECRET).userId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Rate limiting - applied AFTER health endpoint. Requests carrying a valid access
+// token are counted per user, anything else per client IP.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: rateLimitStore('api'),
+  keyGenerator: (req) => {
+    const userId = requestUserId(req);
+    return userId ? `user:${userId}` : `ip:${req.ip}`;
+  },
+  handler: rateLimitHandler('Too many requests'),
   skip: (req) => req.path === '/health' // Additional safety: skip health checks
 });
 app.use(limiter);
 
-// Auth rate limiting (stricter for login/register)
+// Auth rate limiting (stricter for register, email verification and password reset)
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 5, // 5 attempts per 15 minutes
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: rateLimitStore('auth'),
+  handler: rateLimitHandler('Too many attempts'),
+  skipSuccessfulRequests: true
+});
+
+// Failed logins are counted per account and client IP, so guessing one account's
+// password is slowed down without locking its owner out from elsewhere
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: rateLimitStore('login'),
+  keyGenerator: (req) => `${hashToken(String(req.body.email || '').trim().toLowerCase())}:${req.ip}`,
+  handler: rateLimitHandler('Too many failed login attempts'),
   skipSuccessfulRequests: true
 });
 
-// JWT Middleware
+// Endpoints that send mail always succeed, so every request counts
+const mailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: rateLimitStore('mail'),
+  handler: rateLimitHandler('Too many emails requested')
+});
+
+// JWT Middleware. Access tokens carry the id of the session they were issued
+// for, so revoking a session cuts off its access tokens immediately.
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -55,451 +356,6041 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Access token expired' });
+      }
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+    if (!user.sid) {
+      return res.status(401).json({ error: 'Session required, please log in again' });
+    }
+
+    try {
+      const session = await pool.query(
+        'SELECT id, ip_address FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()',
+        [user.sid, user.userId]
+      );
+      if (session.rows.length === 0) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+
+      // The conditional update makes only one of several concurrent requests log the move
+      if (session.rows[0].ip_address !== req.ip) {
+        const moved = await pool.query(
+          'UPDATE user_sessions SET ip_address = $1 WHERE id = $2 AND ip_address IS DISTINCT FROM $1',
+          [req.ip, user.sid]
+        );
+        if (moved.rowCount > 0) {
+          await recordAudit(pool, req, {
+            userId: user.userId,
+            action: 'token.new_ip',
+            entityType: 'session',
+            entityId: user.sid,
+            details: { token: 'access', previous_ip: session.rows[0].ip_address }
+          });
+        }
+      }
+    } catch (dbErr) {
+      console.error('Error checking session:', dbErr);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
     req.user = user;
     next();
   });
 };
 
-// Initialize database tables
-async function initDatabase() {
+// SHA-256 of a refresh token; only the hash is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Open a new server-side session for a user and return its first token pair
+async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+
+  // Drop this user's expired sessions and long-revoked ones while we're here
+  await pool.query(
+    `DELETE FROM user_sessions
+     WHERE user_id = $1 AND (expires_at < NOW() OR revoked_at < NOW() - INTERVAL '30 days')`,
+    [user.id]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), (req.get('user-agent') || '').slice(0, 500), req.ip, REFRESH_TOKEN_DAYS]
+  );
+
+  return {
+    token: signAccessToken(user, result.rows[0].id),
+    refreshToken
+  };
+}
+
+// Run a callback inside a transaction on a dedicated client
+async function withTransaction(callback) {
+  const client = await pool.connect();
   try {
-    // Users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
-    // Job applications table (updated with user_id)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS job_applications (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        company_name VARCHAR(255) NOT NULL,
-        job_title VARCHAR(255) NOT NULL,
-        job_url TEXT,
-        location VARCHAR(255),
-        salary_range VARCHAR(100),
-        application_date DATE DEFAULT CURRENT_DATE,
-        status VARCHAR(50) DEFAULT 'applied',
-        description TEXT,
-        requirements TEXT,
-        notes TEXT,
-        contact_person VARCHAR(255),
-        contact_email VARCHAR(255),
-        follow_up_date DATE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// Record a status transition for a job application
+async function recordStatusChange(client, jobId, userId, oldStatus, newStatus, note) {
+  await client.query(
+    `INSERT INTO job_status_history (job_id, user_id, old_status, new_status, note)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [jobId, userId, oldStatus, newStatus, note || null]
+  );
+}
 
-    // Add user_id to existing job_applications if it doesn't exist
-    await pool.query(`
-      DO $$ 
-      BEGIN 
-        IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
-                      WHERE table_name='job_applications' AND column_name='user_id') THEN
-          ALTER TABLE job_applications ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
-        END IF;
-      END $$;
-    `);
-    
-    // Indexes
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_job_applications_user_id ON job_applications(user_id);
-    `);
-    
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_job_applications_status ON job_applications(status);
-    `);
-    
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_job_applications_company ON job_applications(company_name);
-    `);
+// Check that a job application exists and belongs to the user
+async function userOwnsJob(jobId, userId) {
+  const result = await pool.query(
+    'SELECT id FROM job_applications WHERE id = $1 AND user_id = $2',
+    [jobId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Format a DATE column as YYYY-MM-DD without shifting it through UTC
+function formatDateOnly(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// AUDIT LOG
+
+const AUDIT_ACTIONS = [
+  'auth.register', 'auth.login', 'auth.login_failed', 'token.new_ip',
+  'job.create', 'job.update', 'job.delete'
+];
+
+// Job application columns whose changes are recorded
+const AUDITED_JOB_FIELDS = [
+  'company_name', 'job_title', 'job_url', 'location', 'source', 'salary_range', 'salary_min',
+  'salary_max', 'salary_currency', 'salary_period', 'application_date', 'follow_up_date', 'status',
+  'description', 'requirements', 'notes', 'contact_person', 'contact_email'
+];
+
+// Longer text values are cut in the log, so a pasted job description is not copied on every edit
+const AUDIT_VALUE_MAX_LENGTH = 500;
+
+// Append an event to the audit log. db is the pool or a transaction's client, so
+// data changes are only logged when they commit.
+async function recordAudit(db, req, { userId, action, entityType = null, entityId = null, details = null }) {
+  await db.query(
+    `INSERT INTO audit_events (user_id, action, entity_type, entity_id, ip_address, user_agent, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [userId || null, action, entityType, entityId, req.ip,
+     (req.get('user-agent') || '').slice(0, 500), details ? JSON.stringify(details) : null]
+  );
+}
+
+function auditValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return formatDateOnly(value);
+  if (typeof value === 'string' && value.length > AUDIT_VALUE_MAX_LENGTH) {
+    return `${value.slice(0, AUDIT_VALUE_MAX_LENGTH)}…`;
+  }
+  return value;
+}
+
+// Field-level diff of two job application rows as { field: { from, to } }. Pass
+// null as before for a created application and as after for a deleted one.
+function diffJobFields(before, after) {
+  const changes = {};
+  for (const field of AUDITED_JOB_FIELDS) {
+    const from = before ? auditValue(before[field]) : null;
+    const to = after ? auditValue(after[field]) : null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+// Log a job application change. Updates that change no audited field are skipped.
+async function recordJobAudit(db, req, action, before, after, extra = {}) {
+  const job = after || before;
+  const changes = diffJobFields(before, after);
+  if (action === 'job.update' && Object.keys(changes).length === 0) {
+    return;
+  }
+  await recordAudit(db, req, {
+    userId: job.user_id,
+    action,
+    entityType: 'job',
+    entityId: job.id,
+    details: { company_name: job.company_name, job_title: job.job_title, ...extra, changes }
+  });
+}
+
+// REQUEST VALIDATION
+
+// Largest value of an INTEGER column
+const MAX_INTEGER = 2147483647;
+
+// Check one value against a field rule, returning an error message or null. Rules are
+// { type, label, required, ... } with type-specific options:
+//   string   maxLength, minLength, pattern (+ patternMessage)
+//   integer  min, max (numbers or numeric strings, as in params and query strings)
+//   number   min, max
+//   enum     values
+//   boolean, date (YYYY-MM-DD), datetime, email, url (http/https), color (#rrggbb)
+//   id       a positive integer ID
+//   ids      a list of IDs, as an array or comma-separated string
+//   list     a list of strings, as an array or comma-separated string; maxLength per item
+//   any      only checked for presence
+// Only id, ids, integer, number and boolean accept non-string values and list accepts
+// an array of strings; every other type must be given a string. `message` replaces the type's default message.
+function checkField(rule, value) {
+  const { label } = rule;
+  const isString = typeof value === 'string';
+  const scalar = isString || typeof value === 'number';
+  const text = scalar ? String(value).trim() : '';
+  const invalid = (fallback) => rule.message || fallback;
+
+  switch (rule.type) {
+    case 'id':
+      return /^\d+$/.test(text) && Number(text) >= 1 && Number(text) <= MAX_INTEGER ? null : invalid(`Invalid ${label}`);
+    case 'ids': {
+      const items = [].concat(value);
+      const ids = items.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+      return items.every(item => typeof item === 'string' || typeof item === 'number') &&
+        ids.every(id => /^\d+$/.test(id) && Number(id) >= 1 && Number(id) <= MAX_INTEGER)
+        ? null
+        : invalid(`${label} must be a list of IDs`);
+    }
+    case 'list': {
+      const items = [].concat(value);
+      return items.every(item => typeof item === 'string') &&
+        items.flatMap(item => item.split(',')).every(item => !rule.maxLength || item.trim().length <= rule.maxLength)
+        ? null
+        : invalid(`${label} must be a comma-separated list`);
+    }
+    case 'integer':
+    case 'number': {
+      const number = Number(text);
+      const isNumber = scalar && text !== '' && (rule.type === 'integer' ? /^-?\d+$/.test(text) : Number.isFinite(number));
+      const kind = rule.type === 'integer' ? 'a whole number' : 'a number';
+      const min = rule.min ?? (rule.type === 'integer' ? -MAX_INTEGER : -Infinity);
+      const max = rule.max ?? (rule.type === 'integer' ? MAX_INTEGER : Infinity);
+      if (isNumber && number >= min && number <= max) return null;
+      if (rule.min !== undefined && rule.max !== undefined) return invalid(`${label} must be ${kind} between ${rule.min} and ${rule.max}`);
+      if (rule.min === 0) return invalid(`${label} must be ${kind.replace(/^an? /, 'a non-negative ')}`);
+      if (rule.min !== undefined) return invalid(`${label} must be ${kind} of at least ${rule.min}`);
+      return invalid(`${label} must be ${kind}`);
+    }
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : invalid(`${label} must be true or false`);
+    case 'enum':
+      return isString && rule.values.includes(value) ? null : invalid(`${label} must be one of: ${rule.values.join(', ')}`);
+    case 'date':
+      return isString && /^\d{4}-\d{2}-\d{2}$/.test(text) && parseImportDate(text) ? null : invalid(`${label} must be a valid date (YYYY-MM-DD)`);
+    case 'datetime':
+      return isString && !isNaN(new Date(text).getTime()) ? null : invalid(`${label} must be a valid date and time`);
+    case 'any':
+      return null;
+    case 'color':
+      return isString && TAG_COLOR_PATTERN.test(text) ? null : invalid(`${label} must be a hex color such as #3b82f6`);
+    default:
+      break;
+  }
+
+  // Text types: string, email and url
+  if (!isString) return invalid(`${label} must be text`);
+  if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) return invalid(`${label} must be a valid email address`);
+  if (rule.type === 'url' && !/^https?:\/\/\S+$/i.test(text)) return invalid(`${label} must be an http(s) URL`);
+  if (rule.minLength && value.length < rule.minLength) return invalid(`${label} must be at least ${rule.minLength} characters long`);
+  if (rule.maxLength && value.length > rule.maxLength) return invalid(`${label} must be at most ${rule.maxLength} characters`);
+  if (rule.pattern && !rule.pattern.test(text)) return invalid(rule.patternMessage || `${label} is not valid`);
+  return null;
+}
+
+// Validate an object against a schema (field -> rule), returning { field: message }.
+// Fields outside the schema are ignored; empty strings and null count as missing.
+function validateFields(schema, source) {
+  const values = source && typeof source === 'object' && !Array.isArray(source) ? source : {};
+  const fields = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = values[field];
+    const missing = value === undefined || value === null ||
+      (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+
+    const message = missing
+      ? (rule.required ? `${rule.label} is required` : null)
+      : checkField(rule, value);
+    if (message) {
+      fields[field] = message;
+    }
+  }
+
+  return fields;
+}
+
+// Respond with a message per offending field (400 unless a conflict or the like).
+// `error` repeats the first message for clients that only show one.
+function sendFieldErrors(res, fields, status = 400) {
+  return res.status(status).json({ error: Object.values(fields)[0], fields });
+}
+
+// Middleware validating req.params, req.query and req.body against the given schemas
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const fields = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (schemas[part]) {
+        Object.assign(fields, validateFields(schemas[part], req[part]));
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return sendFieldErrors(res, fields);
+    }
+    next();
+  };
+}
+
+// Route parameter schema for numeric IDs, e.g. idParams({ id: 'job ID' })
+function idParams(labels) {
+  return Object.fromEntries(Object.entries(labels).map(([param, label]) => [param, { type: 'id', label, required: true }]));
+}
+
+// Weighted full-text document for a job application. The GIN index is built on
+// this exact expression, so queries must use it verbatim to hit the index.
+const JOB_SEARCH_VECTOR = `(
+  setweight(to_tsvector('english', coalesce(job_title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(company_name, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(requirements, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(notes, '')), 'C') ||
+  setweight(to_tsvector('english', coalesce(location, '')), 'C')
+)`;
+
+// Markers wrapped around matched terms in search highlights
+const HIGHLIGHT_OPTIONS = 'StartSel=⟦, StopSel=⟧';
+
+// DATABASE MIGRATIONS
+
+// Arbitrary application-wide key for pg_advisory_lock. Every replica takes the
+// same lock before migrating, so concurrent pod starts apply each migration once.
+const MIGRATION_LOCK_KEY = 724113;
+
+// Ordered schema changes. Each one runs in its own transaction together with its
+// schema_migrations row, so a failed migration leaves no trace. Versions are never
+// renumbered; new changes are appended. The steps up to version 17 are written to
+// also run against databases created before migrations were tracked.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_users_and_job_applications',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id SERIAL PRIMARY KEY,
+          username VARCHAR(50) UNIQUE NOT NULL,
+          email VARCHAR(255) UNIQUE NOT NULL,
+          password_hash VARCHAR(255) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_applications (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          company_name VARCHAR(255) NOT NULL,
+          job_title VARCHAR(255) NOT NULL,
+          job_url TEXT,
+          location VARCHAR(255),
+          salary_range VARCHAR(100),
+          application_date DATE DEFAULT CURRENT_DATE,
+          status VARCHAR(50) DEFAULT 'applied',
+          description TEXT,
+          requirements TEXT,
+          notes TEXT,
+          contact_person VARCHAR(255),
+          contact_email VARCHAR(255),
+          follow_up_date DATE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Tables from before accounts existed have no owner column
+      await client.query(`
+        ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_job_applications_user_id ON job_applications(user_id);
+        CREATE INDEX IF NOT EXISTS idx_job_applications_status ON job_applications(status);
+        CREATE INDEX IF NOT EXISTS idx_job_applications_company ON job_applications(company_name);
+        CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+        CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS job_applications, users');
+    }
+  },
+  {
+    version: 2,
+    name: 'create_job_status_history',
+    up: async (client) => {
+      // One row per status transition
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_status_history (
+          id SERIAL PRIMARY KEY,
+          job_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          old_status VARCHAR(50),
+          new_status VARCHAR(50) NOT NULL,
+          note TEXT,
+          changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_job_status_history_job_id ON job_status_history(job_id, changed_at)
+      `);
+
+      // Seed history for applications created before history was tracked
+      await client.query(`
+        INSERT INTO job_status_history (job_id, user_id, old_status, new_status, changed_at)
+        SELECT j.id, j.user_id, NULL, COALESCE(j.status, 'applied'), j.created_at
+        FROM job_applications j
+        WHERE NOT EXISTS (SELECT 1 FROM job_status_history h WHERE h.job_id = j.id)
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS job_status_history');
+    }
+  },
+  {
+    version: 3,
+    name: 'create_interviews',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS interviews (
+          id SERIAL PRIMARY KEY,
+          job_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          round_type VARCHAR(50) NOT NULL DEFAULT 'phone_screen',
+          scheduled_at TIMESTAMP,
+          duration_minutes INTEGER,
+          interviewers TEXT,
+          location TEXT,
+          prep_notes TEXT,
+          feedback TEXT,
+          rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_interviews_job_id ON interviews(job_id, scheduled_at)
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS interviews');
+    }
+  },
+  {
+    version: 4,
+    name: 'create_reminder_notifications',
+    up: async (client) => {
+      // Reminders already emitted by the scheduler (one row per reminder and due time)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS reminder_notifications (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          kind VARCHAR(20) NOT NULL,
+          ref_id INTEGER NOT NULL,
+          due_at TIMESTAMP NOT NULL,
+          channel VARCHAR(50) NOT NULL,
+          sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (kind, ref_id, due_at)
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_job_applications_follow_up ON job_applications(user_id, follow_up_date)
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP INDEX IF EXISTS idx_job_applications_follow_up');
+      await client.query('DROP TABLE IF EXISTS reminder_notifications');
+    }
+  },
+  {
+    version: 5,
+    name: 'add_users_calendar_token',
+    up: async (client) => {
+      // Secret token for the per-user calendar feed
+      await client.query(`
+        ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE
+      `);
+    },
+    down: async (client) => {
+      await client.query('ALTER TABLE users DROP COLUMN IF EXISTS calendar_token');
+    }
+  },
+  {
+    version: 6,
+    name: 'create_job_search_index',
+    up: async (client) => {
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_job_applications_search ON job_applications USING GIN (${JOB_SEARCH_VECTOR})
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP INDEX IF EXISTS idx_job_applications_search');
+    }
+  },
+  {
+    version: 7,
+    name: 'add_job_board_position',
+    up: async (client) => {
+      // Manual ordering of cards within a board column (NULL = not yet positioned)
+      await client.query(`
+        ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS board_position INTEGER
+      `);
+    },
+    down: async (client) => {
+      await client.query('ALTER TABLE job_applications DROP COLUMN IF EXISTS board_position');
+    }
+  },
+  {
+    version: 8,
+    name: 'create_user_sessions',
+    up: async (client) => {
+      // Login sessions; each holds the hash of its current refresh token
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+          previous_token_hash VARCHAR(64),
+          rotated_at TIMESTAMP,
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          revoked_at TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS user_sessions');
+    }
+  },
+  {
+    version: 9,
+    name: 'add_email_verification_and_auth_tokens',
+    up: async (client) => {
+      // Accounts created before verification existed count as verified
+      await client.query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                        WHERE table_name='users' AND column_name='email_verified_at') THEN
+            ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+            UPDATE users SET email_verified_at = created_at;
+          END IF;
+        END $$;
+      `);
+
+      // Single-use tokens mailed to users (password reset, email verification)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS auth_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          purpose VARCHAR(30) NOT NULL,
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id, purpose)
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS auth_tokens');
+      await client.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+    }
+  },
+  {
+    version: 10,
+    name: 'add_structured_salaries',
+    up: async (client) => {
+      // Filled once from the free-text salary_range when the columns are added
+      const salaryColumns = await client.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'job_applications' AND column_name = 'salary_min'
+      `);
+      if (salaryColumns.rows.length === 0) {
+        await client.query(`
+          ALTER TABLE job_applications
+            ADD COLUMN salary_min INTEGER,
+            ADD COLUMN salary_max INTEGER,
+            ADD COLUMN salary_currency VARCHAR(3),
+            ADD COLUMN salary_period VARCHAR(10)
+        `);
+        await migrateSalaryRanges(client);
+      }
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_job_applications_salary ON job_applications(user_id, (${SALARY_ANNUAL_HIGH_SQL}))
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP INDEX IF EXISTS idx_job_applications_salary');
+      await client.query(`
+        ALTER TABLE job_applications
+          DROP COLUMN IF EXISTS salary_min,
+          DROP COLUMN IF EXISTS salary_max,
+          DROP COLUMN IF EXISTS salary_currency,
+          DROP COLUMN IF EXISTS salary_period
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'create_offers',
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS offers (
+          id SERIAL PRIMARY KEY,
+          job_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          currency VARCHAR(3),
+          base_salary INTEGER,
+          bonus_amount INTEGER,
+          bonus_percent NUMERIC(5,2),
+          sign_on_bonus INTEGER,
+          equity_value INTEGER,
+          equity_vesting_years NUMERIC(4,2) DEFAULT 4,
+          equity_cliff_months INTEGER DEFAULT 12,
+          equity_details TEXT,
+          benefits TEXT,
+          pto_days INTEGER,
+          start_date DATE,
+          decision_deadline DATE,
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Negotiation history of an offer (asks, counters and notes)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS offer_negotiations (
+          id SERIAL PRIMARY KEY,
+          offer_id INTEGER NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          kind VARCHAR(20) NOT NULL DEFAULT 'note',
+          amount INTEGER,
+          note TEXT,
+          occurred_on DATE DEFAULT CURRENT_DATE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_offers_job_id ON offers(job_id);
+        CREATE INDEX IF NOT EXISTS idx_offers_user_id ON offers(user_id);
+        CREATE INDEX IF NOT EXISTS idx_offer_negotiations_offer_id ON offer_negotiations(offer_id, occurred_on);
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS offer_negotiations, offers');
+    }
+  },
+  {
+    version: 12,
+    name: 'create_companies',
+    up: async (client) => {
+      // One company per user and normalized name
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS companies (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name VARCHAR(255) NOT NULL,
+          normalized_name VARCHAR(255) NOT NULL,
+          website TEXT,
+          industry VARCHAR(100),
+          size VARCHAR(20),
+          headquarters VARCHAR(255),
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, normalized_name)
+        )
+      `);
+
+      // Existing company names are grouped when the link is first added
+      const companyColumn = await client.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'job_applications' AND column_name = 'company_id'
+      `);
+      if (companyColumn.rows.length === 0) {
+        await client.query(`
+          ALTER TABLE job_applications ADD COLUMN company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL
+        `);
+        await migrateCompanies(client);
+      }
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_job_applications_company_id ON job_applications(company_id)
+      `);
+    },
+    down: async (client) => {
+      await client.query('ALTER TABLE job_applications DROP COLUMN IF EXISTS company_id');
+      await client.query('DROP TABLE IF EXISTS companies');
+    }
+  },
+  {
+    version: 13,
+    name: 'create_contacts',
+    up: async (client) => {
+      // The per-application contact columns are turned into contacts when first added
+      const contactsTable = await client.query("SELECT to_regclass('contacts') AS name");
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS contacts (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
+          name VARCHAR(255) NOT NULL,
+          title VARCHAR(255),
+          email VARCHAR(255),
+          phone VARCHAR(50),
+          linkedin_url TEXT,
+          how_we_met TEXT,
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_contacts (
+          job_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+          contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          role VARCHAR(30) NOT NULL DEFAULT 'other',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (job_id, contact_id)
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS contact_interactions (
+          id SERIAL PRIMARY KEY,
+          contact_id INTEGER NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          job_id INTEGER REFERENCES job_applications(id) ON DELETE SET NULL,
+          kind VARCHAR(20) NOT NULL DEFAULT 'email',
+          occurred_on DATE DEFAULT CURRENT_DATE,
+          summary TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_contacts_user_id ON contacts(user_id, lower(name));
+        CREATE INDEX IF NOT EXISTS idx_job_contacts_contact_id ON job_contacts(contact_id);
+        CREATE INDEX IF NOT EXISTS idx_contact_interactions_contact_id ON contact_interactions(contact_id, occurred_on);
+      `);
+
+      if (contactsTable.rows[0].name === null) {
+        await migrateContacts(client);
+      }
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS contact_interactions, job_contacts, contacts');
+    }
+  },
+  {
+    version: 14,
+    name: 'create_documents',
+    up: async (client) => {
+      // Uploaded files (resumes, cover letters...); the bytes live in the storage driver
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS documents (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name VARCHAR(255) NOT NULL,
+          kind VARCHAR(20) NOT NULL DEFAULT 'other',
+          filename VARCHAR(255) NOT NULL,
+          mime_type VARCHAR(100) NOT NULL,
+          size_bytes INTEGER NOT NULL,
+          checksum VARCHAR(64) NOT NULL,
+          storage_driver VARCHAR(10) NOT NULL,
+          storage_key VARCHAR(255) UNIQUE NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Library documents sent with each application
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_documents (
+          job_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+          document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (job_id, document_id)
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_job_documents_document_id ON job_documents(document_id);
+      `);
+    },
+    // Stored files are left in place; only their records are dropped
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS job_documents, documents');
+    }
+  },
+  {
+    version: 15,
+    name: 'create_tags',
+    up: async (client) => {
+      // User-defined labels ("remote", "referral"...) for organizing applications
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS tags (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name VARCHAR(50) NOT NULL,
+          color VARCHAR(7) NOT NULL DEFAULT '#64748b',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS job_tags (
+          job_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+          tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (job_id, tag_id)
+        )
+      `);
+
+      // Tag names are unique per user regardless of case
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_user_name ON tags(user_id, lower(name));
+        CREATE INDEX IF NOT EXISTS idx_job_tags_tag_id ON job_tags(tag_id);
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS job_tags, tags');
+    }
+  },
+  {
+    version: 16,
+    name: 'create_pipeline_stages',
+    up: async (client) => {
+      // job_applications.status holds a stage key; existing users get the default
+      // stages plus any other statuses they used
+      const pipelineTable = await client.query("SELECT to_regclass('pipeline_stages') AS name");
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS pipeline_stages (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          key VARCHAR(50) NOT NULL,
+          name VARCHAR(50) NOT NULL,
+          color VARCHAR(7) NOT NULL DEFAULT '#64748b',
+          position INTEGER NOT NULL DEFAULT 0,
+          is_terminal BOOLEAN NOT NULL DEFAULT FALSE,
+          outcome VARCHAR(10),
+          archived_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, key)
+        )
+      `);
+
+      if (pipelineTable.rows[0].name === null) {
+        await migratePipelineStages(client);
+      }
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS pipeline_stages');
+    }
+  },
+  {
+    version: 17,
+    name: 'add_job_source',
+    up: async (client) => {
+      // Where the posting was found (LinkedIn, referral...), for funnel breakdowns
+      await client.query(`
+        ALTER TABLE job_applications ADD COLUMN IF NOT EXISTS source VARCHAR(100)
+      `);
+    },
+    down: async (client) => {
+      await client.query('ALTER TABLE job_applications DROP COLUMN IF EXISTS source');
+    }
+  },
+  {
+    version: 18,
+    name: 'create_rate_limits',
+    up: async (client) => {
+      // Hit counters shared by every replica's rate limiters. Unlogged, as losing
+      // them in a database crash only resets the limits.
+      await client.query(`
+        CREATE UNLOGGED TABLE IF NOT EXISTS rate_limits (
+          key VARCHAR(255) PRIMARY KEY,
+          hits INTEGER NOT NULL,
+          reset_at TIMESTAMPTZ NOT NULL
+        )
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS rate_limits');
+    }
+  },
+  {
+    version: 19,
+    name: 'create_audit_events',
+    up: async (client) => {
+      // Sign-ins and application changes. Failed logins for unknown emails have
+      // no user and are kept for operators only.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+          action VARCHAR(50) NOT NULL,
+          entity_type VARCHAR(30),
+          entity_id INTEGER,
+          ip_address VARCHAR(64),
+          user_agent TEXT,
+          details JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_audit_events_user_created ON audit_events(user_id, created_at DESC)
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(user_id, entity_type, entity_id)
+      `);
+    },
+    down: async (client) => {
+      await client.query('DROP TABLE IF EXISTS audit_events');
+    }
+  }
+];
+
+// Schema version this build expects: the newest migration it ships
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Run fn with a dedicated connection holding the migration lock. Other replicas
+// block on pg_advisory_lock until the holder has finished.
+async function withMigrationLock(fn, db = pool) {
+  const client = await db.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Applied migrations in version order
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Highest applied migration, or 0 for an empty database. Doesn't take the lock,
+// so it can be polled while another replica is migrating.
+async function getSchemaVersion(db = pool) {
+  // Checked separately: a query naming a missing table fails even in an untaken branch
+  const table = await db.query("SELECT to_regclass('schema_migrations') AS name");
+  if (table.rows[0].name === null) {
+    return 0;
+  }
+  const result = await db.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+  return result.rows[0].version;
+}
+
+// Apply every pending migration up to targetVersion (default: all of them).
+// Returns the migrations applied.
+async function migrateUp(targetVersion = SCHEMA_VERSION, db = pool) {
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = MIGRATIONS.filter(migration => !applied.has(migration.version) && migration.version <= targetVersion);
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.version} ${migration.name}`);
+      await client.query('BEGIN');
+      try {
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} ${migration.name} failed: ${err.message}`);
+      }
+    }
+    return pending;
+  }, db);
+}
+
+// Revert applied migrations newer than targetVersion (default: only the latest
+// one), newest first. Returns the migrations reverted.
+async function migrateDown(targetVersion, db = pool) {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    if (applied.length === 0) {
+      return [];
+    }
+    const target = targetVersion === undefined ? applied[applied.length - 1].version - 1 : targetVersion;
+    const reverting = applied.filter(row => row.version > target).reverse();
+
+    const unknown = reverting.find(row => !MIGRATIONS.some(migration => migration.version === row.version));
+    if (unknown) {
+      throw new Error(`Migration ${unknown.version} ${unknown.name} is not part of this build and can't be reverted by it`);
+    }
+
+    const reverted = [];
+    for (const row of reverting) {
+      const migration = MIGRATIONS.find(candidate => candidate.version === row.version);
+      console.log(`Reverting migration ${migration.version} ${migration.name}`);
+      await client.query('BEGIN');
+      try {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Reverting migration ${migration.version} ${migration.name} failed: ${err.message}`);
+      }
+      reverted.push(migration);
+    }
+    return reverted;
+  }, db);
+}
+
+// `node server.js migrate up [version] | down [version] | status`. Resolves to the
+// process exit code.
+async function runMigrateCommand([action, version]) {
+  if (version !== undefined && !/^\d+$/.test(version)) {
+    console.error(`Version must be a migration number, got "${version}"`);
+    return 1;
+  }
+  const targetVersion = version === undefined ? undefined : Number(version);
+
+  try {
+    if (action === 'up') {
+      const applied = await migrateUp(targetVersion);
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+    } else if (action === 'down') {
+      const reverted = await migrateDown(targetVersion);
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'No migrations to revert');
+    } else if (action === 'status') {
+      const applied = await withMigrationLock(getAppliedMigrations);
+      const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+      for (const migration of MIGRATIONS) {
+        const row = appliedByVersion.get(migration.version);
+        console.log(`${String(migration.version).padStart(4)}  ${row ? 'applied' : 'pending'}  ${migration.name}${row ? `  (${row.applied_at.toISOString()})` : ''}`);
+      }
+      for (const row of applied.filter(row => !MIGRATIONS.some(migration => migration.version === row.version))) {
+        console.log(`${String(row.version).padStart(4)}  unknown  ${row.name}  (applied by a newer build)`);
+      }
+      console.log(`Schema version ${applied.length ? applied[applied.length - 1].version : 0}, this build expects ${SCHEMA_VERSION}`);
+    } else {
+      console.error('Usage: node server.js migrate up [version] | down [version] | status');
+      return 1;
+    }
+    return 0;
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+}
+
+// MAIL
+
+let smtpTransporter = null;
+
+// Mail transports. Each exposes an async send({ to, subject, text }) function;
+// console and file are outboxes for development and tests.
+const mailTransports = {
+  console: {
+    send: async (message) => {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+  file: {
+    send: async (message) => {
+      const entry = { from: MAIL_FROM, ...message, sent_at: new Date().toISOString() };
+      await fs.promises.appendFile(MAIL_OUTBOX_FILE, JSON.stringify(entry) + '\n');
+    }
+  },
+  smtp: {
+    send: async (message) => {
+      if (!smtpTransporter) {
+        smtpTransporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+        });
+      }
+      await smtpTransporter.sendMail({ from: MAIL_FROM, ...message });
+    }
+  }
+};
+
+async function sendMail(message) {
+  const transport = mailTransports[MAIL_TRANSPORT];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${MAIL_TRANSPORT}"`);
+  }
+  await transport.send(message);
+}
+
+// How long mailed tokens stay valid, per purpose
+const AUTH_TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60
+};
+
+// Issue a single-use token for the user, invalidating earlier ones for the same purpose
+async function createAuthToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    'UPDATE auth_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await pool.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), AUTH_TOKEN_TTL_MINUTES[purpose]]
+  );
+
+  return token;
+}
+
+// Mark a token used and return its user id, or null if it is unknown, used or expired
+async function consumeAuthToken(client, token, purpose) {
+  const result = await client.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(user.id, 'email_verification');
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\n` +
+      `Confirm your email address to finish setting up your Job Tracker account:\n\n` +
+      `${APP_URL}/?verify=${token}\n\n` +
+      `The link expires in 24 hours. If you didn't sign up, you can ignore this email.\n`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createAuthToken(user.id, 'password_reset');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n` +
+      `Someone asked to reset the password for your Job Tracker account. Choose a new one here:\n\n` +
+      `${APP_URL}/?reset=${token}\n\n` +
+      `The link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.\n`
+  });
+}
+
+// AUTH ENDPOINTS
+
+// New passwords; bcrypt ignores anything past 72 bytes
+const PASSWORD_RULE = { type: 'string', required: true, minLength: 6, maxLength: 72 };
+
+// Register new user
+app.post('/api/auth/register', authLimiter, validateRequest({
+  body: {
+    username: { type: 'string', label: 'Username', required: true, maxLength: 50 },
+    email: { type: 'email', label: 'Email', required: true, maxLength: 255 },
+    password: { ...PASSWORD_RULE, label: 'Password' }
+  }
+}), async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    // Check if user already exists
+    const existingUser = await pool.query(
+      'SELECT id FROM users WHERE email = $1 OR username = $2',
+      [email, username]
+    );
+
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ error: 'User with this email or username already exists' });
+    }
+
+    // Hash password
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // Create user
+    const result = await pool.query(
+      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at',
+      [username, email, passwordHash]
+    );
+
+    const newUser = result.rows[0];
+
+    await recordAudit(pool, req, {
+      userId: newUser.id,
+      action: 'auth.register',
+      details: { username: newUser.username, email: newUser.email }
+    });
+
+    // The account stays usable even if mail is down; the user can ask for a new link
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailErr) {
+      console.error('Error sending verification email:', mailErr);
+    }
+
+    res.status(201).json({
+      message: 'Account created. Check your email to verify your address before logging in.',
+      user: {
+        id: newUser.id,
+        username: newUser.username,
+        email: newUser.email,
+        created_at: newUser.created_at
+      }
+    });
+  } catch (err) {
+    console.error('Error creating user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Login user
+app.post('/api/auth/login', loginLimiter, validateRequest({
+  body: {
+    email: { type: 'string', label: 'Email', required: true },
+    password: { type: 'string', label: 'Password', required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user
+    const result = await pool.query(
+      'SELECT id, username, email, password_hash, email_verified_at FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      await recordAudit(pool, req, {
+        action: 'auth.login_failed',
+        details: { reason: 'unknown_email', email: email.slice(0, 255) }
+      });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const user = result.rows[0];
+
+    // Check password
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      await recordAudit(pool, req, { userId: user.id, action: 'auth.login_failed', details: { reason: 'wrong_password' } });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (!user.email_verified_at) {
+      await recordAudit(pool, req, { userId: user.id, action: 'auth.login_failed', details: { reason: 'email_not_verified' } });
+      return res.status(403).json({
+        error: 'Please verify your email address before logging in',
+        code: 'email_not_verified'
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await recordAudit(pool, req, { userId: user.id, action: 'auth.login', details: { method: 'password' } });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email
+      }
+    });
+  } catch (err) {
+    console.error('Error during login:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm an email address and log the user in
+app.post('/api/auth/verify-email', authLimiter, validateRequest({
+  body: { token: { type: 'string', label: 'Verification token', required: true } }
+}), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await withTransaction(async (client) => {
+      const userId = await consumeAuthToken(client, token, 'email_verification');
+      if (!userId) {
+        return null;
+      }
+      const result = await client.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, username, email`,
+        [userId]
+      );
+      return result.rows[0];
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    const { token: accessToken, refreshToken } = await createSession(user, req);
+    await recordAudit(pool, req, { userId: user.id, action: 'auth.login', details: { method: 'email_verification' } });
+
+    res.json({
+      message: 'Email verified',
+      token: accessToken,
+      refreshToken,
+      user
+    });
+  } catch (err) {
+    console.error('Error verifying email:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a fresh verification link. The response never reveals whether the address is registered.
+app.post('/api/auth/resend-verification', mailLimiter, validateRequest({
+  body: { email: { type: 'email', label: 'Email', required: true } }
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1 AND email_verified_at IS NULL',
+      [email]
+    );
+
+    if (result.rows.length > 0) {
+      await sendVerificationEmail(result.rows[0]);
+    }
+
+    res.json({ message: 'If that address belongs to an unverified account, a new verification link is on its way.' });
+  } catch (err) {
+    console.error('Error resending verification:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a password reset. The response never reveals whether the address is registered.
+app.post('/api/auth/forgot-password', mailLimiter, validateRequest({
+  body: { email: { type: 'email', label: 'Email', required: true } }
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (result.rows.length > 0) {
+      await sendPasswordResetEmail(result.rows[0]);
+    }
+
+    res.json({ message: 'If an account exists for that address, a password reset link is on its way.' });
+  } catch (err) {
+    console.error('Error starting password reset:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with a reset token and log out every existing session
+app.post('/api/auth/reset-password', authLimiter, validateRequest({
+  body: {
+    token: { type: 'string', label: 'Reset token', required: true },
+    password: { ...PASSWORD_RULE, label: 'Password' }
+  }
+}), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    const userId = await withTransaction(async (client) => {
+      const id = await consumeAuthToken(client, token, 'password_reset');
+      if (!id) {
+        return null;
+      }
+      // Receiving the link proves the user owns the address
+      await client.query(
+        `UPDATE users
+         SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+         WHERE id = $2`,
+        [passwordHash, id]
+      );
+      await client.query(
+        'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [id]
+      );
+      return id;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Password updated. You can now log in with your new password.' });
+  } catch (err) {
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+app.post('/api/auth/refresh', validateRequest({
+  body: { refreshToken: { type: 'string', label: 'Refresh token', required: true } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokenHash = hashToken(refreshToken);
+    const result = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT s.id, s.expires_at, s.revoked_at, s.ip_address, u.id AS user_id, u.username
+         FROM user_sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.refresh_token_hash = $1
+         FOR UPDATE OF s`,
+        [tokenHash]
+      );
+
+      if (current.rows.length === 0) {
+        // A token that was already rotated away is being replayed. Outside the
+        // grace window that means it leaked, so the whole session is revoked.
+        const reused = await client.query(
+          `UPDATE user_sessions SET revoked_at = NOW()
+           WHERE previous_token_hash = $1 AND revoked_at IS NULL
+             AND rotated_at < NOW() - make_interval(secs => $2)
+           RETURNING id, user_id`,
+          [tokenHash, REFRESH_REUSE_GRACE_SECONDS]
+        );
+        if (reused.rows.length > 0) {
+          console.warn(`Refresh token reuse detected, revoked session ${reused.rows[0].id} of user ${reused.rows[0].user_id}`);
+        }
+        return null;
+      }
+
+      const session = current.rows[0];
+      if (session.revoked_at || session.expires_at <= new Date()) {
+        return null;
+      }
+
+      const nextToken = crypto.randomBytes(32).toString('hex');
+      await client.query(
+        `UPDATE user_sessions
+         SET refresh_token_hash = $1, previous_token_hash = $2, rotated_at = NOW(),
+             last_used_at = NOW(), ip_address = $3
+         WHERE id = $4`,
+        [hashToken(nextToken), tokenHash, req.ip, session.id]
+      );
+
+      if (session.ip_address !== req.ip) {
+        await recordAudit(client, req, {
+          userId: session.user_id,
+          action: 'token.new_ip',
+          entityType: 'session',
+          entityId: session.id,
+          details: { token: 'refresh', previous_ip: session.ip_address }
+        });
+      }
+
+      return {
+        token: signAccessToken({ id: session.user_id, username: session.username }, session.id),
+        refreshToken: nextToken
+      };
+    });
+
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Error refreshing token:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out: revoke the session the refresh token belongs to
+app.post('/api/auth/logout', validateRequest({
+  body: { refreshToken: { type: 'string', label: 'Refresh token', required: true } }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await pool.query(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+      [hashToken(refreshToken)]
+    );
+
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error during logout:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the user's active sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      sessions: result.rows.map(session => ({ ...session, current: session.id === req.user.sid }))
+    });
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a single session (e.g. a lost device)
+app.delete('/api/auth/sessions/:id', authenticateToken, validateRequest({ params: idParams({ id: 'session ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE user_sessions SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out everywhere: revoke every session of the user, including this one
+app.delete('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [req.user.userId]
+    );
+
+    res.json({ message: 'All sessions revoked', revoked: result.rowCount });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get current user info
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, email, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ACCOUNT SETTINGS
+
+// Update username and/or email. A new email address has to be verified again.
+app.put('/api/auth/me', authenticateToken, validateRequest({
+  body: {
+    username: { type: 'string', label: 'Username', maxLength: 50 },
+    email: { type: 'email', label: 'Email', maxLength: 255 }
+  }
+}), async (req, res) => {
+  try {
+    const username = req.body.username !== undefined ? String(req.body.username).trim() : undefined;
+    const email = req.body.email !== undefined ? String(req.body.email).trim() : undefined;
+
+    if (username === undefined && email === undefined) {
+      return res.status(400).json({ error: 'Username or email is required' });
+    }
+
+    // Either may be left out, but neither may be cleared
+    const cleared = {};
+    if (username === '') cleared.username = 'Username cannot be empty';
+    if (email === '') cleared.email = 'Email cannot be empty';
+    if (Object.keys(cleared).length > 0) {
+      return sendFieldErrors(res, cleared);
+    }
+
+    const current = await pool.query(
+      'SELECT id, username, email FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const nextUsername = username !== undefined ? username : current.rows[0].username;
+    const nextEmail = email !== undefined ? email : current.rows[0].email;
+    const emailChanged = nextEmail !== current.rows[0].email;
+
+    const taken = await pool.query(
+      'SELECT username, email FROM users WHERE (username = $1 OR email = $2) AND id <> $3',
+      [nextUsername, nextEmail, req.user.userId]
+    );
+    if (taken.rows.some(row => row.username === nextUsername)) {
+      return sendFieldErrors(res, { username: 'That username is already taken' }, 409);
+    }
+    if (taken.rows.length > 0) {
+      return sendFieldErrors(res, { email: 'An account with that email already exists' }, 409);
+    }
+
+    const result = await pool.query(
+      `UPDATE users
+       SET username = $1, email = $2,
+           email_verified_at = CASE WHEN $3 THEN NULL ELSE email_verified_at END,
+           updated_at = NOW()
+       WHERE id = $4
+       RETURNING id, username, email, email_verified_at, created_at, updated_at`,
+      [nextUsername, nextEmail, emailChanged, req.user.userId]
+    );
+    const user = result.rows[0];
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailErr) {
+        console.error('Error sending verification email:', mailErr);
+      }
+    }
+
+    res.json({
+      message: emailChanged ? 'Profile updated. Check your new address for a verification link.' : 'Profile updated',
+      user
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Username or email is already taken' });
+    }
+    console.error('Error updating profile:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change password; every other session is logged out
+app.put('/api/auth/password', authenticateToken, validateRequest({
+  body: {
+    current_password: { type: 'string', label: 'Current password', required: true },
+    new_password: { ...PASSWORD_RULE, label: 'New password' }
+  }
+}), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const result = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(current_password, result.rows[0].password_hash);
+    if (!validPassword) {
+      return sendFieldErrors(res, { current_password: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(new_password, 12);
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [passwordHash, req.user.userId]
+      );
+      await client.query(
+        'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL',
+        [req.user.userId, req.user.sid]
+      );
+    });
+
+    res.json({ message: 'Password changed. Other devices have been logged out.' });
+  } catch (err) {
+    console.error('Error changing password:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Everything stored about a user, for the personal-data export
+async function buildAccountExport(userId) {
+  const user = await pool.query(
+    'SELECT id, username, email, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const jobs = await pool.query(
+    'SELECT * FROM job_applications WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const history = await pool.query(
+    'SELECT id, job_id, old_status, new_status, note, changed_at FROM job_status_history WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const interviews = await pool.query(
+    'SELECT * FROM interviews WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const offers = await pool.query(
+    'SELECT * FROM offers WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const companies = await pool.query(
+    'SELECT id, name, website, industry, size, headquarters, notes, created_at, updated_at FROM companies WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const contacts = await pool.query(
+    'SELECT * FROM contacts WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const jobContacts = await pool.query(
+    'SELECT job_id, contact_id, role, created_at FROM job_contacts WHERE user_id = $1 ORDER BY job_id, contact_id',
+    [userId]
+  );
+  const interactions = await pool.query(
+    'SELECT * FROM contact_interactions WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const documents = await pool.query(
+    'SELECT id, name, kind, filename, mime_type, size_bytes, checksum, created_at, updated_at FROM documents WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const jobDocuments = await pool.query(
+    'SELECT job_id, document_id, created_at FROM job_documents WHERE user_id = $1 ORDER BY job_id, document_id',
+    [userId]
+  );
+  const pipeline = await pool.query(
+    'SELECT id, key, name, color, position, is_terminal, outcome, archived_at, created_at, updated_at FROM pipeline_stages WHERE user_id = $1 ORDER BY position, id',
+    [userId]
+  );
+  const tags = await pool.query(
+    'SELECT id, name, color, created_at, updated_at FROM tags WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const jobTags = await pool.query(
+    'SELECT job_id, tag_id, created_at FROM job_tags WHERE user_id = $1 ORDER BY job_id, tag_id',
+    [userId]
+  );
+  const sessions = await pool.query(
+    'SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at FROM user_sessions WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  const auditEvents = await pool.query(
+    'SELECT id, action, entity_type, entity_id, ip_address, user_agent, details, created_at FROM audit_events WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+
+  return {
+    exported_at: new Date().toISOString(),
+    user: user.rows[0],
+    pipeline_stages: pipeline.rows,
+    companies: companies.rows,
+    job_applications: jobs.rows.map(job => ({
+      ...job,
+      application_date: job.application_date ? formatDateOnly(job.application_date) : null,
+      follow_up_date: job.follow_up_date ? formatDateOnly(job.follow_up_date) : null
+    })),
+    status_history: history.rows,
+    interviews: interviews.rows,
+    offers: await withOfferDetails(offers.rows),
+    contacts: contacts.rows,
+    job_contacts: jobContacts.rows,
+    contact_interactions: interactions.rows.map(formatInteraction),
+    documents: documents.rows,
+    job_documents: jobDocuments.rows,
+    tags: tags.rows,
+    job_tags: jobTags.rows,
+    sessions: sessions.rows,
+    audit_events: auditEvents.rows
+  };
+}
+
+// Download all personal data as JSON
+app.get('/api/auth/me/export', authenticateToken, async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user.userId);
+
+    if (!data.user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const filename = `job-tracker-account-${formatDateOnly(new Date())}.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(data);
+  } catch (err) {
+    console.error('Error exporting account:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete the account and, through ON DELETE CASCADE, all of its data
+app.delete('/api/auth/me', authenticateToken, validateRequest({
+  body: { password: { type: 'string', label: 'Password', required: true } }
+}), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const result = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const validPassword = await bcrypt.compare(password, result.rows[0].password_hash);
+    if (!validPassword) {
+      return sendFieldErrors(res, { password: 'Password is incorrect' });
+    }
+
+    const documents = await pool.query(
+      'SELECT storage_driver, storage_key FROM documents WHERE user_id = $1',
+      [req.user.userId]
+    );
+
+    await pool.query('DELETE FROM users WHERE id = $1', [req.user.userId]);
+    await removeStoredFiles(documents.rows);
+
+    res.json({ message: 'Account deleted' });
+  } catch (err) {
+    console.error('Error deleting account:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// SALARY
+
+const SALARY_PERIODS = ['year', 'month', 'week', 'day', 'hour'];
+
+// Multipliers that annualize a salary so different pay periods can be compared
+const SALARY_PERIOD_FACTORS = { year: 1, month: 12, week: 52, day: 260, hour: 2080 };
+
+const SALARY_FACTOR_SQL = `CASE salary_period ${Object.entries(SALARY_PERIOD_FACTORS)
+  .map(([period, factor]) => `WHEN '${period}' THEN ${factor}`).join(' ')} ELSE 1 END`;
+
+// Annualized bounds of a job's salary; a one-sided range uses its only bound for both
+const SALARY_ANNUAL_LOW_SQL = `(COALESCE(salary_min, salary_max)::bigint * ${SALARY_FACTOR_SQL})`;
+const SALARY_ANNUAL_HIGH_SQL = `(COALESCE(salary_max, salary_min)::bigint * ${SALARY_FACTOR_SQL})`;
+
+// Currency markers, longest first so "CA$" wins over "$"
+const SALARY_CURRENCY_SYMBOLS = [
+  ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['US$', 'USD'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR']
+];
+const SALARY_CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'INR', 'SEK', 'NOK', 'DKK', 'PLN', 'SGD'
+];
+
+const SALARY_PERIOD_PATTERNS = [
+  ['hour', /\b(hourly|hours?|hrs?|ph)\b|\/\s*h\b/i],
+  ['day', /\b(daily|days?|pd)\b|\/\s*d\b/i],
+  ['week', /\b(weekly|weeks?|wk|pw)\b/i],
+  ['month', /\b(monthly|months?|mo|mth|pcm)\b/i],
+  ['year', /\b(yearly|years?|yr|annual|annually|annum|pa)\b/i]
+];
+
+// A pay period spelled out as such ("per hour", "/yr", "monthly"), as opposed to a
+// duration such as "2 days per week"
+const SALARY_PAY_PERIOD_PATTERN = new RegExp(
+  '\\b(hourly|daily|weekly|monthly|yearly|annual|annually|per annum|p\\.?a|pcm)\\b|' +
+  '(\\bper\\s*|/\\s*)(hours?|hrs?|h|days?|d|weeks?|wk|months?|mo|mth|years?|yr|annum)\\b', 'i'
+);
+
+// Percentages ("10-15% bonus", "+ 5% equity") and durations ("2 days", "3-5 years";
+// plural only, so a "£300 day rate" stays pay)
+// hold numbers that are not pay; they are cut before amounts are looked for
+const SALARY_PERCENT_PATTERN = /(\+|\bplus\b)?\s*\d+(?:[.,]\d+)*(?:\s*(?:-|–|to)\s*\d+(?:[.,]\d+)*)?\s*%/gi;
+const SALARY_DURATION_PATTERN = /\d+(?:[.,]\d+)*(?:\s*(?:-|–|to)\s*\d+(?:[.,]\d+)*)?\s*(?:hours|hrs|days|weeks|months|years|yrs)\b/gi;
+
+// Amount with an optional k/m multiplier; "80,000" and "80.000" are thousands separators
+function parseSalaryAmount(number, suffix) {
+  const digits = /^\d{1,3}([.,]\d{3})+$/.test(number)
+    ? number.replace(/[.,]/g, '')
+    : number.replace(',', '.');
+  const multiplier = !suffix ? 1 : suffix.toLowerCase() === 'k' ? 1000 : 1000000;
+  return Math.round(parseFloat(digits) * multiplier);
+}
+
+// Best-effort parse of a free-text salary such as "$80k-100k", "€45.000 - 55.000 per year"
+// or "50-60/hr". Only text that is clearly pay is parsed: it needs a currency, a k/M
+// amount or a pay period. Returns null otherwise, leaving the structured columns empty.
+function parseSalaryRange(value) {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).replace(SALARY_PERCENT_PATTERN, ' ').replace(SALARY_DURATION_PATTERN, ' ');
+  const amounts = [...text.matchAll(/(\d+(?:[.,]\d+)*)(?:\s*([kKmM])(?![a-zA-Z]))?/g)].slice(0, 2);
+  if (amounts.length === 0) {
+    return null;
+  }
+
+  const code = SALARY_CURRENCY_CODES.find(candidate => new RegExp(`\\b${candidate}\\b`, 'i').test(text));
+  const symbol = SALARY_CURRENCY_SYMBOLS.find(([marker]) => text.includes(marker));
+  if (!code && !symbol && !amounts.some(([, , suffix]) => suffix) && !SALARY_PAY_PERIOD_PATTERN.test(text)) {
+    return null;
+  }
+
+  let [low, high] = amounts.map(([, number, suffix]) => parseSalaryAmount(number, suffix));
+  // "80-100k": the multiplier on the upper bound applies to both
+  if (high !== undefined && !amounts[0][2] && amounts[1][2] && low < 1000) {
+    low = parseSalaryAmount(amounts[0][1], amounts[1][2]);
+  }
+  // Amounts that overflow INTEGER are typos, not salaries
+  if (Math.max(low, high || 0) > 2147483647) {
+    return null;
+  }
+
+  let min = low;
+  let max = high !== undefined ? high : low;
+  if (high === undefined && /\b(up to|max(imum)?)\b/i.test(text)) {
+    min = null;
+  } else if (high === undefined && (/\b(from|min(imum)?)\b/i.test(text) || /\d\s*[kKmM]?\s*\+/.test(text))) {
+    max = null;
+  } else if (max < min) {
+    [min, max] = [max, min];
+  }
+
+  const period = SALARY_PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text));
+
+  return {
+    salary_min: min,
+    salary_max: max,
+    salary_currency: code || (symbol ? symbol[1] : null),
+    salary_period: period ? period[0] : 'year'
+  };
+}
+
+// Work out the structured salary for a create/update/import payload. Explicit
+// amounts win; without them salary_range is parsed. Returns { salary } or { error, field }.
+function resolveSalary({ salary_range, salary_min, salary_max, salary_currency, salary_period }) {
+  const blank = (value) => value === undefined || value === null || value === '';
+
+  if (blank(salary_min) && blank(salary_max)) {
+    return {
+      salary: parseSalaryRange(salary_range) ||
+        { salary_min: null, salary_max: null, salary_currency: null, salary_period: null }
+    };
+  }
+
+  const amounts = {};
+  for (const [field, value] of [['salary_min', salary_min], ['salary_max', salary_max]]) {
+    if (blank(value)) {
+      amounts[field] = null;
+      continue;
+    }
+    const amount = Number(value);
+    if (!Number.isInteger(amount) || amount < 0 || amount > 2147483647) {
+      return { error: 'Salary amounts must be whole non-negative numbers', field };
+    }
+    amounts[field] = amount;
+  }
+
+  if (amounts.salary_min !== null && amounts.salary_max !== null && amounts.salary_min > amounts.salary_max) {
+    return { error: 'Minimum salary cannot be greater than maximum salary', field: 'salary_min' };
+  }
+
+  const currency = blank(salary_currency) ? null : String(salary_currency).trim().toUpperCase();
+  if (currency !== null && !/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'Salary currency must be a 3-letter ISO code such as USD', field: 'salary_currency' };
+  }
+
+  const period = blank(salary_period) ? 'year' : salary_period;
+  if (!SALARY_PERIODS.includes(period)) {
+    return { error: `Salary period must be one of: ${SALARY_PERIODS.join(', ')}`, field: 'salary_period' };
+  }
+
+  return { salary: { ...amounts, salary_currency: currency, salary_period: period } };
+}
+
+// One-off migration of existing free-text salaries into the structured columns
+async function migrateSalaryRanges(client) {
+  const result = await client.query(
+    "SELECT id, salary_range FROM job_applications WHERE salary_range IS NOT NULL AND salary_range <> ''"
+  );
+
+  let migrated = 0;
+  for (const job of result.rows) {
+    const salary = parseSalaryRange(job.salary_range);
+    if (!salary) {
+      continue;
+    }
+    await client.query(
+      `UPDATE job_applications
+       SET salary_min = $1, salary_max = $2, salary_currency = $3, salary_period = $4
+       WHERE id = $5`,
+      [salary.salary_min, salary.salary_max, salary.salary_currency, salary.salary_period, job.id]
+    );
+    migrated++;
+  }
+
+  console.log(`Parsed ${migrated} of ${result.rows.length} salary ranges into structured salaries`);
+}
+
+// COMPANIES
+
+// Legal-form suffixes ignored when matching company names ("ACME Inc." = "acme")
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'plc', 'gmbh', 'ag', 'sa', 'sas', 'bv', 'nv', 'oy', 'ab', 'pty', 'srl', 'spa'
+]);
+
+// Matching key for a company name: lower case, accents and punctuation removed,
+// trailing legal-form suffixes dropped. Falls back to the lower-cased name when
+// nothing else is left (a company literally called "Company").
+function normalizeCompanyName(name) {
+  const words = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (words.length > 1 && COMPANY_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(' ') || String(name).trim().toLowerCase();
+}
+
+// Find the user's company matching a name, creating it if needed, and return its id
+async function findOrCreateCompany(client, userId, name) {
+  const result = await client.query(`
+    INSERT INTO companies (user_id, name, normalized_name)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, normalized_name) DO UPDATE SET normalized_name = EXCLUDED.normalized_name
+    RETURNING id
+  `, [userId, String(name).trim(), normalizeCompanyName(name)]);
+  return result.rows[0].id;
+}
+
+// One-off migration linking existing applications to companies. Names that
+// normalize the same are grouped; the most used spelling becomes the company name.
+async function migrateCompanies(client) {
+  const result = await client.query(`
+    SELECT user_id, company_name, COUNT(*) AS uses
+    FROM job_applications
+    WHERE company_id IS NULL AND user_id IS NOT NULL
+    GROUP BY user_id, company_name
+    ORDER BY COUNT(*) DESC, company_name
+  `);
+
+  const groups = new Map();
+  for (const row of result.rows) {
+    const key = `${row.user_id}:${normalizeCompanyName(row.company_name)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { userId: row.user_id, name: row.company_name, spellings: [] });
+    }
+    groups.get(key).spellings.push(row.company_name);
+  }
+
+  for (const group of groups.values()) {
+    const companyId = await findOrCreateCompany(client, group.userId, group.name);
+    await client.query(
+      'UPDATE job_applications SET company_id = $1 WHERE user_id = $2 AND company_name = ANY($3)',
+      [companyId, group.userId, group.spellings]
+    );
+  }
+
+  console.log(`Grouped ${result.rows.length} company names into ${groups.size} companies`);
+}
+
+// TAGS
+
+const TAG_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Parse a list of ids from a comma-separated string, repeated query values or an array
+function parseIdList(value) {
+  const ids = [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  if (ids.some(id => !/^\d+$/.test(id))) {
+    return null;
+  }
+  return [...new Set(ids.map(Number))];
+}
+
+// Validate the tag_ids of a job payload against the user's tags. Returns { tagIds }
+// (undefined when the payload leaves tags alone) or { error }.
+async function resolveTagIds(userId, value) {
+  if (value === undefined) {
+    return { tagIds: undefined };
+  }
+
+  const tagIds = parseIdList(value);
+  if (!tagIds) {
+    return { error: 'tag_ids must be a list of tag IDs' };
+  }
+
+  if (tagIds.length > 0) {
+    const owned = await pool.query('SELECT id FROM tags WHERE id = ANY($1) AND user_id = $2', [tagIds, userId]);
+    if (owned.rows.length !== tagIds.length) {
+      return { error: 'Unknown tag in tag_ids' };
+    }
+  }
+
+  return { tagIds };
+}
+
+// Replace the tags of a job application with the given (already validated) tag ids
+async function setJobTags(client, userId, jobId, tagIds) {
+  await client.query('DELETE FROM job_tags WHERE job_id = $1 AND tag_id <> ALL($2)', [jobId, tagIds]);
+  await client.query(`
+    INSERT INTO job_tags (job_id, tag_id, user_id)
+    SELECT $1, unnest($2::int[]), $3
+    ON CONFLICT (job_id, tag_id) DO NOTHING
+  `, [jobId, tagIds, userId]);
+}
+
+// Attach each job's tags (id, name, color; sorted by name) to job rows
+async function withJobTags(jobs) {
+  if (jobs.length === 0) {
+    return jobs;
+  }
+
+  const result = await pool.query(`
+    SELECT jt.job_id, t.id, t.name, t.color
+    FROM job_tags jt
+    JOIN tags t ON t.id = jt.tag_id
+    WHERE jt.job_id = ANY($1)
+    ORDER BY lower(t.name)
+  `, [jobs.map(job => job.id)]);
+
+  return jobs.map(job => ({
+    ...job,
+    tags: result.rows
+      .filter(row => row.job_id === job.id)
+      .map(({ id, name, color }) => ({ id, name, color }))
+  }));
+}
+
+// PIPELINE
+
+// Stages every user starts with. Keys are what job_applications.status stores,
+// so renaming a stage never touches applications.
+const DEFAULT_PIPELINE_STAGES = [
+  { key: 'applied', name: 'Applied', color: '#3b82f6', is_terminal: false, outcome: null },
+  { key: 'interview', name: 'Interview', color: '#eab308', is_terminal: false, outcome: null },
+  { key: 'offer', name: 'Offer', color: '#22c55e', is_terminal: false, outcome: 'positive' },
+  { key: 'rejected', name: 'Rejected', color: '#ef4444', is_terminal: true, outcome: 'negative' },
+  { key: 'withdrawn', name: 'Withdrawn', color: '#6b7280', is_terminal: true, outcome: 'negative' }
+];
+
+const STAGE_OUTCOMES = ['positive', 'negative'];
+
+// SQL condition that is true while a job is not in a terminal stage of its owner's
+// pipeline. `table` is the alias (or table name) of job_applications in the query.
+function openStatusCondition(table) {
+  return `NOT EXISTS (
+    SELECT 1 FROM pipeline_stages ps
+    WHERE ps.user_id = ${table}.user_id AND ps.key = ${table}.status AND ps.is_terminal
+  )`;
+}
+
+// Give a user the default stages (a no-op for stages that already exist)
+async function seedPipelineStages(client, userId) {
+  await client.query(`
+    INSERT INTO pipeline_stages (user_id, key, name, color, position, is_terminal, outcome)
+    SELECT $1, stage.key, stage.name, stage.color, stage.position - 1, stage.is_terminal, stage.outcome
+    FROM ROWS FROM (jsonb_to_recordset($2::jsonb) AS (key text, name text, color text, is_terminal boolean, outcome text))
+      WITH ORDINALITY AS stage(key, name, color, is_terminal, outcome, position)
+    ON CONFLICT (user_id, key) DO NOTHING
+  `, [userId, JSON.stringify(DEFAULT_PIPELINE_STAGES)]);
+}
+
+// The user's stages in pipeline order, archived ones included. Users who have
+// never had a pipeline get the default one.
+async function getPipelineStages(userId, client = pool) {
+  const query = 'SELECT * FROM pipeline_stages WHERE user_id = $1 ORDER BY position, id';
+  let result = await client.query(query, [userId]);
+
+  if (result.rows.length === 0) {
+    await seedPipelineStages(client, userId);
+    result = await client.query(query, [userId]);
+  }
+
+  return result.rows;
+}
+
+// Resolve a requested status to a stage key. Stages match by key or, case-insensitively,
+// by name; an empty value means the first active stage (or the current status when
+// updating). Archived stages can't be entered, but a job already in one may stay.
+// Returns { status } or { error }.
+function resolveStatus(stages, value, currentStatus = null) {
+  const active = stages.filter(stage => !stage.archived_at);
+
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { status: currentStatus || active[0].key };
+  }
+
+  const wanted = String(value).trim();
+  const stage = stages.find(candidate => candidate.key === wanted) ||
+    stages.find(candidate => candidate.key === wanted.toLowerCase() || candidate.name.toLowerCase() === wanted.toLowerCase());
+
+  if (!stage) {
+    return { error: `Status must be one of: ${active.map(candidate => candidate.key).join(', ')}` };
+  }
+
+  if (stage.archived_at && stage.key !== currentStatus) {
+    return { error: `The ${stage.name} stage is archived` };
+  }
+
+  return { status: stage.key };
+}
+
+// A stage key derived from its name: lower-case ASCII words joined by underscores,
+// suffixed with a number when the user already has that key
+function stageKeyFor(name, existingKeys) {
+  const base = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 40) || 'stage';
+
+  let key = base;
+  for (let suffix = 2; existingKeys.includes(key); suffix++) {
+    key = `${base}_${suffix}`;
+  }
+  return key;
+}
+
+// One-off migration giving every existing user the default pipeline, plus a stage
+// for each other status their applications use (status used to accept any string)
+async function migratePipelineStages(client) {
+  const users = await client.query('SELECT id FROM users');
+  for (const user of users.rows) {
+    await seedPipelineStages(client, user.id);
+  }
+
+  const extra = await client.query(`
+    INSERT INTO pipeline_stages (user_id, key, name, position)
+    SELECT j.user_id, j.status, initcap(replace(j.status, '_', ' ')),
+           ${DEFAULT_PIPELINE_STAGES.length} + ROW_NUMBER() OVER (PARTITION BY j.user_id ORDER BY j.status) - 1
+    FROM (SELECT DISTINCT user_id, status FROM job_applications WHERE status IS NOT NULL AND status <> '') j
+    ON CONFLICT (user_id, key) DO NOTHING
+    RETURNING id
+  `);
+
+  console.log(`Created default pipelines for ${users.rows.length} users and ${extra.rows.length} stages for other statuses in use`);
+}
+
+// JOB ENDPOINTS (Updated with authentication)
+
+// Columns the job list can be sorted by (query value -> SQL expression)
+const JOB_SORT_COLUMNS = {
+  company: 'lower(company_name)',
+  application_date: 'application_date',
+  status: `(SELECT ps.position FROM pipeline_stages ps
+    WHERE ps.user_id = job_applications.user_id AND ps.key = job_applications.status)`,
+  updated_at: 'updated_at',
+  salary: SALARY_ANNUAL_HIGH_SQL,
+  created_at: 'created_at'
+};
+
+// Date range filters (query parameter -> column and comparison)
+const JOB_DATE_FILTERS = {
+  applied_from: 'application_date >=',
+  applied_to: 'application_date <=',
+  follow_up_from: 'follow_up_date >=',
+  follow_up_to: 'follow_up_date <='
+};
+
+// Query parameters shared by the job list, board and export
+const JOB_FILTER_QUERY = {
+  status: { type: 'list', label: 'status', maxLength: 50, message: 'status must be a comma-separated list of stage keys' },
+  q: { type: 'string', label: 'Search', maxLength: 500 },
+  company: { type: 'string', label: 'company', maxLength: 255 },
+  company_id: { type: 'id', label: 'company_id', message: 'company_id must be a company ID' },
+  location: { type: 'string', label: 'location', maxLength: 255 },
+  tags: { type: 'ids', label: 'tags', message: 'tags must be a comma-separated list of tag IDs' },
+  tag_match: { type: 'enum', label: 'tag_match', values: ['any', 'all'] },
+  ...Object.fromEntries(Object.keys(JOB_DATE_FILTERS).map(param => [param, { type: 'date', label: param }])),
+  salary_min: { type: 'integer', label: 'salary_min', min: 0 },
+  salary_max: { type: 'integer', label: 'salary_max', min: 0 },
+  salary_currency: { type: 'string', label: 'salary_currency', pattern: /^[A-Za-z]{3}$/, patternMessage: 'salary_currency must be a 3-letter ISO code such as USD' },
+  follow_up_overdue: { type: 'boolean', label: 'follow_up_overdue' },
+  sort: { type: 'enum', label: 'Sort', values: Object.keys(JOB_SORT_COLUMNS) },
+  order: { type: 'enum', label: 'Order', values: ['asc', 'desc'] }
+};
+
+// Build the WHERE clause shared by the job list, board and export from query
+// filters already checked against JOB_FILTER_QUERY
+function buildJobFilters(query, userId) {
+  const { status, company, location, follow_up_overdue, q } = query;
+  const params = [userId];
+  const whereConditions = ['user_id = $1'];
+
+  // Accepts ?status=a,b as well as repeated ?status=a&status=b
+  if (status) {
+    const statuses = [].concat(status).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+    if (statuses.length > 0) {
+      whereConditions.push('status = ANY($' + (params.length + 1) + ')');
+      params.push(statuses);
+    }
+  }
+
+  if (company) {
+    whereConditions.push('company_name ILIKE $' + (params.length + 1));
+    params.push(`%${company}%`);
+  }
+
+  if (query.company_id) {
+    whereConditions.push('company_id = $' + (params.length + 1));
+    params.push(query.company_id);
+  }
+
+  if (location) {
+    whereConditions.push('location ILIKE $' + (params.length + 1));
+    params.push(`%${location}%`);
+  }
+
+  // ?tags=1,2 matches applications with any of the tags, or all of them with tag_match=all
+  if (query.tags) {
+    const tagIds = parseIdList(query.tags);
+    const tagMatch = query.tag_match || 'any';
+    if (tagIds.length > 0) {
+      params.push(tagIds);
+      whereConditions.push(tagMatch === 'all'
+        ? `(SELECT COUNT(*) FROM job_tags WHERE job_tags.job_id = job_applications.id AND job_tags.tag_id = ANY($${params.length})) = cardinality($${params.length}::int[])`
+        : `EXISTS (SELECT 1 FROM job_tags WHERE job_tags.job_id = job_applications.id AND job_tags.tag_id = ANY($${params.length}))`);
+    }
+  }
+
+  for (const [param, comparison] of Object.entries(JOB_DATE_FILTERS)) {
+    if (!query[param]) continue;
+    whereConditions.push(`${comparison} $${params.length + 1}`);
+    params.push(query[param]);
+  }
+
+  // Salary bounds are annual amounts and match any overlapping range
+  for (const [param, comparison] of [['salary_min', `${SALARY_ANNUAL_HIGH_SQL} >=`], ['salary_max', `${SALARY_ANNUAL_LOW_SQL} <=`]]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    whereConditions.push(`${comparison} $${params.length + 1}`);
+    params.push(query[param]);
+  }
+
+  if (query.salary_currency) {
+    whereConditions.push('salary_currency = $' + (params.length + 1));
+    params.push(String(query.salary_currency).toUpperCase());
+  }
+
+  if (follow_up_overdue === 'true') {
+    whereConditions.push(`follow_up_date < CURRENT_DATE AND ${openStatusCondition('job_applications')}`);
+  }
+
+  // Full-text search; the tsquery placeholder is returned for ranking and highlights
+  let searchQuery = null;
+  if (q && q.trim()) {
+    params.push(q.trim());
+    searchQuery = `websearch_to_tsquery('english', $${params.length})`;
+    whereConditions.push(`${JOB_SEARCH_VECTOR} @@ ${searchQuery}`);
+  }
+
+  return { where: whereConditions.join(' AND '), params, searchQuery };
+}
+
+// Build the ORDER BY clause from the whitelisted sort/order parameters.
+// Search results default to relevance; everything else to newest first.
+function buildJobOrder(query, searchQuery) {
+  const { sort, order } = query;
+
+  if (!sort && searchQuery) {
+    return `ts_rank(${JOB_SEARCH_VECTOR}, ${searchQuery}) DESC, created_at DESC, id DESC`;
+  }
+
+  const direction = (order || 'desc').toUpperCase();
+  const column = JOB_SORT_COLUMNS[sort || 'created_at'];
+  return `${column} ${direction} NULLS LAST, id ${direction}`;
+}
+
+// Get all job applications for current user
+app.get('/api/jobs', authenticateToken, validateRequest({
+  query: {
+    ...JOB_FILTER_QUERY,
+    page: { type: 'integer', label: 'page', min: 1, max: 100000 },
+    limit: { type: 'integer', label: 'limit', min: 1, max: 100 }
+  }
+}), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { where, params, searchQuery } = buildJobFilters(req.query, req.user.userId);
+    const orderBy = buildJobOrder(req.query, searchQuery);
+
+    let query;
+    if (searchQuery) {
+      query = `
+        SELECT *,
+          ts_rank(${JOB_SEARCH_VECTOR}, ${searchQuery}) AS search_rank,
+          ts_headline('english', job_title, ${searchQuery}, '${HIGHLIGHT_OPTIONS}, HighlightAll=true') AS title_highlight,
+          ts_headline('english', company_name, ${searchQuery}, '${HIGHLIGHT_OPTIONS}, HighlightAll=true') AS company_highlight,
+          ts_headline('english', concat_ws(' ... ', description, requirements, notes, location), ${searchQuery},
+            '${HIGHLIGHT_OPTIONS}, MaxFragments=2, MaxWords=25, MinWords=8') AS search_snippet
+        FROM job_applications WHERE ${where}`;
+    } else {
+      query = `SELECT * FROM job_applications WHERE ${where}`;
+    }
+    query += ` ORDER BY ${orderBy}`;
+    
+    const offset = (page - 1) * limit;
+    query += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+
+    const result = await pool.query(query, [...params, limit, offset]);
+    
+    const countResult = await pool.query(`SELECT COUNT(*) FROM job_applications WHERE ${where}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      jobs: await withJobTags(result.rows),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get job applications grouped into one column per status for the pipeline board
+app.get('/api/jobs/board', authenticateToken, validateRequest({ query: JOB_FILTER_QUERY }), async (req, res) => {
+  try {
+    // The board always shows every status column, so a status filter does not apply
+    const { where, params } = buildJobFilters({ ...req.query, status: undefined }, req.user.userId);
+
+    const result = await pool.query(`
+      SELECT * FROM job_applications
+      WHERE ${where}
+      ORDER BY board_position ASC NULLS FIRST, created_at DESC, id DESC
+    `, params);
+
+    const tagged = await withJobTags(result.rows);
+    const stages = await getPipelineStages(req.user.userId);
+
+    // One column per active stage; archived stages only while they still hold applications
+    const columns = stages
+      .map(stage => {
+        const jobs = tagged.filter(job => job.status === stage.key);
+        return {
+          status: stage.key,
+          name: stage.name,
+          color: stage.color,
+          archived: Boolean(stage.archived_at),
+          count: jobs.length,
+          jobs
+        };
+      })
+      .filter(column => !column.archived || column.count > 0);
+
+    res.json({ columns });
+  } catch (err) {
+    console.error('Error fetching board:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// IMPORT / EXPORT
+
+// Columns that can be imported, in export order
+const IMPORT_FIELDS = [
+  'company_name', 'job_title', 'job_url', 'location', 'salary_range', 'salary_min', 'salary_max',
+  'salary_currency', 'salary_period', 'application_date', 'status', 'description', 'requirements',
+  'notes', 'contact_person', 'contact_email', 'follow_up_date', 'source'
+];
+const EXPORT_FIELDS = ['id', ...IMPORT_FIELDS, 'created_at', 'updated_at'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Field order of numeric dates such as 03/04/2024: month first or day first
+const IMPORT_DATE_ORDERS = ['mdy', 'dmy'];
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/;
+
+// Common spreadsheet headers and the fields they map to
+const IMPORT_COLUMN_ALIASES = {
+  company: 'company_name',
+  employer: 'company_name',
+  title: 'job_title',
+  position: 'job_title',
+  role: 'job_title',
+  url: 'job_url',
+  link: 'job_url',
+  salary: 'salary_range',
+  currency: 'salary_currency',
+  applied: 'application_date',
+  applied_on: 'application_date',
+  date_applied: 'application_date',
+  follow_up: 'follow_up_date',
+  follow_up_on: 'follow_up_date',
+  contact: 'contact_person',
+  contact_name: 'contact_person',
+  email: 'contact_email',
+  channel: 'source',
+  found_via: 'source',
+  job_board: 'source'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Text a spreadsheet would run as a formula: =, +, -, @, tab or CR first
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// Serialize rows to CSV (RFC 4180), quoting only fields that need it. Formula-like
+// text is prefixed with an apostrophe, so opening an export never evaluates
+// user-supplied content; normalizeImportRow removes it again on import.
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into records (arrays of strings), skipping blank lines
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV data has an unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(values => values.some(value => value.trim() !== ''));
+}
+
+// Map a source column to a job field using an explicit mapping, then names and aliases
+function resolveImportColumn(column, mapping) {
+  if (mapping && Object.prototype.hasOwnProperty.call(mapping, column)) {
+    return IMPORT_FIELDS.includes(mapping[column]) ? mapping[column] : null;
+  }
+
+  const key = String(column).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (IMPORT_FIELDS.includes(key)) return key;
+  return IMPORT_COLUMN_ALIASES[key] || null;
+}
+
+// True for a numeric date such as 03/04/2024 that names a different day when read
+// month first than day first
+function isAmbiguousDate(value) {
+  const match = NUMERIC_DATE_PATTERN.exec(String(value).trim());
+  return Boolean(match) && Number(match[1]) !== Number(match[2]) &&
+    Number(match[1]) <= 12 && Number(match[2]) <= 12;
+}
+
+// Parse an imported date into YYYY-MM-DD, or null if it isn't a date. Numeric dates
+// are read in dateOrder ('mdy' or 'dmy'); without one, ambiguous ones are rejected.
+function parseImportDate(value, dateOrder = null) {
+  const text = String(value).trim();
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  const numericMatch = NUMERIC_DATE_PATTERN.exec(text);
+
+  let parts = null; // [year, month, day]
+  if (isoMatch) {
+    parts = isoMatch.slice(1, 4).map(Number);
+  } else if (numericMatch) {
+    const [first, second, year] = numericMatch.slice(1, 4).map(Number);
+    const order = dateOrder || (first > 12 ? 'dmy' : 'mdy');
+    if (!dateOrder && isAmbiguousDate(text)) return null;
+    parts = [numericMatch[3].length === 2 ? 2000 + year : year, ...(order === 'dmy' ? [second, first] : [first, second])];
+  }
+
+  const date = parts ? new Date(parts[0], parts[1] - 1, parts[2]) : new Date(text);
+
+  if (isNaN(date.getTime())) return null;
+  if (parts && (date.getMonth() !== parts[1] - 1 || date.getDate() !== parts[2])) return null;
+  return formatDateOnly(date);
+}
+
+// Trim and validate one mapped import row, returning the cleaned row and field errors.
+// The apostrophe toCsv puts before formula-like text is dropped, so exports round-trip.
+// The cleaned row must pass JOB_SCHEMA like a job created through the API.
+function normalizeImportRow(raw, stages, dateOrder = null) {
+  const row = {};
+  const errors = [];
+  const addError = (field, message) => {
+    if (!errors.some(error => error.field === field)) {
+      errors.push({ field, message });
+    }
+  };
+
+  for (const field of IMPORT_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null) continue;
+    if (!['string', 'number', 'boolean'].includes(typeof raw[field])) {
+      addError(field, 'Must be text, a number or a date');
+      continue;
+    }
+    let value = String(raw[field]);
+    if (value.startsWith("'") && CSV_FORMULA_PATTERN.test(value.slice(1))) {
+      value = value.slice(1);
+    }
+    value = value.trim();
+    if (value !== '') row[field] = value;
+  }
+
+  const { status, error: statusError } = resolveStatus(stages, row.status);
+  if (statusError) {
+    addError('status', statusError);
+  } else {
+    row.status = status;
+  }
+
+  for (const field of ['application_date', 'follow_up_date']) {
+    if (!row[field]) continue;
+    const date = parseImportDate(row[field], dateOrder);
+    if (date) {
+      row[field] = date;
+    } else if (isAmbiguousDate(row[field])) {
+      addError(field, `${row[field]} could be read month or day first; choose the date order`);
+    } else {
+      addError(field, 'Must be a valid date (YYYY-MM-DD)');
+    }
+  }
+
+  const { salary, error: salaryError, field: salaryField } = resolveSalary(row);
+  if (salaryError) {
+    addError(salaryField, salaryError);
+  } else {
+    Object.assign(row, salary);
+  }
+
+  for (const [field, message] of Object.entries(validateFields(JOB_SCHEMA, row))) {
+    addError(field, message);
+  }
+
+  return { row, errors };
+}
+
+// Export job applications for current user (respects the list filters)
+app.get('/api/jobs/export', authenticateToken, validateRequest({
+  query: { ...JOB_FILTER_QUERY, format: { type: 'enum', label: 'Format', values: ['csv', 'json'] } }
+}), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const { where, params, searchQuery } = buildJobFilters(req.query, req.user.userId);
+
+    const result = await pool.query(
+      `SELECT ${EXPORT_FIELDS.join(', ')} FROM job_applications WHERE ${where} ORDER BY ${buildJobOrder(req.query, searchQuery)}`,
+      params
+    );
+
+    const rows = result.rows.map(job => ({
+      ...job,
+      application_date: job.application_date ? formatDateOnly(job.application_date) : null,
+      follow_up_date: job.follow_up_date ? formatDateOnly(job.follow_up_date) : null,
+      created_at: job.created_at.toISOString(),
+      updated_at: job.updated_at.toISOString()
+    }));
+
+    const filename = `job-applications-${formatDateOnly(new Date())}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.json(rows);
+    }
+
+    res.type('text/csv; charset=utf-8').send(toCsv(EXPORT_FIELDS, rows));
+  } catch (err) {
+    console.error('Error exporting jobs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import job applications from CSV or JSON, with an optional dry-run preview
+app.post('/api/jobs/import', authenticateToken, validateRequest({
+  body: {
+    format: { type: 'enum', label: 'Format', required: true, values: ['csv', 'json'] },
+    data: { type: 'any', label: 'Import data', required: true },
+    date_order: { type: 'enum', label: 'Date order', values: IMPORT_DATE_ORDERS },
+    dry_run: { type: 'boolean', label: 'dry_run' }
+  }
+}), async (req, res) => {
+  try {
+    const { format, data, mapping } = req.body;
+    const dateOrder = req.body.date_order || null;
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+
+    let records;
+    let sourceColumns;
+
+    if (format === 'csv') {
+      if (typeof data !== 'string') {
+        return sendFieldErrors(res, { data: 'CSV data must be a string' });
+      }
+
+      let table;
+      try {
+        table = parseCsv(data);
+      } catch (parseErr) {
+        return sendFieldErrors(res, { data: parseErr.message });
+      }
+
+      const [headers = [], ...body] = table;
+      sourceColumns = headers.map(header => header.trim());
+      records = body.map(values => Object.fromEntries(sourceColumns.map((column, i) => [column, values[i]])));
+    } else {
+      let parsed = data;
+      if (typeof data === 'string') {
+        try {
+          parsed = JSON.parse(data);
+        } catch (parseErr) {
+          return sendFieldErrors(res, { data: 'JSON data could not be parsed' });
+        }
+      }
+
+      if (!Array.isArray(parsed)) {
+        return sendFieldErrors(res, { data: 'JSON data must be an array of objects' });
+      }
+
+      records = parsed;
+      sourceColumns = [...new Set(parsed.flatMap(record =>
+        record && typeof record === 'object' && !Array.isArray(record) ? Object.keys(record) : []
+      ))];
+    }
+
+    if (records.length === 0) {
+      return sendFieldErrors(res, { data: 'No rows to import' });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return sendFieldErrors(res, { data: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+    }
+
+    const columns = {};
+    const unmappedColumns = [];
+    for (const column of sourceColumns) {
+      const field = resolveImportColumn(column, mapping);
+      if (field) {
+        columns[column] = field;
+      } else {
+        unmappedColumns.push(column);
+      }
+    }
+
+    const stages = await getPipelineStages(req.user.userId);
+    const validRows = [];
+    const errors = [];
+
+    records.forEach((record, index) => {
+      const rowNumber = index + 1;
+
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push({ row: rowNumber, message: 'Row must be an object' });
+        return;
+      }
+
+      // The first source column mapped to a field wins
+      const raw = {};
+      for (const [column, field] of Object.entries(columns)) {
+        if (raw[field] === undefined && record[column] !== undefined) {
+          raw[field] = record[column];
+        }
+      }
+
+      const { row, errors: rowErrors } = normalizeImportRow(raw, stages, dateOrder);
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors.map(error => ({ row: rowNumber, ...error })));
+      } else {
+        validRows.push(row);
+      }
+    });
+
+    const summary = {
+      dry_run: dryRun,
+      date_order: dateOrder,
+      total: records.length,
+      valid: validRows.length,
+      invalid: records.length - validRows.length,
+      columns,
+      unmapped_columns: unmappedColumns,
+      errors
+    };
+
+    if (dryRun) {
+      return res.json({ ...summary, preview: validRows.slice(0, 20) });
+    }
+
+    const imported = await withTransaction(async (client) => {
+      for (const row of validRows) {
+        const result = await client.query(`
+          INSERT INTO job_applications
+          (user_id, company_name, job_title, job_url, location, salary_range, application_date,
+           status, description, requirements, notes, contact_person, contact_email, follow_up_date,
+           salary_min, salary_max, salary_currency, salary_period, company_id, source)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+          RETURNING *
+        `, [req.user.userId, row.company_name, row.job_title, row.job_url, row.location,
+            row.salary_range, row.application_date || null, row.status, row.description,
+            row.requirements, row.notes, row.contact_person, row.contact_email,
+            row.follow_up_date || null, row.salary_min, row.salary_max, row.salary_currency,
+            row.salary_period, await findOrCreateCompany(client, req.user.userId, row.company_name),
+            row.source || null]);
+
+        const created = result.rows[0];
+        await recordStatusChange(client, created.id, req.user.userId, null, created.status, 'Imported');
+        await recordJobAudit(client, req, 'job.create', null, created, { via: 'import' });
+        await linkContactFromJob(client, req.user.userId, created);
+      }
+      return validRows.length;
+    });
+
+    res.status(201).json({ ...summary, imported });
+  } catch (err) {
+    console.error('Error importing jobs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get specific job application (user-owned only)
+app.get('/api/jobs/:id', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM job_applications WHERE id = $1 AND user_id = $2',
+      [id, req.user.userId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const [job] = await withJobTags(result.rows);
+    res.json(job);
+  } catch (err) {
+    console.error('Error fetching job:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Body of a job application create or update. Whether the status belongs to the
+// user's pipeline and the tags to the user is checked by the handlers.
+const JOB_SCHEMA = {
+  company_name: { type: 'string', label: 'Company name', required: true, maxLength: 255 },
+  job_title: { type: 'string', label: 'Job title', required: true, maxLength: 255 },
+  job_url: { type: 'url', label: 'Job URL', maxLength: 2000 },
+  location: { type: 'string', label: 'Location', maxLength: 255 },
+  source: { type: 'string', label: 'Source', maxLength: 100 },
+  salary_range: { type: 'string', label: 'Salary range', maxLength: 100 },
+  salary_min: { type: 'integer', label: 'Minimum salary', min: 0 },
+  salary_max: { type: 'integer', label: 'Maximum salary', min: 0 },
+  salary_currency: { type: 'string', label: 'Salary currency', pattern: /^[A-Za-z]{3}$/, patternMessage: 'Salary currency must be a 3-letter ISO code such as USD' },
+  salary_period: { type: 'enum', label: 'Salary period', values: SALARY_PERIODS },
+  application_date: { type: 'date', label: 'Application date' },
+  follow_up_date: { type: 'date', label: 'Follow-up date' },
+  status: { type: 'string', label: 'Status', maxLength: 50 },
+  status_note: { type: 'string', label: 'Status note', maxLength: 1000 },
+  description: { type: 'string', label: 'Description', maxLength: 50000 },
+  requirements: { type: 'string', label: 'Requirements', maxLength: 50000 },
+  notes: { type: 'string', label: 'Notes', maxLength: 50000 },
+  contact_person: { type: 'string', label: 'Contact person', maxLength: 255 },
+  contact_email: { type: 'email', label: 'Contact email', maxLength: 255 },
+  tag_ids: { type: 'ids', label: 'Tags' }
+};
+
+// Create new job application
+app.post('/api/jobs', authenticateToken, validateRequest({ body: JOB_SCHEMA }), async (req, res) => {
+  try {
+    const {
+      company_name,
+      job_title,
+      job_url,
+      location,
+      salary_range,
+      application_date,
+      description,
+      requirements,
+      notes,
+      contact_person,
+      contact_email,
+      follow_up_date,
+      source,
+      status_note
+    } = req.body;
+
+    const { salary, error: salaryError, field: salaryField } = resolveSalary(req.body);
+    if (salaryError) {
+      return sendFieldErrors(res, { [salaryField]: salaryError });
+    }
+
+    const { tagIds, error: tagError } = await resolveTagIds(req.user.userId, req.body.tag_ids);
+    if (tagError) {
+      return sendFieldErrors(res, { tag_ids: tagError });
+    }
+
+    const { status, error: statusError } = resolveStatus(await getPipelineStages(req.user.userId), req.body.status);
+    if (statusError) {
+      return sendFieldErrors(res, { status: statusError });
+    }
+
+    // Convert empty date strings to null
+    const app_date = application_date || null;
+    const followup_date = follow_up_date || null;
+
+    const job = await withTransaction(async (client) => {
+      const companyId = await findOrCreateCompany(client, req.user.userId, company_name);
+
+      const result = await client.query(`
+        INSERT INTO job_applications 
+        (user_id, company_name, job_title, job_url, location, salary_range, application_date, 
+         status, description, requirements, notes, contact_person, contact_email, follow_up_date,
+         salary_min, salary_max, salary_currency, salary_period, company_id, source)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+        RETURNING *
+      `, [req.user.userId, company_name, job_title, job_url, location, salary_range, app_date,
+          status, description, requirements, notes, contact_person, contact_email, followup_date,
+          salary.salary_min, salary.salary_max, salary.salary_currency, salary.salary_period, companyId,
+          source || null]);
+
+      const created = result.rows[0];
+      await recordStatusChange(client, created.id, req.user.userId, null, created.status, status_note);
+      await recordJobAudit(client, req, 'job.create', null, created);
+      await linkContactFromJob(client, req.user.userId, created);
+      if (tagIds) {
+        await setJobTags(client, req.user.userId, created.id, tagIds);
+      }
+      return created;
+    });
+
+    const [tagged] = await withJobTags([job]);
+    res.status(201).json(tagged);
+  } catch (err) {
+    console.error('Error creating job application:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update job application (user-owned only)
+app.put('/api/jobs/:id', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }), body: JOB_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      company_name,
+      job_title,
+      job_url,
+      location,
+      salary_range,
+      application_date,
+      status,
+      description,
+      requirements,
+      notes,
+      contact_person,
+      contact_email,
+      follow_up_date,
+      source,
+      status_note
+    } = req.body;
+
+    const { salary, error: salaryError, field: salaryField } = resolveSalary(req.body);
+    if (salaryError) {
+      return sendFieldErrors(res, { [salaryField]: salaryError });
+    }
+
+    const { tagIds, error: tagError } = await resolveTagIds(req.user.userId, req.body.tag_ids);
+    if (tagError) {
+      return sendFieldErrors(res, { tag_ids: tagError });
+    }
+
+    const stages = await getPipelineStages(req.user.userId);
+
+    // Convert empty date strings to null
+    const app_date = application_date || null;
+    const followup_date = follow_up_date || null;
+
+    const outcome = await withTransaction(async (client) => {
+      // Lock the row so concurrent updates record transitions in order
+      const existing = await client.query(
+        'SELECT * FROM job_applications WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [id, req.user.userId]
+      );
+
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      const previousStatus = existing.rows[0].status;
+      const { status: newStatus, error: statusError } = resolveStatus(stages, status, previousStatus);
+      if (statusError) {
+        return { error: statusError };
+      }
+
+      // The company link is only re-resolved when the name changes, so a link made
+      // on purpose (e.g. by merging companies) survives edits to other fields
+      const companyId = company_name === existing.rows[0].company_name
+        ? existing.rows[0].company_id
+        : await findOrCreateCompany(client, req.user.userId, company_name);
+
+      const result = await client.query(`
+        UPDATE job_applications 
+        SET company_name = $1, job_title = $2, job_url = $3, location = $4, 
+            salary_range = $5, application_date = $6, status = $7, description = $8,
+            requirements = $9, notes = $10, contact_person = $11, contact_email = $12,
+            follow_up_date = $13, salary_min = $16, salary_max = $17, salary_currency = $18,
+            salary_period = $19, company_id = $20, source = $21, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $14 AND user_id = $15
+        RETURNING *
+      `, [company_name, job_title, job_url, location, salary_range, app_date,
+          newStatus, description, requirements, notes, contact_person, contact_email, 
+          followup_date, id, req.user.userId, salary.salary_min, salary.salary_max,
+          salary.salary_currency, salary.salary_period, companyId, source || null]);
+
+      if (newStatus !== previousStatus) {
+        await recordStatusChange(client, id, req.user.userId, previousStatus, newStatus, status_note);
+      }
+      await recordJobAudit(client, req, 'job.update', existing.rows[0], result.rows[0]);
+
+      // Only a changed contact is linked again, so unlinking it from the application sticks
+      if ((contact_person || null) !== existing.rows[0].contact_person ||
+          (contact_email || null) !== existing.rows[0].contact_email) {
+        await linkContactFromJob(client, req.user.userId, result.rows[0]);
+      }
+
+      // Tags are only replaced when the payload includes tag_ids
+      if (tagIds) {
+        await setJobTags(client, req.user.userId, id, tagIds);
+      }
+
+      return { job: result.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    if (outcome.error) {
+      return sendFieldErrors(res, { status: outcome.error });
+    }
+
+    const [tagged] = await withJobTags([outcome.job]);
+    res.json(tagged);
+  } catch (err) {
+    console.error('Error updating job application:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change only the status (and optionally the board position) of a job application
+app.patch('/api/jobs/:id/status', authenticateToken, validateRequest({
+  params: idParams({ id: 'job ID' }),
+  body: {
+    status: { type: 'string', label: 'Status', required: true, maxLength: 50 },
+    note: { type: 'string', label: 'Note', maxLength: 1000 },
+    position: { type: 'integer', label: 'Position', min: 0 }
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status: requestedStatus, note } = req.body;
+    const position = req.body.position === undefined || req.body.position === null || req.body.position === ''
+      ? null
+      : Number(req.body.position);
+
+    const stages = await getPipelineStages(req.user.userId);
+
+    const outcome = await withTransaction(async (client) => {
+      const existing = await client.query(
+        'SELECT * FROM job_applications WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [id, req.user.userId]
+      );
+
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      const previousStatus = existing.rows[0].status;
+      const { status, error: statusError } = resolveStatus(stages, requestedStatus, previousStatus);
+      if (statusError) {
+        return { error: statusError };
+      }
+
+      const result = await client.query(`
+        UPDATE job_applications
+        SET status = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND user_id = $3
+        RETURNING *
+      `, [status, id, req.user.userId]);
+
+      if (status !== previousStatus) {
+        await recordStatusChange(client, id, req.user.userId, previousStatus, status, note);
+      }
+      await recordJobAudit(client, req, 'job.update', existing.rows[0], result.rows[0]);
+
+      // Renumber the target column with the card inserted at the requested position
+      if (position !== null) {
+        const column = await client.query(`
+          SELECT id FROM job_applications
+          WHERE user_id = $1 AND status = $2 AND id <> $3
+          ORDER BY board_position ASC NULLS FIRST, created_at DESC, id DESC
+          FOR UPDATE
+        `, [req.user.userId, status, id]);
+
+        const orderedIds = column.rows.map(row => row.id);
+        orderedIds.splice(Math.min(position, orderedIds.length), 0, Number(id));
+
+        await client.query(`
+          UPDATE job_applications j
+          SET board_position = ordered.position - 1
+          FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, position)
+          WHERE j.id = ordered.id AND j.user_id = $2
+        `, [orderedIds, req.user.userId]);
+
+        result.rows[0].board_position = orderedIds.indexOf(Number(id));
+      }
+
+      return { job: result.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    if (outcome.error) {
+      return sendFieldErrors(res, { status: outcome.error });
+    }
+
+    res.json(outcome.job);
+  } catch (err) {
+    console.error('Error updating job status:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get status change history for a job application (user-owned only)
+app.get('/api/jobs/:id/history', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT id, old_status, new_status, note, changed_at
+      FROM job_status_history
+      WHERE job_id = $1
+      ORDER BY changed_at ASC, id ASC
+    `, [id]);
+
+    res.json({ history: result.rows });
+  } catch (err) {
+    console.error('Error fetching job history:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete job application (user-owned only)
+app.delete('/api/jobs/:id', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM job_applications WHERE id = $1 AND user_id = $2 RETURNING *',
+        [id, req.user.userId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      await recordJobAudit(client, req, 'job.delete', result.rows[0], null);
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    res.json({ message: 'Job application deleted successfully', deleted });
+  } catch (err) {
+    console.error('Error deleting job application:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// COMPANY ENDPOINTS
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5001-10000', '10000+'];
+
+// Body of a company create or update
+const COMPANY_SCHEMA = {
+  name: { type: 'string', label: 'Company name', required: true, maxLength: 255 },
+  website: { type: 'url', label: 'Website', maxLength: 2000 },
+  industry: { type: 'string', label: 'Industry', maxLength: 100 },
+  size: { type: 'enum', label: 'Size', values: COMPANY_SIZES },
+  headquarters: { type: 'string', label: 'Headquarters', maxLength: 255 },
+  notes: { type: 'string', label: 'Notes', maxLength: 50000 }
+};
+
+// Application counts per status for the given companies, keyed by company id
+async function companyStatusCounts(userId, companyIds) {
+  const result = await pool.query(`
+    SELECT company_id, status, COUNT(*)::int AS count
+    FROM job_applications
+    WHERE user_id = $1 AND company_id = ANY($2)
+    GROUP BY company_id, status
+  `, [userId, companyIds]);
+
+  const counts = {};
+  for (const row of result.rows) {
+    counts[row.company_id] = { ...counts[row.company_id], [row.status]: row.count };
+  }
+  return counts;
+}
+
+// List companies with application counts and outcomes
+app.get('/api/companies', authenticateToken, validateRequest({
+  query: { q: { type: 'string', label: 'Search', maxLength: 255 } }
+}), async (req, res) => {
+  try {
+    const params = [req.user.userId];
+    let filter = '';
+    if (req.query.q && req.query.q.trim()) {
+      params.push(`%${req.query.q.trim()}%`);
+      filter = `AND (c.name ILIKE $2 OR c.industry ILIKE $2)`;
+    }
+
+    const result = await pool.query(`
+      SELECT c.*,
+        COUNT(j.id)::int AS application_count,
+        COUNT(j.id) FILTER (WHERE ${openStatusCondition('j')})::int AS active_count,
+        MAX(j.application_date) AS last_applied
+      FROM companies c
+      LEFT JOIN job_applications j ON j.company_id = c.id
+      WHERE c.user_id = $1 ${filter}
+      GROUP BY c.id
+      ORDER BY lower(c.name)
+    `, params);
+
+    const counts = await companyStatusCounts(req.user.userId, result.rows.map(company => company.id));
+
+    res.json({
+      companies: result.rows.map(company => ({ ...company, status_counts: counts[company.id] || {} }))
+    });
+  } catch (err) {
+    console.error('Error fetching companies:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a company with every application made there (user-owned only)
+app.get('/api/companies/:id', authenticateToken, validateRequest({ params: idParams({ id: 'company ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'SELECT * FROM companies WHERE id = $1 AND user_id = $2',
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const applications = await pool.query(`
+      SELECT * FROM job_applications
+      WHERE company_id = $1 AND user_id = $2
+      ORDER BY application_date DESC NULLS LAST, created_at DESC
+    `, [id, req.user.userId]);
+
+    const contacts = await pool.query(
+      'SELECT id, name, title, email, phone FROM contacts WHERE company_id = $1 AND user_id = $2 ORDER BY lower(name)',
+      [id, req.user.userId]
+    );
+
+    const counts = await companyStatusCounts(req.user.userId, [result.rows[0].id]);
+
+    res.json({
+      ...result.rows[0],
+      status_counts: counts[result.rows[0].id] || {},
+      applications: applications.rows,
+      contacts: contacts.rows
+    });
+  } catch (err) {
+    console.error('Error fetching company:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a company
+app.post('/api/companies', authenticateToken, validateRequest({ body: COMPANY_SCHEMA }), async (req, res) => {
+  try {
+    const { name, website, industry, size, headquarters, notes } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO companies (user_id, name, normalized_name, website, industry, size, headquarters, notes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [req.user.userId, name.trim(), normalizeCompanyName(name), website || null, industry || null,
+        size || null, headquarters || null, notes || null]);
+
+    res.status(201).json({ ...result.rows[0], status_counts: {}, applications: [], contacts: [] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A company with this name already exists' });
+    }
+    console.error('Error creating company:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a company (user-owned only). Renaming it renames its applications too.
+app.put('/api/companies/:id', authenticateToken, validateRequest({ params: idParams({ id: 'company ID' }), body: COMPANY_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, website, industry, size, headquarters, notes } = req.body;
+
+    const company = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE companies
+        SET name = $1, normalized_name = $2, website = $3, industry = $4, size = $5,
+            headquarters = $6, notes = $7, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $8 AND user_id = $9
+        RETURNING *
+      `, [name.trim(), normalizeCompanyName(name), website || null, industry || null, size || null,
+          headquarters || null, notes || null, id, req.user.userId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        'UPDATE job_applications SET company_name = $1 WHERE company_id = $2 AND company_name <> $1',
+        [result.rows[0].name, id]
+      );
+
+      return result.rows[0];
+    });
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json(company);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A company with this name already exists; merge them instead' });
+    }
+    console.error('Error updating company:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Merge other companies into this one: their applications move over and they are deleted
+app.post('/api/companies/:id/merge', authenticateToken, validateRequest({
+  params: idParams({ id: 'company ID' }),
+  body: { company_ids: { type: 'ids', label: 'Companies to merge', required: true } }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sourceIds = parseIdList(req.body.company_ids).filter(sourceId => sourceId !== Number(id));
+
+    const company = await withTransaction(async (client) => {
+      const target = await client.query(
+        'SELECT * FROM companies WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [id, req.user.userId]
+      );
+
+      if (target.rows.length === 0) {
+        return null;
+      }
+
+      const sources = await client.query(
+        'SELECT * FROM companies WHERE id = ANY($1) AND user_id = $2 ORDER BY id',
+        [sourceIds, req.user.userId]
+      );
+
+      if (sources.rows.length !== sourceIds.length) {
+        return { missing: true };
+      }
+
+      // Keep the target's details and fill its blanks from the merged companies
+      const merged = { ...target.rows[0] };
+      for (const source of sources.rows) {
+        for (const field of ['website', 'industry', 'size', 'headquarters']) {
+          merged[field] = merged[field] || source[field];
+        }
+        if (source.notes) {
+          merged.notes = merged.notes ? `${merged.notes}\n\n${source.notes}` : source.notes;
+        }
+      }
+
+      await client.query(
+        'UPDATE job_applications SET company_id = $1, company_name = $2 WHERE company_id = ANY($3) AND user_id = $4',
+        [id, merged.name, sourceIds, req.user.userId]
+      );
+      await client.query(
+        'UPDATE contacts SET company_id = $1 WHERE company_id = ANY($2) AND user_id = $3',
+        [id, sourceIds, req.user.userId]
+      );
+      await client.query('DELETE FROM companies WHERE id = ANY($1) AND user_id = $2', [sourceIds, req.user.userId]);
+
+      const result = await client.query(`
+        UPDATE companies
+        SET website = $1, industry = $2, size = $3, headquarters = $4, notes = $5, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6
+        RETURNING *
+      `, [merged.website, merged.industry, merged.size, merged.headquarters, merged.notes, id]);
+
+      return result.rows[0];
+    });
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    if (company.missing) {
+      return res.status(404).json({ error: 'One or more companies to merge were not found' });
+    }
+
+    res.json({ ...company, merged: sourceIds.length });
+  } catch (err) {
+    console.error('Error merging companies:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a company that no longer has applications (user-owned only)
+app.delete('/api/companies/:id', authenticateToken, validateRequest({ params: idParams({ id: 'company ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM companies
+      WHERE id = $1 AND user_id = $2
+        AND NOT EXISTS (SELECT 1 FROM job_applications WHERE company_id = $1)
+      RETURNING *
+    `, [id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      const exists = await pool.query(
+        'SELECT 1 FROM companies WHERE id = $1 AND user_id = $2',
+        [id, req.user.userId]
+      );
+      if (exists.rows.length > 0) {
+        return res.status(409).json({ error: 'Company still has applications; delete or merge them first' });
+      }
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    res.json({ message: 'Company deleted successfully', deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting company:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CONTACT ENDPOINTS
+
+const CONTACT_ROLES = ['recruiter', 'hiring_manager', 'referrer', 'interviewer', 'other'];
+const INTERACTION_KINDS = ['email', 'call', 'video_call', 'meeting', 'coffee_chat', 'message', 'other'];
+
+// Contact columns plus the name of the linked company
+const CONTACT_SELECT = `
+  SELECT ct.*, c.name AS company_name
+  FROM contacts ct
+  LEFT JOIN companies c ON c.id = ct.company_id
+`;
+
+// Body of a contact create or update
+const CONTACT_SCHEMA = {
+  name: { type: 'string', label: 'Name', required: true, maxLength: 255 },
+  title: { type: 'string', label: 'Title', maxLength: 255 },
+  company_name: { type: 'string', label: 'Company', maxLength: 255 },
+  email: { type: 'email', label: 'Email', maxLength: 255 },
+  phone: { type: 'string', label: 'Phone', maxLength: 50 },
+  linkedin_url: { type: 'url', label: 'LinkedIn URL', maxLength: 2000 },
+  how_we_met: { type: 'string', label: 'How we met', maxLength: 50000 },
+  notes: { type: 'string', label: 'Notes', maxLength: 50000 }
+};
+
+// Column values for a contact insert/update; a company name is resolved to a company
+async function contactValues(client, userId, body) {
+  const companyId = body.company_name && String(body.company_name).trim()
+    ? await findOrCreateCompany(client, userId, body.company_name)
+    : null;
+
+  return [String(body.name).trim(), body.title || null, companyId, body.email || null, body.phone || null,
+    body.linkedin_url || null, body.how_we_met || null, body.notes || null];
+}
+
+// Turn an application's contact_person/contact_email into a contact linked to it.
+// An existing contact is reused when the email (or, without one, the name) matches.
+async function linkContactFromJob(client, userId, job) {
+  const name = (job.contact_person || '').trim();
+  const email = (job.contact_email || '').trim();
+
+  if (!name && !email) {
+    return null;
+  }
+
+  const existing = email
+    ? await client.query('SELECT id FROM contacts WHERE user_id = $1 AND lower(email) = lower($2) ORDER BY id LIMIT 1', [userId, email])
+    : await client.query('SELECT id FROM contacts WHERE user_id = $1 AND lower(name) = lower($2) ORDER BY id LIMIT 1', [userId, name]);
+
+  let contactId;
+  if (existing.rows.length > 0) {
+    contactId = existing.rows[0].id;
+  } else {
+    const created = await client.query(
+      'INSERT INTO contacts (user_id, company_id, name, email) VALUES ($1, $2, $3, $4) RETURNING id',
+      [userId, job.company_id || null, name || email, email || null]
+    );
+    contactId = created.rows[0].id;
+  }
+
+  await client.query(`
+    INSERT INTO job_contacts (job_id, contact_id, user_id, role)
+    VALUES ($1, $2, $3, 'other')
+    ON CONFLICT (job_id, contact_id) DO NOTHING
+  `, [job.id, contactId, userId]);
+
+  return contactId;
+}
+
+// One-off migration of the per-application contact columns into contacts
+async function migrateContacts(client) {
+  const result = await client.query(`
+    SELECT id, user_id, company_id, contact_person, contact_email
+    FROM job_applications
+    WHERE user_id IS NOT NULL AND (COALESCE(contact_person, '') <> '' OR COALESCE(contact_email, '') <> '')
+    ORDER BY created_at, id
+  `);
+
+  for (const job of result.rows) {
+    await linkContactFromJob(client, job.user_id, job);
+  }
+
+  const contacts = await client.query('SELECT COUNT(*) FROM contacts');
+  console.log(`Linked ${result.rows.length} application contacts to ${contacts.rows[0].count} contact records`);
+}
+
+// Interaction row with its date as YYYY-MM-DD
+function formatInteraction(interaction) {
+  return {
+    ...interaction,
+    occurred_on: interaction.occurred_on ? formatDateOnly(interaction.occurred_on) : null
+  };
+}
+
+// List contacts with the number of linked applications and the latest interaction
+app.get('/api/contacts', authenticateToken, validateRequest({
+  query: {
+    q: { type: 'string', label: 'Search', maxLength: 255 },
+    company_id: { type: 'id', label: 'company_id', message: 'company_id must be a company ID' }
+  }
+}), async (req, res) => {
+  try {
+    const params = [req.user.userId];
+    const conditions = ['ct.user_id = $1'];
+
+    if (req.query.q && req.query.q.trim()) {
+      params.push(`%${req.query.q.trim()}%`);
+      conditions.push(`(ct.name ILIKE $${params.length} OR ct.email ILIKE $${params.length} OR c.name ILIKE $${params.length})`);
+    }
+
+    if (req.query.company_id) {
+      params.push(req.query.company_id);
+      conditions.push(`ct.company_id = $${params.length}`);
+    }
+
+    const result = await pool.query(`
+      SELECT ct.*, c.name AS company_name,
+        (SELECT COUNT(*)::int FROM job_contacts jc WHERE jc.contact_id = ct.id) AS application_count,
+        (SELECT MAX(occurred_on) FROM contact_interactions ci WHERE ci.contact_id = ct.id) AS last_interaction
+      FROM contacts ct
+      LEFT JOIN companies c ON c.id = ct.company_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY lower(ct.name)
+    `, params);
+
+    res.json({
+      contacts: result.rows.map(contact => ({
+        ...contact,
+        last_interaction: contact.last_interaction ? formatDateOnly(contact.last_interaction) : null
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching contacts:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a contact with linked applications and the interaction log (user-owned only)
+app.get('/api/contacts/:id', authenticateToken, validateRequest({ params: idParams({ id: 'contact ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`${CONTACT_SELECT} WHERE ct.id = $1 AND ct.user_id = $2`, [id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const applications = await pool.query(`
+      SELECT j.id, j.job_title, j.company_name, j.status, j.application_date, jc.role
+      FROM job_contacts jc
+      JOIN job_applications j ON j.id = jc.job_id
+      WHERE jc.contact_id = $1
+      ORDER BY j.application_date DESC NULLS LAST, j.created_at DESC
+    `, [id]);
+
+    const interactions = await pool.query(`
+      SELECT ci.*, j.job_title, j.company_name
+      FROM contact_interactions ci
+      LEFT JOIN job_applications j ON j.id = ci.job_id
+      WHERE ci.contact_id = $1
+      ORDER BY ci.occurred_on DESC NULLS LAST, ci.created_at DESC
+    `, [id]);
+
+    res.json({
+      ...result.rows[0],
+      applications: applications.rows,
+      interactions: interactions.rows.map(formatInteraction)
+    });
+  } catch (err) {
+    console.error('Error fetching contact:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a contact
+app.post('/api/contacts', authenticateToken, validateRequest({ body: CONTACT_SCHEMA }), async (req, res) => {
+  try {
+    const contact = await withTransaction(async (client) => {
+      const values = await contactValues(client, req.user.userId, req.body);
+      const result = await client.query(`
+        INSERT INTO contacts (user_id, name, title, company_id, email, phone, linkedin_url, how_we_met, notes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [req.user.userId, ...values]);
+
+      const created = await client.query(`${CONTACT_SELECT} WHERE ct.id = $1`, [result.rows[0].id]);
+      return created.rows[0];
+    });
+
+    res.status(201).json(contact);
+  } catch (err) {
+    console.error('Error creating contact:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a contact (user-owned only)
+app.put('/api/contacts/:id', authenticateToken, validateRequest({ params: idParams({ id: 'contact ID' }), body: CONTACT_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const contact = await withTransaction(async (client) => {
+      const values = await contactValues(client, req.user.userId, req.body);
+      const result = await client.query(`
+        UPDATE contacts
+        SET name = $1, title = $2, company_id = $3, email = $4, phone = $5, linkedin_url = $6,
+            how_we_met = $7, notes = $8, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $9 AND user_id = $10
+        RETURNING id
+      `, [...values, id, req.user.userId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const updated = await client.query(`${CONTACT_SELECT} WHERE ct.id = $1`, [id]);
+      return updated.rows[0];
+    });
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json(contact);
+  } catch (err) {
+    console.error('Error updating contact:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a contact with its links and interaction log (user-owned only)
+app.delete('/api/contacts/:id', authenticateToken, validateRequest({ params: idParams({ id: 'contact ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM contacts WHERE id = $1 AND user_id = $2 RETURNING *',
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    res.json({ message: 'Contact deleted successfully', deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting contact:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log an interaction (email, call, coffee chat...) with a contact
+app.post('/api/contacts/:id/interactions', authenticateToken, validateRequest({
+  params: idParams({ id: 'contact ID' }),
+  body: {
+    kind: { type: 'enum', label: 'Kind', values: INTERACTION_KINDS },
+    occurred_on: { type: 'date', label: 'Date' },
+    summary: { type: 'string', label: 'Summary', maxLength: 50000 },
+    job_id: { type: 'id', label: 'application ID' }
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { occurred_on, summary, job_id } = req.body;
+    const kind = req.body.kind || 'email';
+    const occurredOn = occurred_on || formatDateOnly(new Date());
+
+    if (job_id && !(await userOwnsJob(job_id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const contact = await pool.query(
+      'SELECT id FROM contacts WHERE id = $1 AND user_id = $2',
+      [id, req.user.userId]
+    );
+    if (contact.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO contact_interactions (contact_id, user_id, job_id, kind, occurred_on, summary)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [id, req.user.userId, job_id || null, kind, occurredOn, summary || null]);
+
+    res.status(201).json(formatInteraction(result.rows[0]));
+  } catch (err) {
+    console.error('Error logging interaction:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an interaction log entry (user-owned only)
+app.delete('/api/contacts/:id/interactions/:interactionId', authenticateToken, validateRequest({ params: idParams({ id: 'contact ID', interactionId: 'interaction ID' }) }), async (req, res) => {
+  try {
+    const { id, interactionId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM contact_interactions WHERE id = $1 AND contact_id = $2 AND user_id = $3 RETURNING *',
+      [interactionId, id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Interaction not found' });
+    }
+
+    res.json({ message: 'Interaction deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting interaction:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List contacts linked to a job application (user-owned only)
+app.get('/api/jobs/:id/contacts', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT ct.*, c.name AS company_name, jc.role
+      FROM job_contacts jc
+      JOIN contacts ct ON ct.id = jc.contact_id
+      LEFT JOIN companies c ON c.id = ct.company_id
+      WHERE jc.job_id = $1
+      ORDER BY jc.created_at, ct.id
+    `, [id]);
+
+    res.json({ contacts: result.rows });
+  } catch (err) {
+    console.error('Error fetching job contacts:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Link a contact to a job application with a role, or change the role of an existing link
+app.put('/api/jobs/:id/contacts/:contactId', authenticateToken, validateRequest({
+  params: idParams({ id: 'job ID', contactId: 'contact ID' }),
+  body: { role: { type: 'enum', label: 'Role', values: CONTACT_ROLES } }
+}), async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+    const role = req.body.role || 'other';
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const contact = await pool.query(
+      'SELECT id FROM contacts WHERE id = $1 AND user_id = $2',
+      [contactId, req.user.userId]
+    );
+    if (contact.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO job_contacts (job_id, contact_id, user_id, role)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (job_id, contact_id) DO UPDATE SET role = EXCLUDED.role
+      RETURNING *
+    `, [id, contactId, req.user.userId, role]);
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error linking contact:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlink a contact from a job application (the contact itself is kept)
+app.delete('/api/jobs/:id/contacts/:contactId', authenticateToken, validateRequest({ params: idParams({ id: 'job ID', contactId: 'contact ID' }) }), async (req, res) => {
+  try {
+    const { id, contactId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM job_contacts WHERE job_id = $1 AND contact_id = $2 AND user_id = $3 RETURNING *',
+      [id, contactId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Contact is not linked to this application' });
+    }
+
+    res.json({ message: 'Contact unlinked successfully' });
+  } catch (err) {
+    console.error('Error unlinking contact:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DOCUMENT STORAGE
+
+// Sign a request for an S3-compatible store with AWS Signature Version 4.
+// `headers` must include host; returns the Authorization header value.
+function signS3Request({ method, path: canonicalPath, query = '', headers, payloadHash, date, region, accessKeyId, secretAccessKey }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lookup = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map(name => `${name}:${String(lookup[name]).trim()}\n`).join('');
+  const signedHeaders = names.join(';');
+
+  const canonicalRequest = [method, canonicalPath, query, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+// Send a signed request for one object. Objects are addressed path-style
+// (<endpoint>/<bucket>/<key>), which both AWS S3 and MinIO accept.
+async function s3Request(method, key, body, extraHeaders = {}) {
+  const url = new URL(`${S3_ENDPOINT}/${encodeURIComponent(S3_BUCKET)}/${key.split('/').map(encodeURIComponent).join('/')}`);
+  const date = new Date();
+  const payloadHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  const headers = {
+    ...extraHeaders,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+  };
+
+  const authorization = signS3Request({
+    method,
+    path: url.pathname,
+    headers: { ...headers, host: url.host },
+    payloadHash,
+    date,
+    region: S3_REGION,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  });
+
+  const response = await fetch(url, { method, body, headers: { ...headers, Authorization: authorization } });
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+  }
+  return response;
+}
+
+// Storage drivers for uploaded files. Each exposes async put(key, buffer, contentType),
+// get(key) resolving to a Buffer, and remove(key). Keys are generated by the server.
+const storageDrivers = {
+  local: {
+    put: async (key, data) => {
+      const file = path.join(STORAGE_LOCAL_DIR, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+    get: (key) => fs.promises.readFile(path.join(STORAGE_LOCAL_DIR, key)),
+    remove: (key) => fs.promises.rm(path.join(STORAGE_LOCAL_DIR, key), { force: true })
+  },
+  s3: {
+    put: async (key, data, contentType) => {
+      await s3Request('PUT', key, data, { 'content-type': contentType });
+    },
+    get: async (key) => {
+      const response = await s3Request('GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+    remove: async (key) => {
+      await s3Request('DELETE', key);
+    }
+  }
+};
+
+// Each stored file remembers its driver, so switching STORAGE_DRIVER keeps old files readable
+function storageDriver(name) {
+  const driver = storageDrivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return driver;
+}
+
+// Remove stored files after their rows are gone; failures only leave orphaned files behind
+async function removeStoredFiles(documents) {
+  for (const document of documents) {
+    try {
+      await storageDriver(document.storage_driver).remove(document.storage_key);
+    } catch (err) {
+      console.error(`Error removing stored file ${document.storage_key}:`, err);
+    }
+  }
+}
+
+// DOCUMENT ENDPOINTS
+
+const DOCUMENT_KINDS = ['resume', 'cover_letter', 'portfolio', 'transcript', 'other'];
+
+// Accepted upload types with their extensions and a check of the file's leading bytes,
+// so a renamed executable is not stored as a PDF
+const DOCUMENT_TYPES = {
+  'application/pdf': {
+    extensions: ['.pdf'],
+    matches: (data) => data.subarray(0, 5).toString('latin1') === '%PDF-'
+  },
+  'application/msword': {
+    extensions: ['.doc'],
+    matches: (data) => data.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]))
+  },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extensions: ['.docx'],
+    matches: (data) => data.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))
+  },
+  'application/vnd.oasis.opendocument.text': {
+    extensions: ['.odt'],
+    matches: (data) => data.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))
+  },
+  'application/rtf': {
+    extensions: ['.rtf'],
+    matches: (data) => data.subarray(0, 5).toString('latin1') === '{\\rtf'
+  },
+  'text/plain': {
+    extensions: ['.txt'],
+    matches: (data) => !data.includes(0)
+  },
+  'text/markdown': {
+    extensions: ['.md', '.markdown'],
+    matches: (data) => !data.includes(0)
+  }
+};
+
+// Parse a single multipart "file" field into memory, answering 413/400 for rejected uploads
+const uploadSingleFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  defParamCharset: 'utf8' // browsers send non-ASCII filenames as raw UTF-8
+}).single('file');
+
+function receiveUpload(req, res, next) {
+  uploadSingleFile(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return sendFieldErrors(res, { file: `Files must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB` }, 413);
+    }
+    if (err) {
+      return sendFieldErrors(res, { file: err.message });
+    }
+    next();
+  });
+}
+
+// Check an uploaded file's declared type, extension and contents; returns an error message or null
+function validateUpload(file) {
+  if (!file) {
+    return 'A file is required';
+  }
+
+  if (file.size === 0) {
+    return 'The file is empty';
+  }
+
+  const type = DOCUMENT_TYPES[file.mimetype];
+  if (!type) {
+    return 'Only PDF, Word, OpenDocument, RTF, plain text and Markdown files can be uploaded';
+  }
+
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (!type.extensions.includes(extension)) {
+    return `A ${file.mimetype} file must have one of these extensions: ${type.extensions.join(', ')}`;
+  }
+
+  if (!type.matches(file.buffer)) {
+    return 'The file contents do not match its type';
+  }
+
+  return null;
+}
+
+// Documents with the applications they are linked to
+const DOCUMENT_SELECT = `
+  SELECT d.id, d.name, d.kind, d.filename, d.mime_type, d.size_bytes, d.checksum, d.created_at, d.updated_at,
+    COALESCE(json_agg(json_build_object('id', j.id, 'job_title', j.job_title, 'company_name', j.company_name)
+      ORDER BY j.id) FILTER (WHERE j.id IS NOT NULL), '[]') AS applications
+  FROM documents d
+  LEFT JOIN job_documents jd ON jd.document_id = d.id
+  LEFT JOIN job_applications j ON j.id = jd.job_id
+`;
+
+// List the user's document library
+app.get('/api/documents', authenticateToken, validateRequest({
+  query: { kind: { type: 'enum', label: 'Kind', values: DOCUMENT_KINDS } }
+}), async (req, res) => {
+  try {
+    const params = [req.user.userId];
+    let filter = '';
+    if (req.query.kind) {
+      params.push(req.query.kind);
+      filter = 'AND d.kind = $2';
+    }
+
+    const result = await pool.query(`
+      ${DOCUMENT_SELECT}
+      WHERE d.user_id = $1 ${filter}
+      GROUP BY d.id
+      ORDER BY d.created_at DESC, d.id DESC
+    `, params);
+
+    res.json({ documents: result.rows });
+  } catch (err) {
+    console.error('Error fetching documents:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Upload a document to the library (multipart field "file"), optionally linking it to an application
+app.post('/api/documents', authenticateToken, receiveUpload, validateRequest({
+  body: {
+    name: { type: 'string', label: 'Name', maxLength: 255 },
+    kind: { type: 'enum', label: 'Kind', values: DOCUMENT_KINDS },
+    job_id: { type: 'id', label: 'application ID' }
+  }
+}), async (req, res) => {
+  try {
+    const { name, job_id } = req.body;
+    const kind = req.body.kind || 'other';
+
+    const uploadError = validateUpload(req.file);
+    if (uploadError) {
+      return sendFieldErrors(res, { file: uploadError });
+    }
+
+    if (req.file.originalname.length > 255) {
+      return sendFieldErrors(res, { file: 'File names must be at most 255 characters' });
+    }
+    const displayName = (name || req.file.originalname).trim();
+
+    if (job_id && !(await userOwnsJob(job_id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const storageKey = `${req.user.userId}/${crypto.randomUUID()}${path.extname(req.file.originalname).toLowerCase()}`;
+    await storageDriver(STORAGE_DRIVER).put(storageKey, req.file.buffer, req.file.mimetype);
+
+    let documentId;
+    try {
+      documentId = await withTransaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO documents (user_id, name, kind, filename, mime_type, size_bytes, checksum, storage_driver, storage_key)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING id
+        `, [req.user.userId, displayName, kind, req.file.originalname, req.file.mimetype, req.file.size,
+            crypto.createHash('sha256').update(req.file.buffer).digest('hex'), STORAGE_DRIVER, storageKey]);
+
+        if (job_id) {
+          await client.query(
+            'INSERT INTO job_documents (job_id, document_id, user_id) VALUES ($1, $2, $3)',
+            [job_id, result.rows[0].id, req.user.userId]
+          );
+        }
+        return result.rows[0].id;
+      });
+    } catch (err) {
+      await removeStoredFiles([{ storage_driver: STORAGE_DRIVER, storage_key: storageKey }]);
+      throw err;
+    }
+
+    const created = await pool.query(`${DOCUMENT_SELECT} WHERE d.id = $1 GROUP BY d.id`, [documentId]);
+    res.status(201).json(created.rows[0]);
+  } catch (err) {
+    console.error('Error uploading document:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a document (user-owned only)
+app.get('/api/documents/:id/download', authenticateToken, validateRequest({ params: idParams({ id: 'document ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'SELECT filename, mime_type, storage_driver, storage_key FROM documents WHERE id = $1 AND user_id = $2',
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const document = result.rows[0];
+    const data = await storageDriver(document.storage_driver).get(document.storage_key);
+
+    // ASCII fallback plus the RFC 5987 UTF-8 name for non-ASCII filenames
+    const asciiName = document.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    res.set('Content-Type', document.mime_type);
+    res.set('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.filename)}`);
+    res.send(data);
+  } catch (err) {
+    console.error('Error downloading document:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a document or change its kind (user-owned only)
+app.put('/api/documents/:id', authenticateToken, validateRequest({
+  params: idParams({ id: 'document ID' }),
+  body: {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 255 },
+    kind: { type: 'enum', label: 'Kind', required: true, values: DOCUMENT_KINDS }
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, kind } = req.body;
+
+    const result = await pool.query(`
+      UPDATE documents SET name = $1, kind = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND user_id = $4
+      RETURNING id
+    `, [name.trim(), kind, id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const updated = await pool.query(`${DOCUMENT_SELECT} WHERE d.id = $1 GROUP BY d.id`, [id]);
+    res.json(updated.rows[0]);
+  } catch (err) {
+    console.error('Error updating document:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a document everywhere it is linked, and its stored file (user-owned only)
+app.delete('/api/documents/:id', authenticateToken, validateRequest({ params: idParams({ id: 'document ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM documents WHERE id = $1 AND user_id = $2 RETURNING id, name, storage_driver, storage_key',
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await removeStoredFiles(result.rows);
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting document:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List documents attached to a job application (user-owned only)
+app.get('/api/jobs/:id/documents', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT d.id, d.name, d.kind, d.filename, d.mime_type, d.size_bytes, d.created_at, jd.created_at AS attached_at
+      FROM job_documents jd
+      JOIN documents d ON d.id = jd.document_id
+      WHERE jd.job_id = $1
+      ORDER BY jd.created_at, d.id
+    `, [id]);
+
+    res.json({ documents: result.rows });
+  } catch (err) {
+    console.error('Error fetching job documents:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Attach a library document to a job application
+app.put('/api/jobs/:id/documents/:documentId', authenticateToken, validateRequest({ params: idParams({ id: 'job ID', documentId: 'document ID' }) }), async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const document = await pool.query(
+      'SELECT id FROM documents WHERE id = $1 AND user_id = $2',
+      [documentId, req.user.userId]
+    );
+    if (document.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await pool.query(`
+      INSERT INTO job_documents (job_id, document_id, user_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (job_id, document_id) DO NOTHING
+    `, [id, documentId, req.user.userId]);
+
+    res.json({ message: 'Document attached successfully' });
+  } catch (err) {
+    console.error('Error attaching document:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Detach a document from a job application (it stays in the library)
+app.delete('/api/jobs/:id/documents/:documentId', authenticateToken, validateRequest({ params: idParams({ id: 'job ID', documentId: 'document ID' }) }), async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM job_documents WHERE job_id = $1 AND document_id = $2 AND user_id = $3 RETURNING *',
+      [id, documentId, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document is not attached to this application' });
+    }
+
+    res.json({ message: 'Document detached successfully' });
+  } catch (err) {
+    console.error('Error detaching document:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// TAG ENDPOINTS
+
+// Body of a tag create or update
+const TAG_SCHEMA = {
+  name: { type: 'string', label: 'Tag name', required: true, maxLength: 50 },
+  color: { type: 'color', label: 'Color' }
+};
+
+// List the user's tags with the number of applications carrying each
+app.get('/api/tags', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.*, COUNT(jt.job_id)::int AS job_count
+      FROM tags t
+      LEFT JOIN job_tags jt ON jt.tag_id = t.id
+      WHERE t.user_id = $1
+      GROUP BY t.id
+      ORDER BY lower(t.name)
+    `, [req.user.userId]);
+
+    res.json({ tags: result.rows });
+  } catch (err) {
+    console.error('Error fetching tags:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a tag
+app.post('/api/tags', authenticateToken, validateRequest({ body: TAG_SCHEMA }), async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const result = await pool.query(`
+      INSERT INTO tags (user_id, name, color)
+      VALUES ($1, $2, COALESCE($3, '#64748b'))
+      RETURNING *
+    `, [req.user.userId, name.trim(), color || null]);
+
+    res.status(201).json({ ...result.rows[0], job_count: 0 });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendFieldErrors(res, { name: 'A tag with this name already exists' }, 409);
+    }
+    console.error('Error creating tag:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename or recolor a tag (user-owned only)
+app.put('/api/tags/:id', authenticateToken, validateRequest({ params: idParams({ id: 'tag ID' }), body: TAG_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, color } = req.body;
+
+    const result = await pool.query(`
+      UPDATE tags
+      SET name = $1, color = COALESCE($2, color), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND user_id = $4
+      RETURNING *
+    `, [name.trim(), color || null, id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendFieldErrors(res, { name: 'A tag with this name already exists' }, 409);
+    }
+    console.error('Error updating tag:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a tag and remove it from every application (user-owned only)
+app.delete('/api/tags/:id', authenticateToken, validateRequest({ params: idParams({ id: 'tag ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM tags WHERE id = $1 AND user_id = $2 RETURNING *',
+      [id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting tag:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the tags of a job application (user-owned only)
+app.put('/api/jobs/:id/tags', authenticateToken, validateRequest({
+  params: idParams({ id: 'job ID' }),
+  body: { tag_ids: { type: 'ids', label: 'Tags' } }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const { tagIds, error } = await resolveTagIds(req.user.userId, req.body.tag_ids || []);
+    if (error) {
+      return sendFieldErrors(res, { tag_ids: error });
+    }
+
+    await withTransaction(client => setJobTags(client, req.user.userId, id, tagIds));
+
+    const [job] = await withJobTags([{ id: parseInt(id) }]);
+    res.json({ tags: job.tags });
+  } catch (err) {
+    console.error('Error updating job tags:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PIPELINE ENDPOINTS
+
+// Body of a pipeline stage create or update
+const STAGE_SCHEMA = {
+  name: { type: 'string', label: 'Stage name', required: true, maxLength: 50 },
+  color: { type: 'color', label: 'Color' },
+  is_terminal: { type: 'boolean', label: 'is_terminal' },
+  outcome: { type: 'enum', label: 'Outcome', values: STAGE_OUTCOMES, message: `Outcome must be empty or one of: ${STAGE_OUTCOMES.join(', ')}` }
+};
+
+// Stages with the number of applications currently in each
+async function stagesWithCounts(userId) {
+  const stages = await getPipelineStages(userId);
+  const counts = await pool.query(
+    'SELECT status, COUNT(*)::int AS count FROM job_applications WHERE user_id = $1 GROUP BY status',
+    [userId]
+  );
+  const byStatus = new Map(counts.rows.map(row => [row.status, row.count]));
+  return stages.map(stage => ({ ...stage, job_count: byStatus.get(stage.key) || 0 }));
+}
+
+// Get the user's pipeline, archived stages included
+app.get('/api/pipeline', authenticateToken, async (req, res) => {
+  try {
+    res.json({ stages: await stagesWithCounts(req.user.userId) });
+  } catch (err) {
+    console.error('Error fetching pipeline:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a stage at the end of the pipeline
+app.post('/api/pipeline/stages', authenticateToken, validateRequest({ body: STAGE_SCHEMA }), async (req, res) => {
+  try {
+    const { name, color, is_terminal = false, outcome } = req.body;
+
+    const stages = await getPipelineStages(req.user.userId);
+    if (stages.some(stage => stage.name.toLowerCase() === name.trim().toLowerCase())) {
+      return sendFieldErrors(res, { name: 'A stage with this name already exists' }, 409);
+    }
+
+    const result = await pool.query(`
+      INSERT INTO pipeline_stages (user_id, key, name, color, position, is_terminal, outcome)
+      VALUES ($1, $2, $3, COALESCE($4, '#64748b'), $5, $6, $7)
+      RETURNING *
+    `, [req.user.userId, stageKeyFor(name, stages.map(stage => stage.key)), name.trim(), color || null,
+        Math.max(-1, ...stages.map(stage => stage.position)) + 1, is_terminal, outcome || null]);
+
+    res.status(201).json({ ...result.rows[0], job_count: 0 });
+  } catch (err) {
+    if (err.code === '23505') {
+      return sendFieldErrors(res, { name: 'A stage with this name already exists' }, 409);
+    }
+    console.error('Error creating stage:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename, recolor, flag or archive/restore a stage (user-owned only). The key
+// stays the same, so applications in the stage are unaffected.
+app.put('/api/pipeline/stages/:id', authenticateToken, validateRequest({
+  params: idParams({ id: 'stage ID' }),
+  body: { ...STAGE_SCHEMA, archived: { type: 'boolean', label: 'archived' } }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, color, is_terminal, outcome, archived } = req.body;
+
+    const stages = await getPipelineStages(req.user.userId);
+    const stage = stages.find(candidate => candidate.id === Number(id));
+
+    if (!stage) {
+      return res.status(404).json({ error: 'Stage not found' });
+    }
+
+    if (stages.some(other => other.id !== stage.id && other.name.toLowerCase() === name.trim().toLowerCase())) {
+      return sendFieldErrors(res, { name: 'A stage with this name already exists' }, 409);
+    }
+
+    // The validator accepts 'true' and 'false' as well as booleans
+    const archiving = archived === true || archived === 'true';
+    if (archiving && !stage.archived_at && stages.filter(other => !other.archived_at).length === 1) {
+      return res.status(400).json({ error: 'The pipeline needs at least one active stage' });
+    }
+
+    const result = await pool.query(`
+      UPDATE pipeline_stages
+      SET name = $1, color = COALESCE($2, color), is_terminal = COALESCE($3, is_terminal),
+          outcome = CASE WHEN $4::boolean THEN $5 ELSE outcome END,
+          archived_at = CASE
+            WHEN $6::boolean IS NULL THEN archived_at
+            WHEN $6 THEN COALESCE(archived_at, CURRENT_TIMESTAMP)
+            ELSE NULL
+          END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7 AND user_id = $8
+      RETURNING *
+    `, [name.trim(), color || null, is_terminal ?? null, outcome !== undefined, outcome || null,
+        archived ?? null, id, req.user.userId]);
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating stage:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder the pipeline; stage_ids must list every stage of the user exactly once
+app.put('/api/pipeline/order', authenticateToken, validateRequest({
+  body: { stage_ids: { type: 'ids', label: 'stage_ids', required: true } }
+}), async (req, res) => {
+  try {
+    const stages = await getPipelineStages(req.user.userId);
+
+    const ids = parseIdList(req.body.stage_ids);
+    const expected = stages.map(stage => stage.id).sort((a, b) => a - b);
+    const given = [...ids].sort((a, b) => a - b);
+    if (given.length !== expected.length || given.some((stageId, index) => stageId !== expected[index])) {
+      return sendFieldErrors(res, { stage_ids: 'stage_ids must list every stage of the pipeline exactly once' });
+    }
+
+    await pool.query(`
+      UPDATE pipeline_stages ps
+      SET position = ordered.position - 1, updated_at = CURRENT_TIMESTAMP
+      FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE ps.id = ordered.id AND ps.user_id = $2
+    `, [ids, req.user.userId]);
+
+    res.json({ stages: await stagesWithCounts(req.user.userId) });
+  } catch (err) {
+    console.error('Error reordering pipeline:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a stage no application is in (user-owned only); stages in use can be archived instead
+app.delete('/api/pipeline/stages/:id', authenticateToken, validateRequest({ params: idParams({ id: 'stage ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const stages = await stagesWithCounts(req.user.userId);
+    const stage = stages.find(candidate => candidate.id === Number(id));
+
+    if (!stage) {
+      return res.status(404).json({ error: 'Stage not found' });
+    }
+
+    if (stage.job_count > 0) {
+      return res.status(409).json({ error: 'Applications are still in this stage; move them or archive the stage instead' });
+    }
+
+    if (!stage.archived_at && stages.filter(other => !other.archived_at).length === 1) {
+      return res.status(400).json({ error: 'The pipeline needs at least one active stage' });
+    }
+
+    await pool.query('DELETE FROM pipeline_stages WHERE id = $1 AND user_id = $2', [id, req.user.userId]);
+
+    res.json({ message: 'Stage deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting stage:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// INTERVIEW ENDPOINTS
+
+const INTERVIEW_ROUND_TYPES = ['phone_screen', 'recruiter', 'technical', 'take_home', 'onsite', 'panel', 'behavioral', 'final', 'other'];
+
+// Body of an interview round create or update
+const INTERVIEW_SCHEMA = {
+  round_type: { type: 'enum', label: 'Round type', values: INTERVIEW_ROUND_TYPES },
+  scheduled_at: { type: 'datetime', label: 'Scheduled time' },
+  duration_minutes: { type: 'integer', label: 'Duration', min: 1, max: 1440, message: 'Duration must be between 1 and 1440 minutes' },
+  interviewers: { type: 'string', label: 'Interviewers', maxLength: 50000 },
+  location: { type: 'string', label: 'Location', maxLength: 50000 },
+  prep_notes: { type: 'string', label: 'Prep notes', maxLength: 50000 },
+  feedback: { type: 'string', label: 'Feedback', maxLength: 50000 },
+  rating: { type: 'integer', label: 'Rating', min: 1, max: 5 }
+};
+
+// List interview rounds for a job application (user-owned only)
+app.get('/api/jobs/:id/interviews', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM interviews WHERE job_id = $1 ORDER BY scheduled_at ASC NULLS LAST, id ASC',
+      [id]
+    );
+
+    res.json({ interviews: result.rows });
+  } catch (err) {
+    console.error('Error fetching interviews:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an interview round to a job application
+app.post('/api/jobs/:id/interviews', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }), body: INTERVIEW_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const round_type = req.body.round_type || 'phone_screen';
+    const {
+      scheduled_at,
+      duration_minutes,
+      interviewers,
+      location,
+      prep_notes,
+      feedback,
+      rating
+    } = req.body;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO interviews
+      (job_id, user_id, round_type, scheduled_at, duration_minutes, interviewers, location,
+       prep_notes, feedback, rating)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [id, req.user.userId, round_type, scheduled_at || null, duration_minutes || null,
+        interviewers, location, prep_notes, feedback, rating || null]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('Error creating interview:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update an interview round (user-owned only)
+app.put('/api/jobs/:id/interviews/:interviewId', authenticateToken, validateRequest({
+  params: idParams({ id: 'job ID', interviewId: 'interview ID' }),
+  body: { ...INTERVIEW_SCHEMA, round_type: { ...INTERVIEW_SCHEMA.round_type, required: true } }
+}), async (req, res) => {
+  try {
+    const { id, interviewId } = req.params;
+    const {
+      round_type,
+      scheduled_at,
+      duration_minutes,
+      interviewers,
+      location,
+      prep_notes,
+      feedback,
+      rating
+    } = req.body;
+
+    const result = await pool.query(`
+      UPDATE interviews
+      SET round_type = $1, scheduled_at = $2, duration_minutes = $3, interviewers = $4,
+          location = $5, prep_notes = $6, feedback = $7, rating = $8,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9 AND job_id = $10 AND user_id = $11
+      RETURNING *
+    `, [round_type, scheduled_at || null, duration_minutes || null, interviewers, location,
+        prep_notes, feedback, rating || null, interviewId, id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating interview:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an interview round (user-owned only)
+app.delete('/api/jobs/:id/interviews/:interviewId', authenticateToken, validateRequest({ params: idParams({ id: 'job ID', interviewId: 'interview ID' }) }), async (req, res) => {
+  try {
+    const { id, interviewId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM interviews WHERE id = $1 AND job_id = $2 AND user_id = $3 RETURNING *',
+      [interviewId, id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    res.json({ message: 'Interview deleted successfully', deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting interview:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// OFFER ENDPOINTS
+
+const OFFER_STATUSES = ['pending', 'negotiating', 'accepted', 'declined', 'expired'];
+const OFFER_NEGOTIATION_KINDS = ['ask', 'counter', 'note'];
+
+// Whole-currency amounts on an offer
+const OFFER_MONEY_FIELDS = ['base_salary', 'bonus_amount', 'sign_on_bonus', 'equity_value'];
+
+// Body of an offer create or update
+const OFFER_SCHEMA = {
+  status: { type: 'enum', label: 'Status', values: OFFER_STATUSES },
+  currency: { type: 'string', label: 'Currency', pattern: /^[A-Za-z]{3}$/, patternMessage: 'Currency must be a 3-letter ISO code such as USD' },
+  base_salary: { type: 'integer', label: 'Base salary', min: 0 },
+  bonus_amount: { type: 'integer', label: 'Bonus', min: 0 },
+  bonus_percent: { type: 'number', label: 'Bonus percent', min: 0, max: 999 },
+  sign_on_bonus: { type: 'integer', label: 'Sign-on bonus', min: 0 },
+  equity_value: { type: 'integer', label: 'Equity value', min: 0 },
+  equity_vesting_years: { type: 'number', label: 'Vesting period', min: 0, max: 10, message: 'Vesting period must be between 0 and 10 years' },
+  equity_cliff_months: { type: 'integer', label: 'Vesting cliff', min: 0, max: 60, message: 'Vesting cliff must be between 0 and 60 months' },
+  equity_details: { type: 'string', label: 'Equity details', maxLength: 50000 },
+  benefits: { type: 'string', label: 'Benefits', maxLength: 50000 },
+  pto_days: { type: 'integer', label: 'PTO', min: 0, max: 365, message: 'PTO must be between 0 and 365 days' },
+  start_date: { type: 'date', label: 'Start date' },
+  decision_deadline: { type: 'date', label: 'Decision deadline' },
+  notes: { type: 'string', label: 'Notes', maxLength: 50000 }
+};
+
+// Column values for an offer insert/update, in OFFER_COLUMNS order
+const OFFER_COLUMNS = [
+  'status', 'currency', 'base_salary', 'bonus_amount', 'bonus_percent', 'sign_on_bonus',
+  'equity_value', 'equity_vesting_years', 'equity_cliff_months', 'equity_details', 'benefits',
+  'pto_days', 'start_date', 'decision_deadline', 'notes'
+];
+
+function offerValues(body) {
+  return OFFER_COLUMNS.map(column => {
+    const value = body[column];
+    if (value === undefined || value === '') {
+      if (column === 'status') return 'pending';
+      if (column === 'equity_vesting_years') return 4;
+      if (column === 'equity_cliff_months') return 12;
+      return null;
+    }
+    if (column === 'currency') return String(value).toUpperCase();
+    if (column === 'start_date' || column === 'decision_deadline') return parseImportDate(value);
+    return value;
+  });
+}
+
+// Computed compensation for an offer. The bonus is the fixed amount or else the
+// percentage of base; equity vests evenly after the cliff, so year one only
+// includes equity when the cliff is at most 12 months. Annualized totals leave
+// out the one-time sign-on bonus.
+function computeOfferTotals(offer) {
+  const base = Number(offer.base_salary) || 0;
+  const bonus = offer.bonus_amount !== null
+    ? Number(offer.bonus_amount)
+    : Math.round(base * (Number(offer.bonus_percent) || 0) / 100);
+  const vestingYears = Number(offer.equity_vesting_years) || 4;
+  const annualEquity = Math.round((Number(offer.equity_value) || 0) / vestingYears);
+  const firstYearEquity = (offer.equity_cliff_months || 0) <= 12 ? annualEquity : 0;
+  const signOn = Number(offer.sign_on_bonus) || 0;
+
+  return {
+    bonus,
+    annual_equity: annualEquity,
+    first_year_equity: firstYearEquity,
+    first_year_total: base + bonus + signOn + firstYearEquity,
+    annualized_total: base + bonus + annualEquity
+  };
+}
+
+// Attach negotiation history and totals to offer rows
+async function withOfferDetails(offers) {
+  if (offers.length === 0) {
+    return [];
+  }
+
+  const negotiations = await pool.query(
+    'SELECT * FROM offer_negotiations WHERE offer_id = ANY($1) ORDER BY occurred_on ASC, id ASC',
+    [offers.map(offer => offer.id)]
+  );
+
+  return offers.map(offer => ({
+    ...offer,
+    start_date: offer.start_date ? formatDateOnly(offer.start_date) : null,
+    decision_deadline: offer.decision_deadline ? formatDateOnly(offer.decision_deadline) : null,
+    totals: computeOfferTotals(offer),
+    negotiations: negotiations.rows
+      .filter(entry => entry.offer_id === offer.id)
+      .map(entry => ({ ...entry, occurred_on: formatDateOnly(entry.occurred_on) }))
+  }));
+}
+
+// List offers across all applications, for the comparison screen
+app.get('/api/offers', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT o.*, j.company_name, j.job_title, j.location, j.status AS job_status
+      FROM offers o
+      JOIN job_applications j ON j.id = o.job_id
+      WHERE o.user_id = $1
+      ORDER BY o.decision_deadline ASC NULLS LAST, o.created_at DESC
+    `, [req.user.userId]);
+
+    res.json({ offers: await withOfferDetails(result.rows) });
+  } catch (err) {
+    console.error('Error fetching offers:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List offers for a job application (user-owned only)
+app.get('/api/jobs/:id/offers', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }) }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM offers WHERE job_id = $1 ORDER BY created_at ASC, id ASC',
+      [id]
+    );
+
+    res.json({ offers: await withOfferDetails(result.rows) });
+  } catch (err) {
+    console.error('Error fetching offers:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record an offer for a job application
+app.post('/api/jobs/:id/offers', authenticateToken, validateRequest({ params: idParams({ id: 'job ID' }), body: OFFER_SCHEMA }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await userOwnsJob(id, req.user.userId))) {
+      return res.status(404).json({ error: 'Job application not found' });
+    }
+
+    const placeholders = OFFER_COLUMNS.map((column, index) => `$${index + 3}`).join(', ');
+    const result = await pool.query(`
+      INSERT INTO offers (job_id, user_id, ${OFFER_COLUMNS.join(', ')})
+      VALUES ($1, $2, ${placeholders})
+      RETURNING *
+    `, [id, req.user.userId, ...offerValues(req.body)]);
+
+    const [offer] = await withOfferDetails(result.rows);
+    res.status(201).json(offer);
+  } catch (err) {
+    console.error('Error creating offer:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update an offer (user-owned only)
+app.put('/api/jobs/:id/offers/:offerId', authenticateToken, validateRequest({ params: idParams({ id: 'job ID', offerId: 'offer ID' }), body: OFFER_SCHEMA }), async (req, res) => {
+  try {
+    const { id, offerId } = req.params;
+
+    const assignments = OFFER_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ');
+    const values = offerValues(req.body);
+    const result = await pool.query(`
+      UPDATE offers
+      SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length + 1} AND job_id = $${values.length + 2} AND user_id = $${values.length + 3}
+      RETURNING *
+    `, [...values, offerId, id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    const [offer] = await withOfferDetails(result.rows);
+    res.json(offer);
+  } catch (err) {
+    console.error('Error updating offer:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an offer (user-owned only)
+app.delete('/api/jobs/:id/offers/:offerId', authenticateToken, validateRequest({ params: idParams({ id: 'job ID', offerId: 'offer ID' }) }), async (req, res) => {
+  try {
+    const { id, offerId } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM offers WHERE id = $1 AND job_id = $2 AND user_id = $3 RETURNING *',
+      [offerId, id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    res.json({ message: 'Offer deleted successfully', deleted: result.rows[0] });
+  } catch (err) {
+    console.error('Error deleting offer:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an entry to an offer's negotiation history
+app.post('/api/jobs/:id/offers/:offerId/negotiations', authenticateToken, validateRequest({
+  params: idParams({ id: 'job ID', offerId: 'offer ID' }),
+  body: {
+    kind: { type: 'enum', label: 'Kind', values: OFFER_NEGOTIATION_KINDS },
+    amount: { type: 'integer', label: 'Amount', min: 0 },
+    note: { type: 'string', label: 'Note', maxLength: 50000 },
+    occurred_on: { type: 'date', label: 'Date' }
+  }
+}), async (req, res) => {
+  try {
+    const { id, offerId } = req.params;
+    const { amount, note, occurred_on } = req.body;
+    const kind = req.body.kind || 'note';
+
+    if ((amount === undefined || amount === null || amount === '') && !note) {
+      return sendFieldErrors(res, { amount: 'An amount or a note is required', note: 'An amount or a note is required' });
+    }
+
+    const offer = await pool.query(
+      'SELECT id FROM offers WHERE id = $1 AND job_id = $2 AND user_id = $3',
+      [offerId, id, req.user.userId]
+    );
+    if (offer.rows.length === 0) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO offer_negotiations (offer_id, user_id, kind, amount, note, occurred_on)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE))
+      RETURNING *
+    `, [offerId, req.user.userId, kind, amount === '' ? null : amount, note || null,
+        occurred_on ? parseImportDate(occurred_on) : null]);
+
+    const entry = result.rows[0];
+    res.status(201).json({ ...entry, occurred_on: formatDateOnly(entry.occurred_on) });
+  } catch (err) {
+    console.error('Error adding negotiation entry:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a negotiation history entry
+app.delete('/api/jobs/:id/offers/:offerId/negotiations/:entryId', authenticateToken, validateRequest({ params: idParams({ id: 'job ID', offerId: 'offer ID', entryId: 'entry ID' }) }), async (req, res) => {
+  try {
+    const { id, offerId, entryId } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM offer_negotiations n
+      USING offers o
+      WHERE n.id = $1 AND n.offer_id = o.id AND o.id = $2 AND o.job_id = $3 AND o.user_id = $4
+      RETURNING n.*
+    `, [entryId, offerId, id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Negotiation entry not found' });
+    }
+
+    res.json({ message: 'Negotiation entry deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting negotiation entry:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// REMINDER ENDPOINTS
+
+// SQL conditions per reminder range (interviews have no overdue state)
+const REMINDER_RANGES = {
+  overdue: {
+    followUp: 'j.follow_up_date < CURRENT_DATE',
+    interview: null
+  },
+  today: {
+    followUp: 'j.follow_up_date = CURRENT_DATE',
+    interview: 'i.scheduled_at::date = CURRENT_DATE'
+  },
+  week: {
+    followUp: 'j.follow_up_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 6',
+    interview: 'i.scheduled_at >= CURRENT_DATE AND i.scheduled_at < CURRENT_DATE + 7'
+  }
+};
+
+// Get due follow-ups and upcoming interviews for current user
+app.get('/api/reminders', authenticateToken, validateRequest({
+  query: { range: { type: 'enum', label: 'Range', values: Object.keys(REMINDER_RANGES) } }
+}), async (req, res) => {
+  try {
+    const range = req.query.range || 'today';
+    const conditions = REMINDER_RANGES[range];
+
+    const followUps = await pool.query(`
+      SELECT j.id, j.company_name, j.job_title, j.status, j.follow_up_date,
+             CURRENT_DATE - j.follow_up_date AS days_overdue
+      FROM job_applications j
+      WHERE j.user_id = $1 AND ${openStatusCondition('j')} AND ${conditions.followUp}
+      ORDER BY j.follow_up_date ASC, j.id ASC
+    `, [req.user.userId]);
+
+    let interviewRows = [];
+    if (conditions.interview) {
+      const interviewResult = await pool.query(`
+        SELECT i.*, j.company_name, j.job_title
+        FROM interviews i
+        JOIN job_applications j ON j.id = i.job_id
+        WHERE i.user_id = $1 AND ${conditions.interview}
+        ORDER BY i.scheduled_at ASC
+      `, [req.user.userId]);
+      interviewRows = interviewResult.rows;
+    }
+
+    res.json({ range, follow_ups: followUps.rows, interviews: interviewRows });
+  } catch (err) {
+    console.error('Error fetching reminders:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// REMINDER SCHEDULER
+
+// Notification channels the scheduler can deliver reminders through.
+// Each channel exposes an async send(notification) function.
+const reminderChannels = {
+  log: {
+    send: async (notification) => {
+      console.log(`Reminder for user ${notification.user_id}: ${notification.message}`);
+    }
+  },
+  file: {
+    send: async (notification) => {
+      await fs.promises.appendFile(REMINDER_FILE, JSON.stringify(notification) + '\n');
+    }
+  },
+  none: {
+    send: async () => {}
+  }
+};
+
+// Build the human-readable message for a due reminder
+function formatReminderMessage(reminder) {
+  if (reminder.kind === 'interview') {
+    return `Interview (${reminder.round_type}) with ${reminder.company_name} for ${reminder.job_title} at ${new Date(reminder.due_at).toISOString()}`;
+  }
+  return `Follow up with ${reminder.company_name} about ${reminder.job_title} (due ${new Date(reminder.due_at).toISOString().split('T')[0]})`;
+}
+
+// Find follow-ups that fell due within the last REMINDER_LOOKBACK_DAYS and interviews
+// starting within 24 hours, and emit each one once
+async function runReminderSweep() {
+  const channel = reminderChannels[REMINDER_CHANNEL];
+
+  const due = await pool.query(`
+    SELECT 'follow_up' AS kind, j.id AS ref_id, j.user_id, u.email, j.id AS job_id,
+           j.company_name, j.job_title, NULL AS round_type, j.follow_up_date::timestamp AS due_at
+    FROM job_applications j
+    JOIN users u ON u.id = j.user_id
+    WHERE j.follow_up_date BETWEEN CURRENT_DATE - $1::int AND CURRENT_DATE AND ${openStatusCondition('j')}
+    UNION ALL
+    SELECT 'interview', i.id, i.user_id, u.email, j.id,
+           j.company_name, j.job_title, i.round_type, i.scheduled_at
+    FROM interviews i
+    JOIN job_applications j ON j.id = i.job_id
+    JOIN users u ON u.id = i.user_id
+    WHERE i.scheduled_at BETWEEN CURRENT_TIMESTAMP AND CURRENT_TIMESTAMP + INTERVAL '24 hours'
+  `, [REMINDER_LOOKBACK_DAYS]);
+
+  for (const reminder of due.rows) {
+    // Claim the reminder first so only one replica delivers it
+    const claimed = await pool.query(`
+      INSERT INTO reminder_notifications (user_id, kind, ref_id, due_at, channel)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (kind, ref_id, due_at) DO NOTHING
+      RETURNING id
+    `, [reminder.user_id, reminder.kind, reminder.ref_id, reminder.due_at, REMINDER_CHANNEL]);
+
+    if (claimed.rows.length === 0) {
+      continue;
+    }
+
+    try {
+      await channel.send({
+        user_id: reminder.user_id,
+        email: reminder.email,
+        kind: reminder.kind,
+        job_id: reminder.job_id,
+        company_name: reminder.company_name,
+        job_title: reminder.job_title,
+        due_at: reminder.due_at,
+        message: formatReminderMessage(reminder)
+      });
+    } catch (err) {
+      // Release the claim so the next sweep retries delivery
+      console.error('Error sending reminder:', err);
+      await pool.query('DELETE FROM reminder_notifications WHERE id = $1', [claimed.rows[0].id]);
+    }
+  }
+}
+
+// Run the reminder sweep on startup and then periodically
+function startReminderScheduler() {
+  if (!reminderChannels[REMINDER_CHANNEL]) {
+    console.error(`Unknown reminder channel "${REMINDER_CHANNEL}", reminders disabled`);
+    return;
+  }
+
+  if (REMINDER_CHANNEL === 'none') {
+    return;
+  }
+
+  const run = () => runReminderSweep().catch((err) => console.error('Reminder sweep error:', err));
+  run();
+  setInterval(run, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  console.log(`Reminder scheduler started (channel: ${REMINDER_CHANNEL}, every ${REMINDER_INTERVAL_MINUTES} min)`);
+}
+
+// CALENDAR FEED
+
+// Escape a TEXT property value (RFC 5545 section 3.3.11)
+function icsEscape(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to at most 75 octets (RFC 5545 section 3.1)
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    if (currentBytes + charBytes > 75) {
+      parts.push(current);
+      current = ' ';
+      currentBytes = 1;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+}
+
+// Format a DATE column as an iCalendar DATE value (YYYYMMDD)
+function icsDate(date) {
+  return formatDateOnly(date).replace(/-/g, '');
+}
+
+// Format a timestamp as an iCalendar UTC DATE-TIME value
+function icsDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Build a VEVENT; UIDs are derived from row ids so edits update existing events
+function icsEvent({ uid, start, end, allDay, summary, description, location, url, stamp }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${icsDateTime(stamp)}`,
+    `LAST-MODIFIED:${icsDateTime(stamp)}`
+  ];
+
+  if (allDay) {
+    const nextDay = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(start)}`, `DTEND;VALUE=DATE:${icsDate(nextDay)}`);
+  } else {
+    lines.push(`DTSTART:${icsDateTime(start)}`, `DTEND:${icsDateTime(end)}`);
+  }
+
+  lines.push(`SUMMARY:${icsEscape(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${icsEscape(description)}`);
+  if (location) lines.push(`LOCATION:${icsEscape(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+// Create a calendar token for the user if they don't have one yet
+async function getOrCreateCalendarToken(userId) {
+  const existing = await pool.query('SELECT calendar_token FROM users WHERE id = $1', [userId]);
+
+  if (existing.rows.length === 0) {
+    return null;
+  }
+
+  if (existing.rows[0].calendar_token) {
+    return existing.rows[0].calendar_token;
+  }
+
+  const result = await pool.query(
+    'UPDATE users SET calendar_token = COALESCE(calendar_token, $1) WHERE id = $2 RETURNING calendar_token',
+    [crypto.randomBytes(24).toString('hex'), userId]
+  );
+  return result.rows[0].calendar_token;
+}
+
+// Get (or create) the calendar feed token for current user
+app.get('/api/calendar/token', authenticateToken, async (req, res) => {
+  try {
+    const token = await getOrCreateCalendarToken(req.user.userId);
+
+    if (!token) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ token });
+  } catch (err) {
+    console.error('Error fetching calendar token:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Regenerate the calendar feed token, invalidating previously shared URLs
+app.post('/api/calendar/token', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE users SET calendar_token = $1 WHERE id = $2 RETURNING calendar_token',
+      [crypto.randomBytes(24).toString('hex'), req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ token: result.rows[0].calendar_token });
+  } catch (err) {
+    console.error('Error regenerating calendar token:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// iCalendar feed of application dates, follow-ups and interviews (authenticated by secret token)
+app.get('/api/calendar/feed/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, username FROM users WHERE calendar_token = $1',
+      [token]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const user = userResult.rows[0];
+
+    const jobs = await pool.query(`
+      SELECT id, company_name, job_title, job_url, location, status,
+             application_date, follow_up_date, updated_at
+      FROM job_applications
+      WHERE user_id = $1 AND (application_date IS NOT NULL OR follow_up_date IS NOT NULL)
+    `, [user.id]);
+
+    const interviewResult = await pool.query(`
+      SELECT i.*, j.company_name, j.job_title
+      FROM interviews i
+      JOIN job_applications j ON j.id = i.job_id
+      WHERE i.user_id = $1 AND i.scheduled_at IS NOT NULL
+    `, [user.id]);
+
+    const stages = new Map((await getPipelineStages(user.id)).map(stage => [stage.key, stage]));
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Job Application Tracker//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsEscape(`Job Search (${user.username})`)}`
+    ];
+
+    for (const job of jobs.rows) {
+      const role = `${job.job_title} at ${job.company_name}`;
+
+      if (job.application_date) {
+        lines.push(...icsEvent({
+          uid: `application-${job.id}@job-tracker`,
+          start: job.application_date,
+          allDay: true,
+          summary: `Applied: ${role}`,
+          description: `Status: ${stages.get(job.status)?.name || job.status}`,
+          location: job.location,
+          url: job.job_url,
+          stamp: job.updated_at
+        }));
+      }
+
+      if (job.follow_up_date && !stages.get(job.status)?.is_terminal) {
+        lines.push(...icsEvent({
+          uid: `follow-up-${job.id}@job-tracker`,
+          start: job.follow_up_date,
+          allDay: true,
+          summary: `Follow up: ${role}`,
+          description: `Status: ${stages.get(job.status)?.name || job.status}`,
+          url: job.job_url,
+          stamp: job.updated_at
+        }));
+      }
+    }
+
+    for (const interview of interviewResult.rows) {
+      const start = new Date(interview.scheduled_at);
+      const end = new Date(start.getTime() + (interview.duration_minutes || 60) * 60 * 1000);
+
+      lines.push(...icsEvent({
+        uid: `interview-${interview.id}@job-tracker`,
+        start,
+        end,
+        allDay: false,
+        summary: `Interview (${interview.round_type}): ${interview.job_title} at ${interview.company_name}`,
+        description: [
+          interview.interviewers && `Interviewers: ${interview.interviewers}`,
+          interview.prep_notes && `Prep: ${interview.prep_notes}`
+        ].filter(Boolean).join('\n'),
+        location: interview.location,
+        stamp: interview.updated_at
+      }));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="job-search.ics"');
+    res.send(lines.map(icsFold).join('\r\n') + '\r\n');
+  } catch (err) {
+    console.error('Error generating calendar feed:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-    `);
+// STATISTICS
 
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-    `);
-    
-    console.log('Database initialized successfully');
-  } catch (err) {
-    console.error('Database initialization error:', err);
+// Optional ?from=&to= range (inclusive YYYY-MM-DD dates) accepted by the statistics endpoints
+const STATS_RANGE_QUERY = {
+  from: { type: 'date', label: 'from' },
+  to: { type: 'date', label: 'to' }
+};
+
+// Returns the validated range as { from, to } with null for an open end, or { error }
+function parseStatsRange(query) {
+  const range = { from: query.from || null, to: query.to || null };
+  if (range.from && range.to && range.from > range.to) {
+    return { error: 'from must not be after to' };
   }
+  return range;
 }
 
-// AUTH ENDPOINTS
+// Applications dated within the range passed as $2 (from) and $3 (to). An application
+// is dated by its application date, or the day it was added when that is empty.
+const STATS_RANGE_SQL = `($2::date IS NULL OR COALESCE(application_date, created_at::date) >= $2::date)
+  AND ($3::date IS NULL OR COALESCE(application_date, created_at::date) <= $3::date)`;
 
-// Register new user
-app.post('/api/auth/register', authLimiter, async (req, res) => {
+// Get application statistics for current user, optionally limited to applications
+// dated between ?from= and ?to=
+app.get('/api/stats', authenticateToken, validateRequest({ query: STATS_RANGE_QUERY }), async (req, res) => {
   try {
-    const { username, email, password } = req.body;
-
-    // Validation
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
+    const range = parseStatsRange(req.query);
+    if (range.error) {
+      return sendFieldErrors(res, { to: range.error });
     }
+    const rangeParams = [req.user.userId, range.from, range.to];
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-    }
+    const statsQuery = `
+      SELECT status, COUNT(*)::int AS count
+      FROM job_applications
+      WHERE user_id = $1 AND ${STATS_RANGE_SQL}
+      GROUP BY status
+    `;
 
-    // Check if user already exists
-    const existingUser = await pool.query(
-      'SELECT id FROM users WHERE email = $1 OR username = $2',
-      [email, username]
-    );
+    const result = await pool.query(statsQuery, rangeParams);
+    const counts = new Map(result.rows.map(row => [row.status, row.count]));
+    const stages = await getPipelineStages(req.user.userId);
 
-    if (existingUser.rows.length > 0) {
-      return res.status(409).json({ error: 'User with this email or username already exists' });
+    // One entry per stage in pipeline order; archived stages only while they hold applications
+    const stageCounts = stages
+      .map(stage => ({
+        key: stage.key,
+        name: stage.name,
+        color: stage.color,
+        is_terminal: stage.is_terminal,
+        outcome: stage.outcome,
+        archived: Boolean(stage.archived_at),
+        count: counts.get(stage.key) || 0
+      }))
+      .filter(stage => !stage.archived || stage.count > 0);
+
+    for (const [status, count] of counts) {
+      if (!stages.some(stage => stage.key === status)) {
+        stageCounts.push({
+          key: status, name: status || 'No status', color: '#64748b',
+          is_terminal: false, outcome: null, archived: false, count
+        });
+      }
     }
 
-    // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const countWhere = (predicate) => stageCounts.filter(predicate).reduce((sum, stage) => sum + stage.count, 0);
 
-    // Create user
-    const result = await pool.query(
-      'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id, username, email, created_at',
-      [username, email, passwordHash]
-    );
+    // Annualized pay per status and location. Currencies are never mixed, so
+    // each group is further split by currency.
+    const compensationResult = await pool.query(`
+      WITH salaries AS (
+        SELECT status, COALESCE(NULLIF(TRIM(location), ''), 'Unspecified') AS location, salary_currency,
+               ${SALARY_ANNUAL_LOW_SQL} AS annual_low,
+               ${SALARY_ANNUAL_HIGH_SQL} AS annual_high
+        FROM job_applications
+        WHERE user_id = $1 AND (salary_min IS NOT NULL OR salary_max IS NOT NULL) AND ${STATS_RANGE_SQL}
+      )
+      SELECT 'status' AS dimension, status AS value, salary_currency AS currency, COUNT(*) AS count,
+             ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY (annual_low + annual_high) / 2.0)) AS median,
+             MIN(annual_low) AS min, MAX(annual_high) AS max
+      FROM salaries GROUP BY status, salary_currency
+      UNION ALL
+      SELECT 'location', location, salary_currency, COUNT(*),
+             ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY (annual_low + annual_high) / 2.0)),
+             MIN(annual_low), MAX(annual_high)
+      FROM salaries GROUP BY location, salary_currency
+      ORDER BY dimension, count DESC, value
+    `, rangeParams);
 
-    const newUser = result.rows[0];
+    const tagsResult = await pool.query(`
+      SELECT t.id, t.name, t.color, COUNT(jt.job_id)::int AS count
+      FROM tags t
+      LEFT JOIN job_tags jt ON jt.tag_id = t.id
+        AND EXISTS (SELECT 1 FROM job_applications WHERE id = jt.job_id AND ${STATS_RANGE_SQL})
+      WHERE t.user_id = $1
+      GROUP BY t.id
+      ORDER BY count DESC, lower(t.name)
+    `, rangeParams);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: newUser.id, username: newUser.username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const compensation = { by_status: [], by_location: [] };
+    for (const row of compensationResult.rows) {
+      compensation[`by_${row.dimension}`].push({
+        [row.dimension]: row.value,
+        currency: row.currency,
+        count: parseInt(row.count),
+        median: Number(row.median),
+        min: Number(row.min),
+        max: Number(row.max)
+      });
+    }
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        email: newUser.email,
-        created_at: newUser.created_at
-      }
+    res.json({
+      from: range.from,
+      to: range.to,
+      total: countWhere(() => true),
+      active: countWhere(stage => !stage.is_terminal),
+      positive: countWhere(stage => stage.outcome === 'positive'),
+      negative: countWhere(stage => stage.outcome === 'negative'),
+      stages: stageCounts,
+      compensation,
+      tags: tagsResult.rows
     });
   } catch (err) {
-    console.error('Error creating user:', err);
+    console.error('Error fetching stats:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Login user
-app.post('/api/auth/login', authLimiter, async (req, res) => {
-  try {
-    const { email, password } = req.body;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+// Count, mean and median of a list of durations in days, rounded to one decimal
+function summarizeDays(values) {
+  if (values.length === 0) {
+    return { count: 0, avg_days: null, median_days: null };
+  }
 
-    // Find user
-    const result = await pool.query(
-      'SELECT id, username, email, password_hash FROM users WHERE email = $1',
-      [email]
-    );
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const round = (value) => Math.round(value * 10) / 10;
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+  return {
+    count: values.length,
+    avg_days: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    median_days: round(median)
+  };
+}
 
-    const user = result.rows[0];
+// Share of a whole as a fraction with three decimals, or null without a whole
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+}
 
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.password_hash);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+// Funnel figures for a set of applications. `progress` holds the stages applications
+// advance through (negative outcomes left out) in pipeline order; an application
+// reached a stage if it was ever in it or in a later one, and every application
+// reached the first. The first status change after creation counts as the response.
+function computeFunnel(progress, stages, jobs, historyByJob) {
+  const reached = progress.map(() => 0);
+  const positiveKeys = new Set(stages.filter(stage => stage.outcome === 'positive').map(stage => stage.key));
+  const responseDays = [];
+  let responded = 0;
+  let positive = 0;
+
+  for (const job of jobs) {
+    const entries = historyByJob.get(job.id) || [];
+    const visited = new Set([job.status, ...entries.map(entry => entry.new_status)]);
+
+    const furthest = Math.max(0, ...progress.map((stage, index) => (visited.has(stage.key) ? index : 0)));
+    for (let index = 0; index <= furthest && index < reached.length; index++) {
+      reached[index]++;
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if ([...visited].some(status => positiveKeys.has(status))) {
+      positive++;
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email
-      }
-    });
-  } catch (err) {
-    console.error('Error during login:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    const firstChange = entries.find(entry => entry.old_status !== null);
+    if (firstChange) {
+      responded++;
+      const start = job.application_date || job.created_at;
+      responseDays.push(Math.max(0, (firstChange.changed_at - start) / DAY_MS));
+    }
   }
-});
 
-// Get current user info
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT id, username, email, created_at FROM users WHERE id = $1',
-      [req.user.userId]
-    );
+  return {
+    applications: jobs.length,
+    stages: progress.map((stage, index) => ({
+      key: stage.key,
+      name: stage.name,
+      color: stage.color,
+      reached: reached[index],
+      conversion: index === 0 ? null : rate(reached[index], reached[index - 1]),
+      from_start: rate(reached[index], reached[0])
+    })),
+    responded,
+    response_rate: rate(responded, jobs.length),
+    time_to_response: summarizeDays(responseDays),
+    positive,
+    positive_rate: rate(positive, jobs.length)
+  };
+}
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+// Status history rows (ordered by job and time) grouped into a Map of job id -> entries
+function groupHistoryByJob(rows) {
+  const historyByJob = new Map();
+  for (const entry of rows) {
+    if (!historyByJob.has(entry.job_id)) historyByJob.set(entry.job_id, []);
+    historyByJob.get(entry.job_id).push(entry);
+  }
+  return historyByJob;
+}
 
-    res.json({ user: result.rows[0] });
-  } catch (err) {
-    console.error('Error fetching user:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Time spent in each stage, in pipeline order. A stay in a stage lasts until the next
+// transition; the current stage is still open and not counted.
+function computeTimeInStage(stages, historyByJob) {
+  const stayDays = new Map();
+  for (const entries of historyByJob.values()) {
+    for (let index = 0; index < entries.length - 1; index++) {
+      const { new_status: status, changed_at: enteredAt } = entries[index];
+      if (!stayDays.has(status)) stayDays.set(status, []);
+      stayDays.get(status).push((entries[index + 1].changed_at - enteredAt) / DAY_MS);
+    }
   }
-});
 
-// JOB ENDPOINTS (Updated with authentication)
+  return stages
+    .filter(stage => stayDays.has(stage.key))
+    .map(stage => ({ key: stage.key, name: stage.name, color: stage.color, ...summarizeDays(stayDays.get(stage.key)) }));
+}
 
-// Get all job applications for current user
-app.get('/api/jobs', authenticateToken, async (req, res) => {
-  try {
-    const { status, company, page = 1, limit = 20 } = req.query;
-    let query = 'SELECT * FROM job_applications WHERE user_id = $1';
-    let params = [req.user.userId];
-    let whereConditions = [];
+// Breakdown dimensions of the funnel (name -> grouping key of an application)
+const FUNNEL_DIMENSIONS = {
+  source: (job) => (job.source && job.source.trim()) || 'Unspecified',
+  location: (job) => (job.location && job.location.trim()) || 'Unspecified',
+  month: (job) => formatDateOnly(job.application_date || job.created_at).slice(0, 7)
+};
 
-    if (status) {
-      whereConditions.push('status = $' + (params.length + 1));
-      params.push(status);
+// Get funnel and conversion analytics for current user: stage-to-stage conversion,
+// response rate and time, time spent in each stage, and breakdowns by source,
+// location and month applied. Accepts the same ?from=&to= range as /api/stats.
+app.get('/api/stats/funnel', authenticateToken, validateRequest({ query: STATS_RANGE_QUERY }), async (req, res) => {
+  try {
+    const range = parseStatsRange(req.query);
+    if (range.error) {
+      return sendFieldErrors(res, { to: range.error });
     }
+    const rangeParams = [req.user.userId, range.from, range.to];
 
-    if (company) {
-      whereConditions.push('company_name ILIKE $' + (params.length + 1));
-      params.push(`%${company}%`);
-    }
+    const stages = await getPipelineStages(req.user.userId);
+    const progress = stages.filter(stage => !stage.archived_at && stage.outcome !== 'negative');
 
-    if (whereConditions.length > 0) {
-      query += ' AND ' + whereConditions.join(' AND ');
-    }
+    const jobsResult = await pool.query(`
+      SELECT id, status, source, location, application_date, created_at
+      FROM job_applications
+      WHERE user_id = $1 AND ${STATS_RANGE_SQL}
+    `, rangeParams);
 
-    query += ' ORDER BY created_at DESC';
-    
-    const offset = (page - 1) * limit;
-    query += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, offset);
+    const historyResult = await pool.query(`
+      SELECT h.job_id, h.old_status, h.new_status, h.changed_at
+      FROM job_status_history h
+      JOIN job_applications ON job_applications.id = h.job_id
+      WHERE h.user_id = $1 AND ${STATS_RANGE_SQL}
+      ORDER BY h.job_id, h.changed_at, h.id
+    `, rangeParams);
 
-    const result = await pool.query(query, params);
-    
-    let countQuery = 'SELECT COUNT(*) FROM job_applications WHERE user_id = $1';
-    let countParams = [req.user.userId];
-    
-    if (whereConditions.length > 0) {
-      countQuery += ' AND ' + whereConditions.join(' AND ');
-      countParams = [...countParams, ...params.slice(1, params.length - 2)];
+    const historyByJob = groupHistoryByJob(historyResult.rows);
+    const timeInStage = computeTimeInStage(stages, historyByJob);
+
+    const breakdowns = {};
+    for (const [dimension, groupKey] of Object.entries(FUNNEL_DIMENSIONS)) {
+      const groups = new Map();
+      for (const job of jobsResult.rows) {
+        const key = groupKey(job);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(job);
+      }
+
+      breakdowns[dimension] = [...groups.entries()]
+        .map(([value, jobs]) => {
+          const funnel = computeFunnel(progress, stages, jobs, historyByJob);
+          return {
+            value,
+            applications: funnel.applications,
+            responded: funnel.responded,
+            response_rate: funnel.response_rate,
+            median_days_to_response: funnel.time_to_response.median_days,
+            positive: funnel.positive,
+            positive_rate: funnel.positive_rate,
+            reached: Object.fromEntries(funnel.stages.map(stage => [stage.key, stage.reached]))
+          };
+        })
+        .sort((a, b) => (dimension === 'month'
+          ? a.value.localeCompare(b.value)
+          : b.applications - a.applications || a.value.localeCompare(b.value)));
     }
-    
-    const countResult = await pool.query(countQuery, countParams);
-    const total = parseInt(countResult.rows[0].count);
 
     res.json({
-      jobs: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / limit)
-      }
+      from: range.from,
+      to: range.to,
+      ...computeFunnel(progress, stages, jobsResult.rows, historyByJob),
+      time_in_stage: timeInStage,
+      breakdowns
     });
   } catch (err) {
-    console.error('Error fetching jobs:', err);
+    console.error('Error fetching funnel stats:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get specific job application (user-owned only)
-app.get('/api/jobs/:id', authenticateToken, async (req, res) => {
+// Bucket sizes of the activity timeline, with the default range (back from today)
+// and the most buckets one request may span
+const TIMELINE_INTERVALS = {
+  day: { defaultSpan: '29 days', maxBuckets: 366 },
+  week: { defaultSpan: '11 weeks', maxBuckets: 260 },
+  month: { defaultSpan: '11 months', maxBuckets: 120 }
+};
+
+// Get activity over time for current user: applications sent, status changes into
+// each pipeline stage and interview rounds held per day, week or month.
+// ?interval=day|week|month (default week) with an optional ?from=&to= range.
+app.get('/api/stats/timeline', authenticateToken, validateRequest({
+  query: { ...STATS_RANGE_QUERY, interval: { type: 'enum', label: 'interval', values: Object.keys(TIMELINE_INTERVALS) } }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    if (!id || isNaN(id)) {
-      return res.status(400).json({ error: 'Invalid job ID' });
+    const interval = req.query.interval || 'week';
+    const range = parseStatsRange(req.query);
+    if (range.error) {
+      return sendFieldErrors(res, { to: range.error });
     }
 
-    const result = await pool.query(
-      'SELECT * FROM job_applications WHERE id = $1 AND user_id = $2',
-      [id, req.user.userId]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job application not found' });
+    // Weeks start on Monday and months on the 1st, so the first bucket may begin before `from`
+    const bucketsResult = await pool.query(`
+      SELECT generate_series(date_trunc($1, bounds.from_date), bounds.to_date, ('1 ' || $1)::interval)::date AS start,
+             bounds.from_date, bounds.to_date
+      FROM (
+        SELECT COALESCE($2::date, COALESCE($3::date, CURRENT_DATE) - $4::interval)::date AS from_date,
+               COALESCE($3::date, CURRENT_DATE) AS to_date
+      ) bounds
+      LIMIT $5
+    `, [interval, range.from, range.to, TIMELINE_INTERVALS[interval].defaultSpan, TIMELINE_INTERVALS[interval].maxBuckets + 1]);
+
+    if (bucketsResult.rows.length === 0) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    if (bucketsResult.rows.length > TIMELINE_INTERVALS[interval].maxBuckets) {
+      return res.status(400).json({ error: `Date range is too long for a ${interval} interval; choose a larger interval` });
     }
 
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error('Error fetching job:', err);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    const from = formatDateOnly(bucketsResult.rows[0].from_date);
+    const to = formatDateOnly(bucketsResult.rows[0].to_date);
+    const params = [req.user.userId, interval, from, to];
 
-// Create new job application
-app.post('/api/jobs', authenticateToken, async (req, res) => {
-  try {
-    const {
-      company_name,
-      job_title,
-      job_url,
-      location,
-      salary_range,
-      application_date,
-      status = 'applied',
-      description,
-      requirements,
-      notes,
-      contact_person,
-      contact_email,
-      follow_up_date
-    } = req.body;
+    const applicationsResult = await pool.query(`
+      SELECT date_trunc($2, COALESCE(application_date, created_at::date))::date AS bucket, COUNT(*)::int AS count
+      FROM job_applications
+      WHERE user_id = $1 AND COALESCE(application_date, created_at::date) BETWEEN $3::date AND $4::date
+      GROUP BY bucket
+    `, params);
 
-    if (!company_name || !job_title) {
-      return res.status(400).json({ error: 'Company name and job title are required' });
-    }
+    // Moves between stages; the entry written when an application is created is not a move
+    const transitionsResult = await pool.query(`
+      SELECT date_trunc($2, changed_at)::date AS bucket, new_status AS status, COUNT(*)::int AS count
+      FROM job_status_history
+      WHERE user_id = $1 AND old_status IS NOT NULL AND changed_at::date BETWEEN $3::date AND $4::date
+      GROUP BY bucket, new_status
+    `, params);
 
-    // Convert empty date strings to null
-    const app_date = application_date || null;
-    const followup_date = follow_up_date || null;
+    const interviewsResult = await pool.query(`
+      SELECT date_trunc($2, scheduled_at)::date AS bucket, COUNT(*)::int AS count
+      FROM interviews
+      WHERE user_id = $1 AND scheduled_at::date BETWEEN $3::date AND $4::date
+      GROUP BY bucket
+    `, params);
 
-    const result = await pool.query(`
-      INSERT INTO job_applications 
-      (user_id, company_name, job_title, job_url, location, salary_range, application_date, 
-       status, description, requirements, notes, contact_person, contact_email, follow_up_date)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-      RETURNING *
-    `, [req.user.userId, company_name, job_title, job_url, location, salary_range, app_date,
-        status, description, requirements, notes, contact_person, contact_email, followup_date]);
+    const buckets = new Map(bucketsResult.rows.map(row => [
+      formatDateOnly(row.start),
+      { start: formatDateOnly(row.start), applications: 0, interviews: 0, transitions: {} }
+    ]));
+    const totals = { applications: 0, interviews: 0, transitions: {} };
 
-    res.status(201).json(result.rows[0]);
+    for (const row of applicationsResult.rows) {
+      buckets.get(formatDateOnly(row.bucket)).applications = row.count;
+      totals.applications += row.count;
+    }
+    for (const row of interviewsResult.rows) {
+      buckets.get(formatDateOnly(row.bucket)).interviews = row.count;
+      totals.interviews += row.count;
+    }
+    for (const row of transitionsResult.rows) {
+      buckets.get(formatDateOnly(row.bucket)).transitions[row.status] = row.count;
+      totals.transitions[row.status] = (totals.transitions[row.status] || 0) + row.count;
+    }
+
+    const stages = await getPipelineStages(req.user.userId);
+
+    res.json({
+      from,
+      to,
+      interval,
+      stages: stages
+        .filter(stage => !stage.archived_at || totals.transitions[stage.key])
+        .map(stage => ({ key: stage.key, name: stage.name, color: stage.color, outcome: stage.outcome })),
+      totals,
+      buckets: [...buckets.values()]
+    });
   } catch (err) {
-    console.error('Error creating job application:', err);
+    console.error('Error fetching timeline stats:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update job application (user-owned only)
-app.put('/api/jobs/:id', authenticateToken, async (req, res) => {
+// AUDIT LOG ENDPOINTS
+
+// The user's account activity, newest first, optionally filtered by action,
+// application and a ?from=/?to= date range
+app.get('/api/audit', authenticateToken, validateRequest({
+  query: {
+    ...STATS_RANGE_QUERY,
+    action: { type: 'enum', label: 'action', values: AUDIT_ACTIONS },
+    job_id: { type: 'id', label: 'job_id', message: 'job_id must be a job ID' },
+    page: { type: 'integer', label: 'page', min: 1, max: 100000 },
+    limit: { type: 'integer', label: 'limit', min: 1, max: 100 }
+  }
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const {
-      company_name,
-      job_title,
-      job_url,
-      location,
-      salary_range,
-      application_date,
-      status,
-      description,
-      requirements,
-      notes,
-      contact_person,
-      contact_email,
-      follow_up_date
-    } = req.body;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
 
-    if (!id || isNaN(id)) {
-      return res.status(400).json({ error: 'Invalid job ID' });
+    const range = parseStatsRange(req.query);
+    if (range.error) {
+      return sendFieldErrors(res, { to: range.error });
     }
 
-    if (!company_name || !job_title) {
-      return res.status(400).json({ error: 'Company name and job title are required' });
+    const params = [req.user.userId];
+    let where = 'user_id = $1';
+
+    if (req.query.action) {
+      params.push(req.query.action);
+      where += ` AND action = $${params.length}`;
     }
 
-    // Convert empty date strings to null
-    const app_date = application_date || null;
-    const followup_date = follow_up_date || null;
+    if (req.query.job_id) {
+      params.push(req.query.job_id);
+      where += ` AND entity_type = 'job' AND entity_id = $${params.length}`;
+    }
 
-    const result = await pool.query(`
-      UPDATE job_applications 
-      SET company_name = $1, job_title = $2, job_url = $3, location = $4, 
-          salary_range = $5, application_date = $6, status = $7, description = $8,
-          requirements = $9, notes = $10, contact_person = $11, contact_email = $12,
-          follow_up_date = $13, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $14 AND user_id = $15
-      RETURNING *
-    `, [company_name, job_title, job_url, location, salary_range, app_date,
-        status, description, requirements, notes, contact_person, contact_email, 
-        followup_date, id, req.user.userId]);
+    if (range.from) {
+      params.push(range.from);
+      where += ` AND created_at >= $${params.length}::date`;
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job application not found' });
+    if (range.to) {
+      params.push(range.to);
+      where += ` AND created_at < $${params.length}::date + 1`;
     }
 
-    res.json(result.rows[0]);
+    const offset = (page - 1) * limit;
+    const result = await pool.query(`
+      SELECT id, action, entity_type, entity_id, ip_address, user_agent, details, created_at
+      FROM audit_events
+      WHERE ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_events WHERE ${where}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      events: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
   } catch (err) {
-    console.error('Error updating job application:', err);
+    console.error('Error fetching audit log:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete job application (user-owned only)
-app.delete('/api/jobs/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    if (!id || isNaN(id)) {
-      return res.status(400).json({ error: 'Invalid job ID' });
-    }
+// Malformed JSON bodies and oversized payloads are client errors, not 500s
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body must be valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  console.error('Unhandled request error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+});
 
-    const result = await pool.query(
-      'DELETE FROM job_applications WHERE id = $1 AND user_id = $2 RETURNING *',
-      [id, req.user.userId]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job application not found' });
+// Bring the schema to SCHEMA_VERSION (when MIGRATE_ON_START is set) or wait for
+// another replica or the migrate command to do so. Retries while the database is
+// unreachable; a schema newer than this build is reported and never served.
+async function waitForSchema() {
+  let lastStatus = null;
+  while (!schemaReady) {
+    let status;
+    try {
+      if (MIGRATE_ON_START) {
+        await migrateUp();
+      }
+      const version = await getSchemaVersion();
+      if (version === SCHEMA_VERSION) {
+        schemaReady = true;
+        status = `Database schema is at version ${version}`;
+      } else if (version < SCHEMA_VERSION) {
+        status = `Database schema is at version ${version}, waiting for migrations up to ${SCHEMA_VERSION}`;
+      } else {
+        status = `Database schema is at version ${version}, newer than version ${SCHEMA_VERSION} expected by this build; ` +
+          `deploy a newer build or run "migrate down ${SCHEMA_VERSION}"`;
+      }
+    } catch (err) {
+      status = `Database migration error: ${err.message}`;
     }
 
-    res.json({ message: 'Job application deleted successfully', deleted: result.rows[0] });
-  } catch (err) {
-    console.error('Error deleting job application:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    // Only log changes, as a replica may wait here for a while
+    if (status !== lastStatus) {
+      (schemaReady ? console.log : console.error)(status);
+      lastStatus = status;
+    }
+    if (!schemaReady) {
+      await new Promise(resolve => setTimeout(resolve, SCHEMA_RETRY_SECONDS * 1000));
+    }
   }
-});
+}
 
-// Get application statistics for current user
-app.get('/api/stats', authenticateToken, async (req, res) => {
-  try {
-    const statsQuery = `
-      SELECT 
-        COUNT(*) as total,
-        COUNT(CASE WHEN status = 'applied' THEN 1 END) as applied,
-        COUNT(CASE WHEN status = 'interview' THEN 1 END) as interview,
-        COUNT(CASE WHEN status = 'offer' THEN 1 END) as offer,
-        COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected,
-        COUNT(CASE WHEN status = 'withdrawn' THEN 1 END) as withdrawn
-      FROM job_applications
-      WHERE user_id = $1
-    `;
-    
-    const result = await pool.query(statsQuery, [req.user.userId]);
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error('Error fetching stats:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Only serve (or migrate) when run directly; the unit tests require the helpers below
+if (require.main === module) {
+  if (process.argv[2] === 'migrate') {
+    runMigrateCommand(process.argv.slice(3)).then(async (code) => {
+      await pool.end();
+      process.exit(code);
+    });
+  } else {
+    // Start server
+    app.listen(PORT, async () => {
+      console.log(`Server is running on port ${PORT}`);
+      await waitForSchema();
+      if (!mailTransports[MAIL_TRANSPORT]) {
+        console.error(`Unknown mail transport "${MAIL_TRANSPORT}", emails will fail to send`);
+      }
+      startReminderScheduler();
+    });
   }
-});
+}
 
-// Start server
-app.listen(PORT, async () => {
-  console.log(`Server is running on port ${PORT}`);
-  await initDatabase();
-});
+module.exports = {
+  countOrPass,
+  createRedisClient,
+  rateLimitStores,
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateUp,
+  migrateDown,
+  checkField,
+  validateFields,
+  summarizeDays,
+  rate,
+  computeFunnel,
+  groupHistoryByJob,
+  computeTimeInStage,
+  signS3Request,
+  s3Request,
+  parseSalaryRange,
+  toCsv,
+  parseCsv,
+  parseImportDate,
+  isAmbiguousDate,
+  normalizeImportRow,
+  icsEscape,
+  icsFold,
+  icsEvent
+};
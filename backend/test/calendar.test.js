@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { icsEscape, icsFold, icsEvent } = require('../server');
+
+test('icsEscape escapes TEXT special characters', () => {
+  assert.equal(icsEscape('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  assert.equal(icsEscape(42), '42');
+});
+
+test('icsFold leaves lines of up to 75 octets alone', () => {
+  const line = 'x'.repeat(75);
+  assert.equal(icsFold(line), line);
+});
+
+test('icsFold folds long lines with CRLF and a leading space', () => {
+  const folded = icsFold('x'.repeat(160));
+  const parts = folded.split('\r\n');
+  assert.deepEqual(parts.map(part => part.length), [75, 75, 12]);
+  assert.ok(parts.slice(1).every(part => part.startsWith(' ')));
+  assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(''), 'x'.repeat(160));
+});
+
+test('icsFold counts octets and never splits a multi-byte character', () => {
+  const folded = icsFold('é'.repeat(50));
+  for (const part of folded.split('\r\n')) {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    assert.ok(!part.includes('�'));
+  }
+  assert.equal(folded.split('\r\n').map((part, i) => (i ? part.slice(1) : part)).join(''), 'é'.repeat(50));
+});
+
+test('icsEvent renders an all-day event ending the next day', () => {
+  const lines = icsEvent({
+    uid: 'followup-7@job-tracker',
+    start: new Date(2024, 1, 29),
+    allDay: true,
+    summary: 'Follow up: Acme, Inc.',
+    stamp: new Date('2024-02-01T10:20:30.456Z')
+  });
+
+  assert.deepEqual(lines, [
+    'BEGIN:VEVENT',
+    'UID:followup-7@job-tracker',
+    'DTSTAMP:20240201T102030Z',
+    'LAST-MODIFIED:20240201T102030Z',
+    'DTSTART;VALUE=DATE:20240229',
+    'DTEND;VALUE=DATE:20240301',
+    'SUMMARY:Follow up: Acme\\, Inc.',
+    'END:VEVENT'
+  ]);
+});
+
+test('icsEvent renders a timed event in UTC with optional properties', () => {
+  const lines = icsEvent({
+    uid: 'interview-3@job-tracker',
+    start: new Date('2024-03-10T15:00:00Z'),
+    end: new Date('2024-03-10T16:00:00Z'),
+    summary: 'Interview',
+    description: 'Bring\nportfolio',
+    location: 'Room 4; floor 2',
+    url: 'https://example.com/job',
+    stamp: new Date('2024-03-01T00:00:00Z')
+  });
+
+  assert.ok(lines.includes('DTSTART:20240310T150000Z'));
+  assert.ok(lines.includes('DTEND:20240310T160000Z'));
+  assert.ok(lines.includes('DESCRIPTION:Bring\\nportfolio'));
+  assert.ok(lines.includes('LOCATION:Room 4\\; floor 2'));
+  assert.ok(lines.includes('URL:https://example.com/job'));
+  assert.equal(lines[lines.length - 1], 'END:VEVENT');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeDays, rate, computeFunnel, groupHistoryByJob, computeTimeInStage } = require('../server');
+
+const stages = [
+  { key: 'applied', name: 'Applied', color: '#3b82f6', outcome: null, archived_at: null },
+  { key: 'screen', name: 'Screen', color: '#8b5cf6', outcome: null, archived_at: new Date('2024-01-01') },
+  { key: 'interview', name: 'Interview', color: '#eab308', outcome: null, archived_at: null },
+  { key: 'offer', name: 'Offer', color: '#22c55e', outcome: 'positive', archived_at: null },
+  { key: 'rejected', name: 'Rejected', color: '#ef4444', outcome: 'negative', archived_at: null }
+];
+// What the funnel endpoint passes: active stages without negative outcomes
+const progress = stages.filter(stage => !stage.archived_at && stage.outcome !== 'negative');
+
+const day = (n) => new Date(Date.UTC(2024, 0, 1 + n));
+const job = (id, status, appliedDay = 0) => ({ id, status, application_date: day(appliedDay), created_at: day(appliedDay) });
+const change = (job_id, old_status, new_status, n) => ({ job_id, old_status, new_status, changed_at: day(n) });
+
+test('rate divides safely and rounds to three decimals', () => {
+  assert.equal(rate(1, 3), 0.333);
+  assert.equal(rate(0, 5), 0);
+  assert.equal(rate(3, 0), null);
+  assert.equal(rate(0, 0), null);
+});
+
+test('summarizeDays reports count, mean and median', () => {
+  assert.deepEqual(summarizeDays([]), { count: 0, avg_days: null, median_days: null });
+  assert.deepEqual(summarizeDays([4, 1, 10]), { count: 3, avg_days: 5, median_days: 4 });
+  assert.deepEqual(summarizeDays([1, 2, 3, 4.5]), { count: 4, avg_days: 2.6, median_days: 2.5 });
+});
+
+test('computeFunnel of no applications has no rates instead of dividing by zero', () => {
+  const funnel = computeFunnel(progress, stages, [], new Map());
+  assert.equal(funnel.applications, 0);
+  assert.equal(funnel.response_rate, null);
+  assert.equal(funnel.positive_rate, null);
+  assert.deepEqual(funnel.time_to_response, { count: 0, avg_days: null, median_days: null });
+  for (const stage of funnel.stages) {
+    assert.equal(stage.reached, 0);
+    assert.equal(stage.conversion, null);
+    assert.equal(stage.from_start, null);
+  }
+});
+
+test('computeFunnel counts every stage up to the furthest one reached', () => {
+  const jobs = [job(1, 'applied'), job(2, 'interview'), job(3, 'rejected'), job(4, 'offer')];
+  const history = groupHistoryByJob([
+    change(1, null, 'applied', 0),
+    change(2, null, 'applied', 0), change(2, 'applied', 'interview', 4),
+    change(3, null, 'applied', 0), change(3, 'applied', 'interview', 2), change(3, 'interview', 'rejected', 6),
+    change(4, null, 'applied', 0), change(4, 'applied', 'offer', 10)
+  ]);
+
+  const funnel = computeFunnel(progress, stages, jobs, history);
+
+  assert.deepEqual(funnel.stages.map(stage => [stage.key, stage.reached, stage.conversion, stage.from_start]), [
+    ['applied', 4, null, 1],
+    ['interview', 3, 0.75, 0.75],
+    ['offer', 1, 0.333, 0.25]
+  ]);
+  assert.equal(funnel.responded, 3);
+  assert.equal(funnel.response_rate, 0.75);
+  assert.deepEqual(funnel.time_to_response, { count: 3, avg_days: 5.3, median_days: 4 });
+  assert.equal(funnel.positive, 1);
+  assert.equal(funnel.positive_rate, 0.25);
+});
+
+test('computeFunnel gives a zero conversion after an empty stage, and null after that', () => {
+  const jobs = [job(1, 'applied'), job(2, 'applied')];
+  const funnel = computeFunnel(progress, stages, jobs, new Map());
+  assert.deepEqual(funnel.stages.map(stage => stage.conversion), [null, 0, null]);
+  assert.deepEqual(funnel.stages.map(stage => stage.from_start), [1, 0, 0]);
+});
+
+test('computeFunnel leaves archived stages out but counts later progress through them', () => {
+  const jobs = [job(1, 'screen'), job(2, 'interview')];
+  const history = groupHistoryByJob([change(2, 'applied', 'screen', 1), change(2, 'screen', 'interview', 3)]);
+
+  const funnel = computeFunnel(progress, stages, jobs, history);
+
+  assert.deepEqual(funnel.stages.map(stage => stage.key), ['applied', 'interview', 'offer']);
+  assert.deepEqual(funnel.stages.map(stage => stage.reached), [2, 1, 0]);
+});
+
+test('computeFunnel without any progress stages still counts applications', () => {
+  const funnel = computeFunnel([], stages, [job(1, 'rejected')], new Map());
+  assert.deepEqual(funnel.stages, []);
+  assert.equal(funnel.applications, 1);
+  assert.equal(funnel.response_rate, 0);
+});
+
+test('computeFunnel measures the response from the application date, never negative', () => {
+  const history = groupHistoryByJob([change(1, 'applied', 'interview', 2)]);
+  const funnel = computeFunnel(progress, stages, [job(1, 'interview', 5)], history);
+  assert.equal(funnel.time_to_response.avg_days, 0);
+});
+
+test('computeTimeInStage summarizes closed stays in pipeline order', () => {
+  const history = groupHistoryByJob([
+    change(1, null, 'applied', 0), change(1, 'applied', 'interview', 4), change(1, 'interview', 'offer', 10),
+    change(2, null, 'applied', 0), change(2, 'applied', 'interview', 2)
+  ]);
+
+  assert.deepEqual(computeTimeInStage(stages, history), [
+    { key: 'applied', name: 'Applied', color: '#3b82f6', count: 2, avg_days: 3, median_days: 3 },
+    { key: 'interview', name: 'Interview', color: '#eab308', count: 1, avg_days: 6, median_days: 6 }
+  ]);
+  assert.deepEqual(computeTimeInStage(stages, new Map()), []);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv, parseImportDate, isAmbiguousDate, normalizeImportRow } = require('../server');
+
+const stages = [
+  { key: 'applied', name: 'Applied', archived_at: null },
+  { key: 'interview', name: 'Interview', archived_at: null },
+  { key: 'ghosted', name: 'Ghosted', archived_at: new Date() }
+];
+
+test('toCsv quotes fields with commas, quotes and line breaks', () => {
+  const csv = toCsv(['a', 'b', 'c'], [{ a: 'x,y', b: 'say "hi"', c: 'line\nbreak' }, { a: null, b: 3 }]);
+  assert.equal(csv, 'a,b,c\r\n"x,y","say ""hi""","line\nbreak"\r\n,3,\r\n');
+});
+
+test('toCsv neutralizes cells a spreadsheet would run as formulas', () => {
+  const rows = [{ v: '=1+1' }, { v: '+SUM(A1)' }, { v: '-2' }, { v: '@cmd' }, { v: '\tx' }, { v: '\rx' }, { v: '=HYPERLINK("x","y")' }];
+  const cells = parseCsv(toCsv(['v'], rows)).slice(1).map(([cell]) => cell);
+  assert.deepEqual(cells, ["'=1+1", "'+SUM(A1)", "'-2", "'@cmd", "'\tx", "'\rx", `'=HYPERLINK("x","y")`]);
+});
+
+test('toCsv formula guards are removed again on import', () => {
+  const values = ['=1+1', '+SUM(A1)', '-2', '@cmd', "'quoted", "it's"];
+  const csv = toCsv(['notes'], values.map(notes => ({ notes })));
+  const imported = parseCsv(csv).slice(1).map(([notes]) => normalizeImportRow({ company_name: 'A', job_title: 'B', notes }, stages).row.notes);
+  assert.deepEqual(imported, values);
+});
+
+test('toCsv leaves numbers and plain text alone', () => {
+  assert.equal(toCsv(['n', 't'], [{ n: -5, t: 'a-b=c' }]), 'n,t\r\n-5,a-b=c\r\n');
+});
+
+test('parseCsv reads quoted fields, escaped quotes and CRLF', () => {
+  assert.deepEqual(parseCsv('﻿a,b\r\n"x, y","say ""hi"""\r\n"multi\nline",2\n'), [
+    ['a', 'b'],
+    ['x, y', 'say "hi"'],
+    ['multi\nline', '2']
+  ]);
+});
+
+test('parseCsv skips blank lines and keeps a last line without a newline', () => {
+  assert.deepEqual(parseCsv('a,b\n\n , \n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parseCsv keeps empty fields', () => {
+  assert.deepEqual(parseCsv('a,,c\n,,x'), [['a', '', 'c'], ['', '', 'x']]);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a,"b\n1,2'), /unterminated/);
+});
+
+test('parseImportDate accepts ISO dates and rejects impossible ones', () => {
+  assert.equal(parseImportDate('2024-02-29'), '2024-02-29');
+  assert.equal(parseImportDate('2024-02-29T10:00:00Z'), '2024-02-29');
+  assert.equal(parseImportDate('2023-02-29'), null);
+  assert.equal(parseImportDate('not a date'), null);
+});
+
+test('parseImportDate reads unambiguous numeric dates either way round', () => {
+  assert.equal(parseImportDate('13/04/2024'), '2024-04-13');
+  assert.equal(parseImportDate('04/13/2024'), '2024-04-13');
+  assert.equal(parseImportDate('05.05.2024'), '2024-05-05');
+  assert.equal(parseImportDate('31/12/24'), '2024-12-31');
+});
+
+test('parseImportDate rejects ambiguous numeric dates without a date order', () => {
+  assert.equal(isAmbiguousDate('03/04/2024'), true);
+  assert.equal(isAmbiguousDate('13/04/2024'), false);
+  assert.equal(isAmbiguousDate('04/04/2024'), false);
+  assert.equal(parseImportDate('03/04/2024'), null);
+  assert.equal(parseImportDate('03/04/2024', 'mdy'), '2024-03-04');
+  assert.equal(parseImportDate('03/04/2024', 'dmy'), '2024-04-03');
+  assert.equal(parseImportDate('13/04/2024', 'mdy'), null);
+});
+
+test('parseImportDate reads month names', () => {
+  assert.equal(parseImportDate('March 4, 2024'), '2024-03-04');
+});
+
+test('normalizeImportRow cleans a valid row', () => {
+  const { row, errors } = normalizeImportRow({
+    company_name: ' Acme ',
+    job_title: 'Engineer',
+    job_url: 'https://acme.example/jobs/1',
+    status: 'Interview',
+    application_date: '13/04/2024',
+    salary_min: 90000,
+    salary_currency: 'eur'
+  }, stages);
+
+  assert.deepEqual(errors, []);
+  assert.equal(row.company_name, 'Acme');
+  assert.equal(row.status, 'interview');
+  assert.equal(row.application_date, '2024-04-13');
+  assert.equal(row.salary_min, 90000);
+  assert.equal(row.salary_currency, 'EUR');
+});
+
+test('normalizeImportRow applies the job schema', () => {
+  const { errors } = normalizeImportRow({
+    company_name: 'x'.repeat(256),
+    job_url: 'javascript:alert(1)',
+    contact_email: 'nope',
+    source: 's'.repeat(101)
+  }, stages);
+
+  const fields = Object.fromEntries(errors.map(error => [error.field, error.message]));
+  assert.match(fields.company_name, /at most 255/);
+  assert.equal(fields.job_title, 'Job title is required');
+  assert.match(fields.job_url, /http\(s\) URL/);
+  assert.match(fields.contact_email, /valid email/);
+  assert.match(fields.source, /at most 100/);
+});
+
+test('normalizeImportRow rejects objects and arrays instead of stringifying them', () => {
+  const { row, errors } = normalizeImportRow({ company_name: { name: 'Acme' }, job_title: ['Dev'] }, stages);
+  assert.equal(row.company_name, undefined);
+  assert.deepEqual(errors.map(error => error.field).sort(), ['company_name', 'job_title']);
+  assert.ok(errors.every(error => !error.message.includes('[object Object]')));
+});
+
+test('normalizeImportRow reports ambiguous dates and unknown or archived statuses once', () => {
+  const { errors } = normalizeImportRow({ company_name: 'A', job_title: 'B', follow_up_date: '03/04/2024', status: 'ghosted' }, stages);
+  assert.equal(errors.length, 2);
+  assert.match(errors.find(error => error.field === 'follow_up_date').message, /date order/);
+  assert.match(errors.find(error => error.field === 'status').message, /archived/);
+
+  const ordered = normalizeImportRow({ company_name: 'A', job_title: 'B', follow_up_date: '03/04/2024' }, stages, 'dmy');
+  assert.deepEqual(ordered.errors, []);
+  assert.equal(ordered.row.follow_up_date, '2024-04-03');
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+const { MIGRATIONS, SCHEMA_VERSION, getSchemaVersion, migrateUp, migrateDown } = require('../server');
+
+// The database tests need a throwaway database; they drop everything in its public schema
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = !DATABASE_URL && 'set TEST_DATABASE_URL to run against a database';
+const db = DATABASE_URL ? new Pool({ connectionString: DATABASE_URL }) : null;
+
+test.after(() => db && db.end());
+
+async function resetDatabase() {
+  await db.query('DROP SCHEMA public CASCADE');
+  await db.query('CREATE SCHEMA public');
+}
+
+// Columns and indexes of every table, to compare schemas
+async function describeSchema() {
+  const columns = await db.query(`
+    SELECT table_name, column_name, data_type, is_nullable, column_default
+    FROM information_schema.columns
+    WHERE table_schema = 'public'
+    ORDER BY table_name, column_name
+  `);
+  const indexes = await db.query(`
+    SELECT tablename, indexname, indexdef FROM pg_indexes WHERE schemaname = 'public' ORDER BY tablename, indexname
+  `);
+  return { columns: columns.rows, indexes: indexes.rows };
+}
+
+async function tableNames() {
+  const result = await db.query(`
+    SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' ORDER BY table_name
+  `);
+  return result.rows.map(row => row.table_name);
+}
+
+test('migrations are numbered in order and can each be reverted', () => {
+  assert.deepEqual(MIGRATIONS.map(migration => migration.version), MIGRATIONS.map((migration, index) => index + 1));
+  assert.equal(SCHEMA_VERSION, MIGRATIONS.length);
+
+  const names = MIGRATIONS.map(migration => migration.name);
+  assert.equal(new Set(names).size, names.length);
+  for (const migration of MIGRATIONS) {
+    assert.match(migration.name, /^[a-z0-9_]{1,100}$/, `migration ${migration.version} name`);
+    assert.equal(typeof migration.up, 'function', `migration ${migration.version} up`);
+    assert.equal(typeof migration.down, 'function', `migration ${migration.version} down`);
+  }
+});
+
+test('migrations apply, revert and re-apply on an empty database', { skip }, async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await resetDatabase();
+
+  assert.equal(await getSchemaVersion(db), 0);
+  assert.equal((await migrateUp(SCHEMA_VERSION, db)).length, MIGRATIONS.length);
+  assert.equal(await getSchemaVersion(db), SCHEMA_VERSION);
+  const schema = await describeSchema();
+
+  assert.equal((await migrateUp(SCHEMA_VERSION, db)).length, 0);
+
+  const reverted = await migrateDown(0, db);
+  assert.deepEqual(reverted.map(migration => migration.version), MIGRATIONS.map(migration => migration.version).reverse());
+  assert.equal(await getSchemaVersion(db), 0);
+  assert.deepEqual(await tableNames(), ['schema_migrations']);
+
+  await migrateUp(SCHEMA_VERSION, db);
+  assert.deepEqual(await describeSchema(), schema);
+});
+
+test('migrations step down and up one version at a time', { skip }, async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await resetDatabase();
+  await migrateUp(SCHEMA_VERSION, db);
+
+  for (let version = SCHEMA_VERSION; version > 0; version--) {
+    const [reverted] = await migrateDown(undefined, db);
+    assert.equal(reverted.version, version);
+    const [applied] = await migrateUp(version, db);
+    assert.equal(applied.version, version);
+    await migrateDown(undefined, db);
+  }
+  assert.deepEqual(await tableNames(), ['schema_migrations']);
+});
+
+test('migrations upgrade a database created before migrations were tracked', { skip }, async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await resetDatabase();
+  await migrateUp(SCHEMA_VERSION, db);
+  const schema = await describeSchema();
+  await resetDatabase();
+
+  // The tables as the server created them at startup before schema_migrations existed
+  await db.query(`
+    CREATE TABLE users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) UNIQUE NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE job_applications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      company_name VARCHAR(255) NOT NULL,
+      job_title VARCHAR(255) NOT NULL,
+      job_url TEXT,
+      location VARCHAR(255),
+      salary_range VARCHAR(100),
+      application_date DATE DEFAULT CURRENT_DATE,
+      status VARCHAR(50) DEFAULT 'applied',
+      description TEXT,
+      requirements TEXT,
+      notes TEXT,
+      contact_person VARCHAR(255),
+      contact_email VARCHAR(255),
+      follow_up_date DATE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX idx_job_applications_user_id ON job_applications(user_id);
+    CREATE INDEX idx_job_applications_status ON job_applications(status);
+    CREATE INDEX idx_job_applications_company ON job_applications(company_name);
+    CREATE INDEX idx_users_email ON users(email);
+    CREATE INDEX idx_users_username ON users(username);
+    INSERT INTO users (username, email, password_hash) VALUES ('ada', 'ada@example.com', 'hash');
+    INSERT INTO job_applications (user_id, company_name, job_title, salary_range, status)
+    VALUES (1, 'Acme', 'Engineer', '$90k-110k', 'interview'),
+           (1, 'ACME ', 'Designer', NULL, 'on hold');
+  `);
+
+  await migrateUp(SCHEMA_VERSION, db);
+  assert.equal(await getSchemaVersion(db), SCHEMA_VERSION);
+  assert.deepEqual(await describeSchema(), schema);
+
+  const jobs = await db.query('SELECT job_title, status, company_id, salary_min, salary_max FROM job_applications ORDER BY id');
+  assert.deepEqual(jobs.rows.map(job => [job.job_title, job.status]), [['Engineer', 'interview'], ['Designer', 'on hold']]);
+  assert.ok(jobs.rows[0].company_id);
+  assert.equal(jobs.rows[1].company_id, jobs.rows[0].company_id);
+  assert.deepEqual([jobs.rows[0].salary_min, jobs.rows[0].salary_max], [90000, 110000]);
+
+  const stages = await db.query('SELECT key FROM pipeline_stages WHERE user_id = 1');
+  const keys = stages.rows.map(stage => stage.key);
+  assert.ok(keys.includes('interview'));
+  assert.ok(keys.includes('on hold'));
+
+  await migrateDown(0, db);
+  assert.deepEqual(await tableNames(), ['schema_migrations']);
+  await migrateUp(SCHEMA_VERSION, db);
+  assert.equal(await getSchemaVersion(db), SCHEMA_VERSION);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalaryRange } = require('../server');
+
+const salary = (salary_min, salary_max, salary_currency, salary_period = 'year') =>
+  ({ salary_min, salary_max, salary_currency, salary_period });
+
+test('parseSalaryRange reads ranges with a currency, k/M amounts or a pay period', () => {
+  assert.deepEqual(parseSalaryRange('$80k-100k'), salary(80000, 100000, 'USD'));
+  assert.deepEqual(parseSalaryRange('80-100k'), salary(80000, 100000, null));
+  assert.deepEqual(parseSalaryRange('€45.000 - 55.000 per year'), salary(45000, 55000, 'EUR'));
+  assert.deepEqual(parseSalaryRange('50-60/hr'), salary(50, 60, null, 'hour'));
+  assert.deepEqual(parseSalaryRange('CA$120,000'), salary(120000, 120000, 'CAD'));
+  assert.deepEqual(parseSalaryRange('90000 GBP'), salary(90000, 90000, 'GBP'));
+  assert.deepEqual(parseSalaryRange('4500 monthly'), salary(4500, 4500, null, 'month'));
+  assert.deepEqual(parseSalaryRange('£300 day rate'), salary(300, 300, 'GBP', 'day'));
+  assert.deepEqual(parseSalaryRange('1.2M'), salary(1200000, 1200000, null));
+});
+
+test('parseSalaryRange handles open-ended ranges', () => {
+  assert.deepEqual(parseSalaryRange('up to $120k'), salary(null, 120000, 'USD'));
+  assert.deepEqual(parseSalaryRange('from 90k'), salary(90000, null, null));
+  assert.deepEqual(parseSalaryRange('$150k+'), salary(150000, null, 'USD'));
+  assert.deepEqual(parseSalaryRange('$100k-80k'), salary(80000, 100000, 'USD'));
+});
+
+test('parseSalaryRange ignores percentages and durations next to the pay', () => {
+  assert.deepEqual(parseSalaryRange('$100k + 10% bonus'), salary(100000, 100000, 'USD'));
+  assert.deepEqual(parseSalaryRange('5 years experience, $90k-110k'), salary(90000, 110000, 'USD'));
+  assert.deepEqual(parseSalaryRange('$40/hr, 20 hours per week'), salary(40, 40, 'USD', 'hour'));
+});
+
+test('parseSalaryRange leaves text that is not clearly pay unparsed', () => {
+  for (const text of [
+    '2 days per week',
+    '10-15% bonus',
+    '10-15 %',
+    '3-5 years',
+    '100000',
+    '50-60',
+    'Competitive',
+    'Remote 3 days a week',
+    'DOE',
+    '',
+    null
+  ]) {
+    assert.equal(parseSalaryRange(text), null, `"${text}" should not parse`);
+  }
+});
+
+test('parseSalaryRange rejects amounts that overflow INTEGER', () => {
+  assert.equal(parseSalaryRange('$99999999999'), null);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkField, validateFields } = require('../server');
+
+test('checkField requires strings for text types', () => {
+  const status = { type: 'string', label: 'Status', maxLength: 50 };
+  assert.equal(checkField(status, 'Applied'), null);
+  assert.equal(checkField(status, 5), 'Status must be text');
+  assert.equal(checkField(status, true), 'Status must be text');
+  assert.equal(checkField(status, ['Applied']), 'Status must be text');
+  assert.equal(checkField(status, { name: 'Applied' }), 'Status must be text');
+
+  assert.equal(checkField({ type: 'email', label: 'Email' }, 42), 'Email must be text');
+  assert.equal(checkField({ type: 'url', label: 'Job URL' }, false), 'Job URL must be text');
+  assert.equal(checkField({ type: 'enum', label: 'Kind', values: ['call', 'email'] }, 1), 'Kind must be one of: call, email');
+  assert.equal(checkField({ type: 'date', label: 'Date' }, 20240301), 'Date must be a valid date (YYYY-MM-DD)');
+  assert.equal(checkField({ type: 'datetime', label: 'Scheduled time' }, 0), 'Scheduled time must be a valid date and time');
+  assert.equal(checkField({ type: 'color', label: 'Color' }, 0x3b82f6), 'Color must be a hex color such as #3b82f6');
+});
+
+test('checkField checks text formats and lengths', () => {
+  assert.equal(checkField({ type: 'email', label: 'Email' }, 'ada@example.com'), null);
+  assert.equal(checkField({ type: 'email', label: 'Email' }, 'ada'), 'Email must be a valid email address');
+  assert.equal(checkField({ type: 'url', label: 'Job URL' }, 'https://example.com/jobs/1'), null);
+  assert.equal(checkField({ type: 'url', label: 'Job URL' }, 'javascript:alert(1)'), 'Job URL must be an http(s) URL');
+  assert.equal(checkField({ type: 'string', label: 'Username', maxLength: 3 }, 'abcd'), 'Username must be at most 3 characters');
+  assert.equal(checkField({ type: 'string', label: 'Password', minLength: 6 }, 'abc'), 'Password must be at least 6 characters long');
+  assert.equal(
+    checkField({ type: 'string', label: 'Currency', pattern: /^[A-Za-z]{3}$/, patternMessage: 'Currency must be a 3-letter ISO code such as USD' }, 'dollars'),
+    'Currency must be a 3-letter ISO code such as USD'
+  );
+  assert.equal(checkField({ type: 'date', label: 'Date' }, '2024-02-30'), 'Date must be a valid date (YYYY-MM-DD)');
+  assert.equal(checkField({ type: 'date', label: 'Date' }, '2024-02-29'), null);
+  assert.equal(checkField({ type: 'color', label: 'Color' }, '#3b82f6'), null);
+});
+
+test('checkField accepts numbers or numeric strings for numeric types', () => {
+  const rating = { type: 'integer', label: 'Rating', min: 1, max: 5 };
+  assert.equal(checkField(rating, 3), null);
+  assert.equal(checkField(rating, '3'), null);
+  assert.equal(checkField(rating, 6), 'Rating must be a whole number between 1 and 5');
+  assert.equal(checkField(rating, 2.5), 'Rating must be a whole number between 1 and 5');
+  assert.equal(checkField(rating, true), 'Rating must be a whole number between 1 and 5');
+  assert.equal(checkField({ type: 'integer', label: 'Salary', min: 0 }, -1), 'Salary must be a non-negative whole number');
+  assert.equal(checkField({ type: 'number', label: 'Vesting years', min: 0 }, '2.5'), null);
+
+  assert.equal(checkField({ type: 'id', label: 'job ID' }, '12'), null);
+  assert.equal(checkField({ type: 'id', label: 'job ID' }, 0), 'Invalid job ID');
+  assert.equal(checkField({ type: 'ids', label: 'Tags' }, '1, 2,3'), null);
+  assert.equal(checkField({ type: 'ids', label: 'Tags' }, [1, '2']), null);
+  assert.equal(checkField({ type: 'ids', label: 'Tags' }, [1, { id: 2 }]), 'Tags must be a list of IDs');
+  assert.equal(checkField({ type: 'list', label: 'status', maxLength: 5 }, 'a, b'), null);
+  assert.equal(checkField({ type: 'list', label: 'status', maxLength: 5 }, ['a', 'b,c']), null);
+  assert.equal(checkField({ type: 'list', label: 'status', maxLength: 5 }, 'a,toolong'), 'status must be a comma-separated list');
+  assert.equal(checkField({ type: 'list', label: 'status' }, { a: 'b' }), 'status must be a comma-separated list');
+  assert.equal(checkField({ type: 'list', label: 'status' }, ['a', ['b']]), 'status must be a comma-separated list');
+
+  assert.equal(checkField({ type: 'boolean', label: 'Overdue' }, 'true'), null);
+  assert.equal(checkField({ type: 'boolean', label: 'Overdue' }, 1), 'Overdue must be true or false');
+});
+
+test('checkField prefers the rule message over the default', () => {
+  assert.equal(checkField({ type: 'id', label: 'company_id', message: 'company_id must be a company ID' }, 'x'), 'company_id must be a company ID');
+});
+
+test('validateFields returns a message per offending field', () => {
+  const schema = {
+    company_name: { type: 'string', label: 'Company name', required: true, maxLength: 255 },
+    status: { type: 'string', label: 'Status', maxLength: 50 },
+    salary_min: { type: 'integer', label: 'Minimum salary', min: 0 },
+    tags: { type: 'ids', label: 'Tags' }
+  };
+
+  assert.deepEqual(validateFields(schema, { company_name: 'Acme', status: 'Applied', salary_min: 90000 }), {});
+  assert.deepEqual(validateFields(schema, { company_name: 'Acme', status: 5, salary_min: 'lots', unknown: 1 }), {
+    status: 'Status must be text',
+    salary_min: 'Minimum salary must be a non-negative whole number'
+  });
+});
+
+test('validateFields treats empty values as missing', () => {
+  const schema = {
+    company_name: { type: 'string', label: 'Company name', required: true },
+    status: { type: 'string', label: 'Status' },
+    tags: { type: 'ids', label: 'Tags' }
+  };
+
+  assert.deepEqual(validateFields(schema, { company_name: '  ', status: null, tags: [] }), { company_name: 'Company name is required' });
+  assert.deepEqual(validateFields(schema, undefined), { company_name: 'Company name is required' });
+  assert.deepEqual(validateFields(schema, ['Acme']), { company_name: 'Company name is required' });
+});
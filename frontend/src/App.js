@@ -1,33 +1,312 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit2, Trash2, Building2, Calendar, MapPin, DollarSign, Eye, BarChart3, Save, X, User, LogOut, LogIn, UserPlus } from 'lucide-react';
+import { Plus, Edit2, Trash2, Building2, Calendar, MapPin, DollarSign, Eye, BarChart3, Save, X, User, LogOut, LogIn, UserPlus, History, Clock, Users, Star, Bell, AlertTriangle, CalendarDays, Copy, RefreshCw, Upload, Download, Search, Filter, ArrowUp, ArrowDown, ChevronLeft, ChevronRight, Kanban, ExternalLink, Mail, ArrowLeft, Monitor, Settings, Lock, KeyRound, Scale, FileText, Paperclip, Tag, Activity, ShieldCheck } from 'lucide-react';
 
 const API_BASE = window.location.hostname === 'localhost' ? 'http://localhost:3001/api' : '/api';
 
+// Shared by concurrent requests so a burst of 401s triggers a single refresh
+let refreshInFlight = null;
+
+// Swap the stored refresh token for a new token pair. Resolves to false when the
+// session is gone and the user has to log in again.
+const refreshAccessToken = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_BASE}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return true;
+      }
+      // Another tab may have rotated the token while this request was in flight
+      return localStorage.getItem('refreshToken') !== refreshToken;
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
+// Longest rate limit wait after which a read is retried automatically; longer
+// waits are reported to the user instead
+const MAX_AUTO_RETRY_SECONDS = 10;
+
+// Clears the rate limit notice once the limit has reset
+let rateLimitTimer = null;
+
+// Seconds until a rate-limited (429) request may be retried
+const retryAfterSeconds = (response) => parseInt(response.headers.get('Retry-After')) || 60;
+
+const formatWait = (seconds) => seconds < 90 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+
+const defaultActivityFilters = { action: '', job_id: null, from: '', to: '', page: 1 };
+
+const defaultFilters = {
+  statuses: [],
+  company: '',
+  location: '',
+  applied_from: '',
+  applied_to: '',
+  follow_up_from: '',
+  follow_up_to: '',
+  follow_up_overdue: false,
+  salary_min: '',
+  salary_max: '',
+  salary_currency: '',
+  tags: [],
+  tag_match: 'any',
+  sort: '',
+  order: 'desc',
+  q: '',
+  page: 1
+};
+
 const JobTracker = () => {
   const [user, setUser] = useState(null);
   const [jobs, setJobs] = useState([]);
   const [stats, setStats] = useState(null);
+  const [funnel, setFunnel] = useState(null);
+  const [funnelDimension, setFunnelDimension] = useState('source');
+  const [statsRange, setStatsRange] = useState({ from: '', to: '' });
+  const [timelineInterval, setTimelineInterval] = useState('week');
+  const [timeline, setTimeline] = useState(null);
   const [loading, setLoading] = useState(false);
   const [currentView, setCurrentView] = useState('list');
   const [selectedJob, setSelectedJob] = useState(null);
-  const [filters, setFilters] = useState({ status: '', company: '', page: 1 });
+  const [filters, setFilters] = useState(defaultFilters);
+  // Per-field messages from the API's 400 responses, keyed by form then field
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Messages about a whole form or section (failed requests that aren't about one field,
+  // confirmations), keyed by form; 'view' is shown at the top of the current view
+  const [formMessages, setFormMessages] = useState({});
+  const [showFilters, setShowFilters] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
   const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
-  const [authView, setAuthView] = useState('login'); // 'login' or 'register'
-
-  const statusColors = {
-    applied: 'bg-blue-100 text-blue-800',
-    interview: 'bg-yellow-100 text-yellow-800',
-    offer: 'bg-green-100 text-green-800',
-    rejected: 'bg-red-100 text-red-800',
-    withdrawn: 'bg-gray-100 text-gray-800'
-  };
-
-  const statusOptions = [
-    { value: 'applied', label: 'Applied' },
-    { value: 'interview', label: 'Interview' },
-    { value: 'offer', label: 'Offer' },
-    { value: 'rejected', label: 'Rejected' },
-    { value: 'withdrawn', label: 'Withdrawn' }
+  const [authView, setAuthView] = useState('login'); // 'login', 'register', 'forgot' or 'reset'
+  const [authNotice, setAuthNotice] = useState('');
+  const [rateLimitNotice, setRateLimitNotice] = useState('');
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+  const [resetToken, setResetToken] = useState(null);
+  const [historyJobId, setHistoryJobId] = useState(null);
+  const [jobHistory, setJobHistory] = useState([]);
+  const [interviews, setInterviews] = useState([]);
+  const [editingInterviewId, setEditingInterviewId] = useState(null); // null, 'new' or an interview id
+  const [reminders, setReminders] = useState({ overdue: null, today: null, week: null });
+  const [calendarToken, setCalendarToken] = useState(null);
+  const [board, setBoard] = useState(null);
+  const [draggedJob, setDraggedJob] = useState(null); // { id, status, index }
+  const [sessions, setSessions] = useState([]);
+  const [activity, setActivity] = useState({ events: [], pagination: { page: 1, totalPages: 1, total: 0 } });
+  const [activityFilters, setActivityFilters] = useState(defaultActivityFilters);
+  const [profileForm, setProfileForm] = useState({ username: '', email: '' });
+  const [passwordForm, setPasswordForm] = useState({ current_password: '', new_password: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [importState, setImportState] = useState({ step: 'upload', format: 'csv', fileName: '', data: '', mapping: null, dateOrder: '', result: null });
+
+  // Pipeline stages of the user (archived ones included), in pipeline order
+  const [stages, setStages] = useState([]);
+  const [newStage, setNewStage] = useState({ name: '', color: '#8b5cf6' });
+
+  // Statuses that can be chosen for an application
+  const statusOptions = stages
+    .filter(stage => !stage.archived_at)
+    .map(stage => ({ value: stage.key, label: stage.name }));
+
+  const interviewRoundOptions = [
+    { value: 'phone_screen', label: 'Phone Screen' },
+    { value: 'recruiter', label: 'Recruiter Call' },
+    { value: 'technical', label: 'Technical' },
+    { value: 'take_home', label: 'Take-home' },
+    { value: 'onsite', label: 'Onsite' },
+    { value: 'panel', label: 'Panel' },
+    { value: 'behavioral', label: 'Behavioral' },
+    { value: 'final', label: 'Final Round' },
+    { value: 'other', label: 'Other' }
+  ];
+
+  const emptyInterviewForm = {
+    round_type: 'phone_screen',
+    scheduled_at: '',
+    duration_minutes: '',
+    interviewers: '',
+    location: '',
+    prep_notes: '',
+    feedback: '',
+    rating: ''
+  };
+
+  const [interviewForm, setInterviewForm] = useState(emptyInterviewForm);
+
+  const offerStatusOptions = [
+    { value: 'pending', label: 'Pending', color: 'bg-blue-100 text-blue-800' },
+    { value: 'negotiating', label: 'Negotiating', color: 'bg-yellow-100 text-yellow-800' },
+    { value: 'accepted', label: 'Accepted', color: 'bg-green-100 text-green-800' },
+    { value: 'declined', label: 'Declined', color: 'bg-gray-100 text-gray-800' },
+    { value: 'expired', label: 'Expired', color: 'bg-red-100 text-red-800' }
+  ];
+
+  const negotiationKindOptions = [
+    { value: 'ask', label: 'I asked for' },
+    { value: 'counter', label: 'They countered' },
+    { value: 'note', label: 'Note' }
+  ];
+
+  const emptyOfferForm = {
+    status: 'pending',
+    currency: '',
+    base_salary: '',
+    bonus_amount: '',
+    bonus_percent: '',
+    sign_on_bonus: '',
+    equity_value: '',
+    equity_vesting_years: '4',
+    equity_cliff_months: '12',
+    equity_details: '',
+    benefits: '',
+    pto_days: '',
+    start_date: '',
+    decision_deadline: '',
+    notes: ''
+  };
+
+  const emptyNegotiationForm = { kind: 'ask', amount: '', note: '', occurred_on: '' };
+
+  const [offers, setOffers] = useState([]);
+  const [editingOfferId, setEditingOfferId] = useState(null); // null, 'new' or an offer id
+  const [offerForm, setOfferForm] = useState(emptyOfferForm);
+  const [negotiatingOfferId, setNegotiatingOfferId] = useState(null);
+  const [negotiationForm, setNegotiationForm] = useState(emptyNegotiationForm);
+  const [allOffers, setAllOffers] = useState([]);
+
+  const companySizeOptions = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5001-10000', '10000+'];
+
+  const emptyCompanyForm = { name: '', website: '', industry: '', size: '', headquarters: '', notes: '' };
+
+  const [companies, setCompanies] = useState([]);
+  const [companySearch, setCompanySearch] = useState('');
+  const [newCompanyName, setNewCompanyName] = useState('');
+  const [selectedCompany, setSelectedCompany] = useState(null);
+  const [editingCompany, setEditingCompany] = useState(false);
+  const [companyForm, setCompanyForm] = useState(emptyCompanyForm);
+  const [mergeCompanyId, setMergeCompanyId] = useState('');
+
+  const contactRoleOptions = [
+    { value: 'recruiter', label: 'Recruiter' },
+    { value: 'hiring_manager', label: 'Hiring manager' },
+    { value: 'referrer', label: 'Referrer' },
+    { value: 'interviewer', label: 'Interviewer' },
+    { value: 'other', label: 'Other' }
+  ];
+
+  const interactionKindOptions = [
+    { value: 'email', label: 'Email' },
+    { value: 'call', label: 'Phone call' },
+    { value: 'video_call', label: 'Video call' },
+    { value: 'meeting', label: 'Meeting' },
+    { value: 'coffee_chat', label: 'Coffee chat' },
+    { value: 'message', label: 'Message' },
+    { value: 'other', label: 'Other' }
+  ];
+
+  const emptyContactForm = {
+    name: '',
+    title: '',
+    company_name: '',
+    email: '',
+    phone: '',
+    linkedin_url: '',
+    how_we_met: '',
+    notes: ''
+  };
+
+  const emptyInteractionForm = { kind: 'email', occurred_on: '', job_id: '', summary: '' };
+  const emptyContactLinkForm = { contact_id: '', role: 'recruiter', name: '', email: '' };
+
+  const [contacts, setContacts] = useState([]);
+  const [contactSearch, setContactSearch] = useState('');
+  const [selectedContact, setSelectedContact] = useState(null);
+  const [editingContact, setEditingContact] = useState(false);
+  const [contactForm, setContactForm] = useState(emptyContactForm);
+  const [interactionForm, setInteractionForm] = useState(emptyInteractionForm);
+  const [jobContacts, setJobContacts] = useState([]);
+  const [contactLinkForm, setContactLinkForm] = useState(emptyContactLinkForm);
+
+  const documentKindOptions = [
+    { value: 'resume', label: 'Resume' },
+    { value: 'cover_letter', label: 'Cover letter' },
+    { value: 'portfolio', label: 'Portfolio' },
+    { value: 'transcript', label: 'Transcript' },
+    { value: 'other', label: 'Other' }
+  ];
+
+  const [documents, setDocuments] = useState([]);
+  const [jobDocuments, setJobDocuments] = useState([]);
+  const [documentUpload, setDocumentUpload] = useState({ file: null, name: '', kind: 'resume' });
+  const [uploading, setUploading] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [tagEditorJobId, setTagEditorJobId] = useState(null);
+  const [newTag, setNewTag] = useState({ name: '', color: '#3b82f6' });
+  const [comparedOfferIds, setComparedOfferIds] = useState(null); // null = default selection
+
+  const importFields = [
+    'company_name', 'job_title', 'job_url', 'location', 'salary_range', 'salary_min', 'salary_max',
+    'salary_currency', 'salary_period', 'application_date', 'status', 'description', 'requirements',
+    'notes', 'contact_person', 'contact_email', 'follow_up_date'
+  ];
+
+  const salaryPeriodOptions = [
+    { value: 'year', label: 'per year', short: '/yr' },
+    { value: 'month', label: 'per month', short: '/mo' },
+    { value: 'week', label: 'per week', short: '/wk' },
+    { value: 'day', label: 'per day', short: '/day' },
+    { value: 'hour', label: 'per hour', short: '/hr' }
+  ];
+
+  // Suggestions for where a posting was found; any other source can be typed
+  const sourceSuggestions = ['LinkedIn', 'Indeed', 'Company website', 'Referral', 'Recruiter', 'Job fair'];
+
+  // Quick ranges for the Statistics view, each with the timeline interval that suits it
+  const statsRangePresets = [
+    { label: 'Last 30 days', days: 30, interval: 'day' },
+    { label: 'Last 3 months', days: 91, interval: 'week' },
+    { label: 'Last 12 months', days: 365, interval: 'month' },
+    { label: 'All time', days: null, interval: 'month' }
+  ];
+
+  const timelineIntervalOptions = [
+    { value: 'day', label: 'Daily' },
+    { value: 'week', label: 'Weekly' },
+    { value: 'month', label: 'Monthly' }
+  ];
+
+  // Audit log actions, as filter options and event labels
+  const auditActionOptions = [
+    { value: 'auth.login', label: 'Logged in' },
+    { value: 'auth.login_failed', label: 'Failed login' },
+    { value: 'auth.register', label: 'Account created' },
+    { value: 'token.new_ip', label: 'Used from a new IP address' },
+    { value: 'job.create', label: 'Application added' },
+    { value: 'job.update', label: 'Application changed' },
+    { value: 'job.delete', label: 'Application deleted' }
+  ];
+
+  const loginFailureReasons = {
+    wrong_password: 'Wrong password',
+    email_not_verified: 'Email address not verified yet'
+  };
+
+  const funnelDimensionOptions = [
+    { value: 'source', label: 'Source' },
+    { value: 'location', label: 'Location' },
+    { value: 'month', label: 'Month applied' }
   ];
 
   const [formData, setFormData] = useState({
@@ -35,15 +314,22 @@ const JobTracker = () => {
     job_title: '',
     job_url: '',
     location: '',
+    source: '',
     salary_range: '',
+    salary_min: '',
+    salary_max: '',
+    salary_currency: '',
+    salary_period: 'year',
     application_date: new Date().toISOString().split('T')[0],
-    status: 'applied',
+    status: '',
     description: '',
     requirements: '',
     notes: '',
     contact_person: '',
     contact_email: '',
-    follow_up_date: ''
+    follow_up_date: '',
+    status_note: '',
+    tag_ids: []
   });
 
   const [authData, setAuthData] = useState({
@@ -52,63 +338,158 @@ const JobTracker = () => {
     password: ''
   });
 
-  // Check for existing token on component mount
+  // On mount, handle links from verification and reset emails, otherwise
+  // check for an existing session
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      verifyToken(token);
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('verify') || params.has('reset')) {
+      // Keep single-use tokens out of the address bar and browser history
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    if (params.get('verify')) {
+      verifyEmail(params.get('verify'));
+    } else if (params.get('reset')) {
+      setResetToken(params.get('reset'));
+      setAuthView('reset');
+    } else if (localStorage.getItem('token')) {
+      verifyToken();
     }
   }, []);
 
   useEffect(() => {
     if (user) {
       fetchJobs();
+      fetchReminders();
     }
   }, [filters, user]);
 
   useEffect(() => {
+    // Messages belong to the view they were shown in
+    setFormMessages({});
     if (currentView === 'stats' && user) {
       fetchStats();
     }
+    if (currentView === 'calendar' && user) {
+      fetchCalendarToken();
+    }
+    if (currentView === 'board' && user) {
+      fetchBoard();
+    }
+    if (currentView === 'offers' && user) {
+      fetchAllOffers();
+    }
+    if (currentView === 'companies' && user) {
+      fetchCompanies();
+    }
+    if (currentView === 'contacts' && user) {
+      fetchContacts();
+    }
+    if (currentView === 'documents' && user) {
+      fetchDocuments();
+    }
+    if (currentView === 'settings' && user) {
+      setProfileForm({ username: user.username, email: user.email });
+      fetchSessions();
+    }
+    if (currentView === 'activity' && user) {
+      fetchActivity();
+    }
+    if (['list', 'add', 'edit', 'settings'].includes(currentView) && user) {
+      fetchTags();
+    }
+    // Every view shows statuses, and job counts per stage change as applications move
+    if (user) {
+      fetchPipeline();
+    }
   }, [currentView, user]);
 
-  const verifyToken = async (token) => {
+  const verifyToken = async () => {
     try {
-      const response = await fetch(`${API_BASE}/auth/me`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/me`);
 
       if (response.ok) {
         const data = await response.json();
         setUser(data.user);
-        localStorage.setItem('token', token);
-      } else {
-        localStorage.removeItem('token');
       }
     } catch (error) {
-      console.error('Token verification failed:', error);
-      localStorage.removeItem('token');
+      showFormError('auth', 'Network error while restoring your session');
     }
   };
 
+  // Tell the user how long to wait after a 429 until the limit resets
+  const showRateLimitNotice = (seconds) => {
+    setRateLimitNotice(`You're sending requests too quickly. Please wait ${formatWait(seconds)} before trying again.`);
+    clearTimeout(rateLimitTimer);
+    rateLimitTimer = setTimeout(() => setRateLimitNotice(''), seconds * 1000);
+  };
+
+  // Sends the stored access token; on a 401 refreshes it once and retries.
+  // If the session can't be refreshed the user is logged out locally. A
+  // rate-limited read is retried once the limit resets, if that's soon.
   const makeAuthenticatedRequest = async (url, options = {}) => {
-    const token = localStorage.getItem('token');
-    
-    return fetch(url, {
+    const send = () => fetch(url, {
       ...options,
       headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
+        // Uploads let the browser set the multipart boundary
+        ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+        'Authorization': `Bearer ${localStorage.getItem('token')}`,
         ...options.headers
       }
     });
+
+    let response = await send();
+    if (response.status === 429) {
+      const wait = retryAfterSeconds(response);
+      if ((!options.method || options.method === 'GET') && wait <= MAX_AUTO_RETRY_SECONDS) {
+        setRateLimitNotice(`Too many requests, retrying in ${formatWait(wait)}...`);
+        await new Promise(resolve => setTimeout(resolve, wait * 1000));
+        response = await send();
+      }
+      if (response.status === 429) {
+        showRateLimitNotice(retryAfterSeconds(response));
+      } else {
+        setRateLimitNotice('');
+      }
+    }
+    if (response.status !== 401) {
+      return response;
+    }
+
+    if (await refreshAccessToken()) {
+      return send();
+    }
+    clearSession();
+    return response;
+  };
+
+  const showFormError = (form, text) => {
+    setFormMessages(prev => ({ ...prev, [form]: { text, error: true } }));
+  };
+
+  const showFormNotice = (form, text) => {
+    setFormMessages(prev => ({ ...prev, [form]: { text, error: false } }));
+  };
+
+  // Show the per-field messages of a rejected request next to the form's inputs,
+  // falling back to the form's message for errors that aren't about a particular field
+  const showRequestErrors = (form, data, fallback) => {
+    if (data.fields) {
+      setFieldErrors(prev => ({ ...prev, [form]: data.fields }));
+    } else {
+      showFormError(form, data.error || fallback);
+    }
+  };
+
+  const clearFieldErrors = (form) => {
+    setFieldErrors(prev => ({ ...prev, [form]: {} }));
+    setFormMessages(prev => ({ ...prev, [form]: null }));
   };
 
   const handleAuth = async (e) => {
     e.preventDefault();
     setLoading(true);
+    clearFieldErrors('auth');
 
     try {
       const endpoint = authView === 'login' ? '/auth/login' : '/auth/register';
@@ -126,404 +507,5272 @@ const JobTracker = () => {
 
       const data = await response.json();
 
-      if (response.ok) {
+      if (response.ok && authView === 'register') {
+        setAuthNotice(data.message);
+        setAuthView('login');
+        setAuthData({ username: '', email: authData.email, password: '' });
+      } else if (response.ok) {
         localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
         setUser(data.user);
         setAuthData({ username: '', email: '', password: '' });
+        setAuthNotice('');
+      } else if (data.code === 'email_not_verified') {
+        setUnverifiedEmail(authData.email);
+        setAuthNotice(data.error);
+      } else if (response.status === 429) {
+        setAuthNotice(`${data.error}. Try again in ${formatWait(retryAfterSeconds(response))}.`);
       } else {
-        alert(data.error || 'Authentication failed');
+        showRequestErrors('auth', data, 'Authentication failed');
       }
     } catch (error) {
-      console.error('Auth error:', error);
-      alert('Network error during authentication');
+      showFormError('auth', 'Network error during authentication');
     }
     setLoading(false);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    setUser(null);
-    setJobs([]);
-    setStats(null);
-    setCurrentView('list');
+  const switchAuthView = (view) => {
+    setAuthView(view);
+    setAuthNotice('');
+    setUnverifiedEmail(null);
+    clearFieldErrors('auth');
   };
 
-  const fetchJobs = async () => {
-    if (!user) return;
-    
+  const verifyEmail = async (token) => {
     setLoading(true);
     try {
-      const queryParams = new URLSearchParams();
-      if (filters.status) queryParams.append('status', filters.status);
-      if (filters.company) queryParams.append('company', filters.company);
-      queryParams.append('page', filters.page);
-      queryParams.append('limit', '10');
-
-      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs?${queryParams}`);
+      const response = await fetch(`${API_BASE}/auth/verify-email`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
       const data = await response.json();
-      
+
       if (response.ok) {
-        setJobs(data.jobs);
-        setPagination(data.pagination);
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        setUser(data.user);
       } else {
-        console.error('Error fetching jobs:', data.error);
+        setAuthNotice(`${data.error || 'Email verification failed'}. Log in to request a new link.`);
       }
     } catch (error) {
-      console.error('Network error:', error);
+      showFormError('auth', 'Network error during email verification');
     }
     setLoading(false);
   };
 
-  const fetchStats = async () => {
-    if (!user) return;
-    
+  const resendVerification = async () => {
+    clearFieldErrors('auth');
+
     try {
-      const response = await makeAuthenticatedRequest(`${API_BASE}/stats`);
+      const response = await fetch(`${API_BASE}/auth/resend-verification`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: unverifiedEmail })
+      });
       const data = await response.json();
-      
+
       if (response.ok) {
-        setStats(data);
+        setAuthNotice(data.message);
+        setUnverifiedEmail(null);
+      } else {
+        showRequestErrors('auth', data, 'Failed to resend verification email');
       }
     } catch (error) {
-      console.error('Error fetching stats:', error);
+      showFormError('auth', 'Network error while resending the verification email');
     }
   };
 
-  const handleSubmit = async (e) => {
+  const handleForgotPassword = async (e) => {
     e.preventDefault();
     setLoading(true);
+    clearFieldErrors('auth');
 
     try {
-      const url = currentView === 'edit' 
-        ? `${API_BASE}/jobs/${selectedJob.id}`
-        : `${API_BASE}/jobs`;
-      
-      const method = currentView === 'edit' ? 'PUT' : 'POST';
-      
-      const response = await makeAuthenticatedRequest(url, {
-        method,
-        body: JSON.stringify(formData),
+      const response = await fetch(`${API_BASE}/auth/forgot-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: authData.email })
       });
+      const data = await response.json();
 
       if (response.ok) {
-        setCurrentView('list');
-        fetchJobs();
-        resetForm();
+        switchAuthView('login');
+        setAuthNotice(data.message);
+      } else if (response.status === 429) {
+        setAuthNotice(`${data.error}. Try again in ${formatWait(retryAfterSeconds(response))}.`);
       } else {
-        const data = await response.json();
-        console.error('Error:', data.error);
+        showRequestErrors('auth', data, 'Failed to start password reset');
       }
     } catch (error) {
-      console.error('Network error:', error);
+      showFormError('auth', 'Network error while requesting a password reset');
     }
     setLoading(false);
   };
 
-  const handleDelete = async (jobId) => {
-    if (!window.confirm('Are you sure you want to delete this job application?')) {
-      return;
-    }
-
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
     setLoading(true);
+    clearFieldErrors('auth');
+
     try {
-      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}`, {
-        method: 'DELETE',
+      const response = await fetch(`${API_BASE}/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: resetToken, password: authData.password })
       });
+      const data = await response.json();
 
       if (response.ok) {
-        fetchJobs();
+        setResetToken(null);
+        setAuthData({ username: '', email: '', password: '' });
+        switchAuthView('login');
+        setAuthNotice(data.message);
+      } else if (response.status === 429) {
+        setAuthNotice(`${data.error}. Try again in ${formatWait(retryAfterSeconds(response))}.`);
       } else {
-        const data = await response.json();
-        console.error('Error deleting job:', data.error);
-        alert('Error deleting job application');
+        showRequestErrors('auth', data, 'Failed to reset password');
       }
     } catch (error) {
-      console.error('Network error:', error);
-      alert('Network error while deleting');
+      showFormError('auth', 'Network error while resetting the password');
     }
     setLoading(false);
   };
 
-  const handleEdit = (job) => {
-    setSelectedJob(job);
-    setFormData({
-      company_name: job.company_name || '',
-      job_title: job.job_title || '',
-      job_url: job.job_url || '',
-      location: job.location || '',
-      salary_range: job.salary_range || '',
-      application_date: job.application_date ? new Date(job.application_date).toISOString().split('T')[0] : '',
-      status: job.status || 'applied',
-      description: job.description || '',
-      requirements: job.requirements || '',
-      notes: job.notes || '',
-      contact_person: job.contact_person || '',
-      contact_email: job.contact_email || '',
-      follow_up_date: job.follow_up_date ? new Date(job.follow_up_date).toISOString().split('T')[0] : ''
-    });
-    setCurrentView('edit');
+  const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    setUser(null);
+    setJobs([]);
+    setStats(null);
+    setSessions([]);
+    setActivity({ events: [], pagination: { page: 1, totalPages: 1, total: 0 } });
+    setActivityFilters(defaultActivityFilters);
+    setCurrentView('list');
   };
 
-  const resetForm = () => {
-    setFormData({
-      company_name: '',
-      job_title: '',
-      job_url: '',
-      location: '',
-      salary_range: '',
-      application_date: new Date().toISOString().split('T')[0],
-      status: 'applied',
-      description: '',
-      requirements: '',
-      notes: '',
-      contact_person: '',
-      contact_email: '',
-      follow_up_date: ''
-    });
-    setSelectedJob(null);
-  };
+  const handleLogout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
+    if (!refreshToken) return;
 
-  const formatDate = (dateString) => {
-    if (!dateString) return 'No date';
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return 'Invalid date';
-    return date.toLocaleDateString();
+    try {
+      await fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch (error) {
+      showFormError('auth', 'Logged out here, but the server could not be reached to end the session');
+    }
   };
 
-  // If user is not authenticated, show login/register form
-  if (!user) {
-    return (
-      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
-        <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
-          <div className="text-center mb-6">
-            <h1 className="text-2xl font-bold text-gray-900">Job Application Tracker</h1>
-            <p className="text-gray-600 mt-2">Track your job applications securely</p>
-          </div>
-
-          <div className="flex mb-6">
-            <button
-              onClick={() => setAuthView('login')}
-              className={`flex-1 py-2 px-4 text-center rounded-l-lg ${authView === 'login' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
-            >
-              <LogIn className="inline mr-2" size={16} />
-              Login
-            </button>
-            <button
-              onClick={() => setAuthView('register')}
-              className={`flex-1 py-2 px-4 text-center rounded-r-lg ${authView === 'register' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
-            >
-              <UserPlus className="inline mr-2" size={16} />
-              Register
-            </button>
-          </div>
+  const handleProfileSave = async (e) => {
+    e.preventDefault();
+    clearFieldErrors('profile');
 
-          <form onSubmit={handleAuth} className="space-y-4">
-            {authView === 'register' && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Username
-                </label>
-                <input
-                  type="text"
-                  required
-                  value={authData.username}
-                  onChange={(e) => setAuthData({...authData, username: e.target.value})}
-                  className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Enter username"
-                />
-              </div>
-            )}
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/me`, {
+        method: 'PUT',
+        body: JSON.stringify(profileForm)
+      });
+      const data = await response.json();
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Email
-              </label>
-              <input
-                type="email"
-                required
-                value={authData.email}
-                onChange={(e) => setAuthData({...authData, email: e.target.value})}
-                className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="Enter email"
-              />
-            </div>
+      if (response.ok) {
+        setUser(data.user);
+        showFormNotice('profile', data.message);
+      } else {
+        showRequestErrors('profile', data, 'Failed to update profile');
+      }
+    } catch (error) {
+      showFormError('profile', 'Network error while saving your profile');
+    }
+  };
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <input
-                type="password"
-                required
-                value={authData.password}
-                onChange={(e) => setAuthData({...authData, password: e.target.value})}
-                className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                placeholder="Enter password"
-                minLength="6"
-              />
-              {authView === 'register' && (
-                <p className="text-xs text-gray-500 mt-1">Password must be at least 6 characters</p>
-              )}
-            </div>
+  const handlePasswordChange = async (e) => {
+    e.preventDefault();
+    clearFieldErrors('password');
 
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/password`, {
+        method: 'PUT',
+        body: JSON.stringify(passwordForm)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setPasswordForm({ current_password: '', new_password: '' });
+        fetchSessions();
+        showFormNotice('password', data.message);
+      } else {
+        showRequestErrors('password', data, 'Failed to change password');
+      }
+    } catch (error) {
+      showFormError('password', 'Network error while changing your password');
+    }
+  };
+
+  const handleAccountExport = async () => {
+    clearFieldErrors('accountExport');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/me/export`);
+
+      if (!response.ok) {
+        const data = await response.json();
+        showFormError('accountExport', data.error || 'Error exporting account data');
+        return;
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'job-tracker-account.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showFormError('accountExport', 'Network error while exporting');
+    }
+  };
+
+  const handleAccountDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Permanently delete your account and every application, interview and note in it? This cannot be undone.')) {
+      return;
+    }
+    clearFieldErrors('deleteAccount');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/me`, {
+        method: 'DELETE',
+        body: JSON.stringify({ password: deletePassword })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setDeletePassword('');
+        clearSession();
+        setAuthNotice(data.message);
+      } else {
+        showRequestErrors('deleteAccount', data, 'Failed to delete account');
+      }
+    } catch (error) {
+      showFormError('deleteAccount', 'Network error while deleting your account');
+    }
+  };
+
+  const fetchSessions = async () => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/sessions`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setSessions(data.sessions);
+      } else {
+        showFormError('view', data.error || 'Error loading sessions');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading sessions');
+    }
+  };
+
+  const revokeSession = async (session) => {
+    if (session.current) {
+      handleLogout();
+      return;
+    }
+
+    clearFieldErrors('sessions');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/sessions/${session.id}`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        fetchSessions();
+      } else {
+        const data = await response.json();
+        showFormError('sessions', data.error || 'Failed to revoke session');
+      }
+    } catch (error) {
+      showFormError('sessions', 'Network error while revoking the session');
+    }
+  };
+
+  const logoutEverywhere = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) {
+      return;
+    }
+
+    clearFieldErrors('sessions');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/auth/sessions`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        clearSession();
+      } else {
+        const data = await response.json();
+        showFormError('sessions', data.error || 'Failed to log out everywhere');
+      }
+    } catch (error) {
+      showFormError('sessions', 'Network error while logging out everywhere');
+    }
+  };
+
+  const fetchActivity = async (activityQuery = activityFilters) => {
+    clearFieldErrors('activity');
+
+    try {
+      const queryParams = new URLSearchParams({ page: activityQuery.page, limit: 25 });
+      for (const key of ['action', 'job_id', 'from', 'to']) {
+        if (activityQuery[key]) queryParams.append(key, activityQuery[key]);
+      }
+
+      const response = await makeAuthenticatedRequest(`${API_BASE}/audit?${queryParams}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setActivity(data);
+      } else {
+        showFormError('activity', data.error || 'Failed to load account activity');
+      }
+    } catch (error) {
+      showFormError('activity', 'Network error while loading account activity');
+    }
+  };
+
+  // Filter changes other than paging start again from the first page
+  const updateActivityFilters = (changes) => {
+    const next = { ...activityFilters, page: 1, ...changes };
+    setActivityFilters(next);
+    fetchActivity(next);
+  };
+
+  // Query parameters for the current filters and sort, shared by the list and export
+  const buildFilterParams = () => {
+    const queryParams = new URLSearchParams();
+    if (filters.statuses.length > 0) queryParams.append('status', filters.statuses.join(','));
+    for (const key of ['company', 'location', 'applied_from', 'applied_to', 'follow_up_from', 'follow_up_to', 'salary_min', 'salary_max', 'salary_currency', 'q']) {
+      if (filters[key]) queryParams.append(key, filters[key]);
+    }
+    if (filters.follow_up_overdue) queryParams.append('follow_up_overdue', 'true');
+    if (filters.tags.length > 0) {
+      queryParams.append('tags', filters.tags.join(','));
+      queryParams.append('tag_match', filters.tag_match);
+    }
+    if (filters.sort) {
+      queryParams.append('sort', filters.sort);
+      queryParams.append('order', filters.order);
+    }
+    return queryParams;
+  };
+
+  const fetchJobs = async () => {
+    if (!user) return;
+    
+    setLoading(true);
+    try {
+      const queryParams = buildFilterParams();
+      queryParams.append('page', filters.page);
+      queryParams.append('limit', '10');
+
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs?${queryParams}`);
+      const data = await response.json();
+      
+      if (response.ok) {
+        setJobs(data.jobs);
+        setPagination(data.pagination);
+      } else {
+        showFormError('view', data.error || 'Error loading applications');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading applications');
+    }
+    setLoading(false);
+  };
+
+  const fetchPipeline = async () => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/pipeline`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setStages(data.stages);
+      } else {
+        showFormError('view', data.error || 'Error loading pipeline stages');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading pipeline stages');
+    }
+  };
+
+  const handleStageCreate = async (e) => {
+    e.preventDefault();
+    clearFieldErrors('pipeline');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/pipeline/stages`, {
+        method: 'POST',
+        body: JSON.stringify(newStage),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setNewStage({ ...newStage, name: '' });
+        fetchPipeline();
+      } else {
+        showFormError('pipeline', data.error || 'Error adding stage');
+      }
+    } catch (error) {
+      showFormError('pipeline', 'Network error while adding the stage');
+    }
+  };
+
+  // Rename, recolor, flag or archive a stage
+  const handleStageUpdate = async (stage, changes) => {
+    clearFieldErrors('pipeline');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/pipeline/stages/${stage.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name: stage.name, ...changes }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        showFormError('pipeline', data.error || 'Error updating stage');
+      }
+    } catch (error) {
+      showFormError('pipeline', 'Network error while updating the stage');
+    }
+    fetchPipeline();
+  };
+
+  // Swap a stage with its neighbour (direction -1 moves it up, 1 down)
+  const moveStage = async (index, direction) => {
+    const ordered = [...stages];
+    [ordered[index], ordered[index + direction]] = [ordered[index + direction], ordered[index]];
+    setStages(ordered);
+    clearFieldErrors('pipeline');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/pipeline/order`, {
+        method: 'PUT',
+        body: JSON.stringify({ stage_ids: ordered.map(stage => stage.id) }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setStages(data.stages);
+      } else {
+        showFormError('pipeline', data.error || 'Error reordering stages');
+        fetchPipeline();
+      }
+    } catch (error) {
+      showFormError('pipeline', 'Network error while reordering stages');
+      fetchPipeline();
+    }
+  };
+
+  const handleStageDelete = async (stage) => {
+    if (!window.confirm(`Delete the ${stage.name} stage?`)) {
+      return;
+    }
+
+    clearFieldErrors('pipeline');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/pipeline/stages/${stage.id}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchPipeline();
+      } else {
+        const data = await response.json();
+        showFormError('pipeline', data.error || 'Error deleting stage');
+      }
+    } catch (error) {
+      showFormError('pipeline', 'Network error while deleting the stage');
+    }
+  };
+
+  const fetchTags = async () => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/tags`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setTags(data.tags);
+      } else {
+        showFormError('view', data.error || 'Error loading tags');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading tags');
+    }
+  };
+
+  // Create a tag from the inline "new tag" input and return it, or null on failure
+  const handleTagCreate = async () => {
+    if (!newTag.name.trim()) return null;
+    clearFieldErrors('tags');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/tags`, {
+        method: 'POST',
+        body: JSON.stringify(newTag),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setTags([...tags, data].sort((a, b) => a.name.localeCompare(b.name)));
+        setNewTag({ ...newTag, name: '' });
+        return data;
+      }
+      showFormError('tags', data.error || 'Error creating tag');
+    } catch (error) {
+      showFormError('tags', 'Network error while creating the tag');
+    }
+    return null;
+  };
+
+  const handleTagUpdate = async (tag, changes) => {
+    clearFieldErrors('tags');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/tags/${tag.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name: tag.name, color: tag.color, ...changes }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        fetchTags();
+        fetchJobs();
+      } else {
+        showFormError('tags', data.error || 'Error updating tag');
+        fetchTags();
+      }
+    } catch (error) {
+      showFormError('tags', 'Network error while updating the tag');
+    }
+  };
+
+  const handleTagDelete = async (tag) => {
+    if (!window.confirm(tag.job_count > 0
+      ? `Delete the tag "${tag.name}"? It will be removed from ${tag.job_count} application${tag.job_count === 1 ? '' : 's'}.`
+      : `Delete the tag "${tag.name}"?`)) {
+      return;
+    }
+
+    clearFieldErrors('tags');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/tags/${tag.id}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchTags();
+        fetchJobs();
+        if (filters.tags.includes(tag.id)) {
+          updateFilter({ tags: filters.tags.filter(id => id !== tag.id) });
+        }
+      } else {
+        const data = await response.json();
+        showFormError('tags', data.error || 'Error deleting tag');
+      }
+    } catch (error) {
+      showFormError('tags', 'Network error while deleting the tag');
+    }
+  };
+
+  // Replace a job's tags from the list view and update the card in place
+  const updateJobTags = async (job, tagIds) => {
+    clearFieldErrors('view');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${job.id}/tags`, {
+        method: 'PUT',
+        body: JSON.stringify({ tag_ids: tagIds }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobs(jobs.map(item => (item.id === job.id ? { ...item, tags: data.tags } : item)));
+      } else {
+        showFormError('view', data.error || 'Error updating tags');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while updating tags');
+    }
+  };
+
+  const fetchReminders = async () => {
+    if (!user) return;
+
+    try {
+      const ranges = ['overdue', 'today', 'week'];
+      const responses = await Promise.all(
+        ranges.map(range => makeAuthenticatedRequest(`${API_BASE}/reminders?range=${range}`))
+      );
+
+      const results = {};
+      for (let i = 0; i < ranges.length; i++) {
+        results[ranges[i]] = responses[i].ok ? await responses[i].json() : null;
+      }
+      setReminders(results);
+    } catch (error) {
+      showFormError('view', 'Network error while loading reminders');
+    }
+  };
+
+  const fetchStats = async (range = statsRange, interval = timelineInterval) => {
+    if (!user) return;
+    
+    try {
+      const rangeParams = Object.fromEntries(Object.entries(range).filter(([, value]) => value));
+      const rangeQuery = new URLSearchParams(rangeParams).toString();
+
+      const response = await makeAuthenticatedRequest(`${API_BASE}/stats?${rangeQuery}`);
+      const data = await response.json();
+      
+      if (response.ok) {
+        setStats(data);
+      } else {
+        showFormError('view', data.error || 'Failed to load statistics');
+        return;
+      }
+
+      const funnelResponse = await makeAuthenticatedRequest(`${API_BASE}/stats/funnel?${rangeQuery}`);
+      const funnelData = await funnelResponse.json();
+
+      if (funnelResponse.ok) {
+        setFunnel(funnelData);
+      }
+
+      const timelineQuery = new URLSearchParams({ ...rangeParams, interval }).toString();
+      const timelineResponse = await makeAuthenticatedRequest(`${API_BASE}/stats/timeline?${timelineQuery}`);
+      const timelineData = await timelineResponse.json();
+
+      if (timelineResponse.ok) {
+        setTimeline(timelineData);
+      } else {
+        setTimeline(null);
+        showFormError('view', timelineData.error || 'Failed to load activity');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading statistics');
+    }
+  };
+
+  const updateStatsRange = (range, interval = timelineInterval) => {
+    setStatsRange(range);
+    setTimelineInterval(interval);
+    fetchStats(range, interval);
+  };
+
+  const applyStatsRangePreset = (preset) => {
+    const from = new Date();
+    from.setDate(from.getDate() - preset.days + 1);
+    updateStatsRange(
+      preset.days ? { from: from.toISOString().split('T')[0], to: new Date().toISOString().split('T')[0] } : { from: '', to: '' },
+      preset.interval
+    );
+  };
+
+  // Short label of a timeline bucket, e.g. "Oct 13" for days and weeks or "Oct 2026" for months
+  const formatBucket = (start, interval) => (interval === 'month'
+    ? formatMonth(start.slice(0, 7))
+    : new Date(`${start}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+
+  // Activity charts of the Statistics view: applications sent per bucket as bars, and
+  // interview rounds and moves into each stage as lines
+  const renderTimeline = () => {
+    if (!timeline) return null;
+
+    const series = [
+      { key: 'interviews', name: 'Interview rounds', color: '#9333ea', value: bucket => bucket.interviews },
+      ...timeline.stages
+        .filter(stage => timeline.totals.transitions[stage.key])
+        .map(stage => ({ key: stage.key, name: `Moved to ${stage.name}`, color: stage.color, value: bucket => bucket.transitions[stage.key] || 0 }))
+    ];
+    const mostApplications = Math.max(...timeline.buckets.map(bucket => bucket.applications), 1);
+    const mostEvents = Math.max(...timeline.buckets.flatMap(bucket => series.map(line => line.value(bucket))), 1);
+    const labelEvery = Math.ceil(timeline.buckets.length / 12);
+    const pointX = (index) => ((index + 0.5) / timeline.buckets.length) * 100;
+    const bucketLabels = (
+      <div className="flex mt-1">
+        {timeline.buckets.map((bucket, index) => (
+          <div key={bucket.start} className="flex-1 text-center text-xs text-gray-500 truncate">
+            {index % labelEvery === 0 ? formatBucket(bucket.start, timeline.interval) : ''}
+          </div>
+        ))}
+      </div>
+    );
+
+    return (
+      <div className="mt-8">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+          <h3 className="text-lg font-semibold">Activity</h3>
+          <div className="flex gap-1">
+            {timelineIntervalOptions.map(option => (
+              <button
+                key={option.value}
+                onClick={() => updateStatsRange(statsRange, option.value)}
+                className={`px-3 py-1 rounded-lg text-sm ${timeline.interval === option.value ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          {formatDate(`${timeline.from}T00:00:00`)} – {formatDate(`${timeline.to}T00:00:00`)}:
+          {' '}{timeline.totals.applications} applications sent, {timeline.totals.interviews} interview rounds
+        </p>
+
+        <h4 className="text-sm font-medium text-gray-700 mb-2">Applications sent</h4>
+        <div className="flex items-end gap-1 h-32 border-b">
+          {timeline.buckets.map(bucket => (
+            <div key={bucket.start} className="flex-1 flex flex-col justify-end items-center h-full" title={`${formatBucket(bucket.start, timeline.interval)}: ${bucket.applications}`}>
+              {bucket.applications > 0 && <span className="text-xs text-gray-600">{bucket.applications}</span>}
+              <div className="w-full bg-blue-500 rounded-t" style={{ height: `${(bucket.applications / mostApplications) * 85}%` }} />
+            </div>
+          ))}
+        </div>
+        {bucketLabels}
+
+        <h4 className="text-sm font-medium text-gray-700 mt-6 mb-2">Interviews and status changes</h4>
+        <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-2">
+          {series.map(line => (
+            <span key={line.key} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ backgroundColor: line.color }} />
+              {line.name}
+            </span>
+          ))}
+        </div>
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-32 border-b">
+          {series.map(line => (
+            <polyline
+              key={line.key}
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+              points={timeline.buckets.map((bucket, index) => `${pointX(index)},${100 - (line.value(bucket) / mostEvents) * 90}`).join(' ')}
+            >
+              <title>{line.name}</title>
+            </polyline>
+          ))}
+        </svg>
+        {bucketLabels}
+      </div>
+    );
+  };
+
+  const formatRate = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+  const formatDays = (value) => (value === null || value === undefined ? '—' : `${value} ${value === 1 ? 'day' : 'days'}`);
+
+  const formatMonth = (value) => new Date(`${value}-01T00:00:00`).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+  const toggleHistory = (jobId) => {
+    if (historyJobId === jobId) {
+      setHistoryJobId(null);
+      return;
+    }
+
+    setHistoryJobId(jobId);
+    fetchJobHistory(jobId);
+  };
+
+  const fetchJobHistory = async (jobId) => {
+    setJobHistory([]);
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}/history`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobHistory(data.history);
+      } else {
+        showFormError('view', data.error || 'Error loading the status timeline');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading the status timeline');
+    }
+  };
+
+  const openDetail = (job) => {
+    setSelectedJob(job);
+    setHistoryJobId(null);
+    setInterviews([]);
+    setOffers([]);
+    setJobContacts([]);
+    setJobDocuments([]);
+    fetchInterviews(job.id);
+    fetchOffers(job.id);
+    fetchJobContacts(job.id);
+    fetchJobDocuments(job.id);
+    fetchJobHistory(job.id);
+    setCurrentView('detail');
+  };
+
+  // Open the detail view for an application known only by id
+  const openJob = async (jobId) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        openDetail(data);
+      } else {
+        showFormError('view', data.error || 'Error loading job application');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading the job application');
+    }
+  };
+
+  const fetchInterviews = async (jobId) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}/interviews`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setInterviews(data.interviews);
+      } else {
+        showFormError('view', data.error || 'Error loading interviews');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading interviews');
+    }
+  };
+
+  const startInterviewEdit = (interview) => {
+    if (interview) {
+      setInterviewForm({
+        round_type: interview.round_type,
+        scheduled_at: toDateTimeInput(interview.scheduled_at),
+        duration_minutes: interview.duration_minutes || '',
+        interviewers: interview.interviewers || '',
+        location: interview.location || '',
+        prep_notes: interview.prep_notes || '',
+        feedback: interview.feedback || '',
+        rating: interview.rating || ''
+      });
+      setEditingInterviewId(interview.id);
+    } else {
+      setInterviewForm(emptyInterviewForm);
+      setEditingInterviewId('new');
+    }
+    clearFieldErrors('interview');
+  };
+
+  const handleInterviewSubmit = async () => {
+    const isNew = editingInterviewId === 'new';
+    const url = isNew
+      ? `${API_BASE}/jobs/${selectedJob.id}/interviews`
+      : `${API_BASE}/jobs/${selectedJob.id}/interviews/${editingInterviewId}`;
+    clearFieldErrors('interview');
+
+    try {
+      const response = await makeAuthenticatedRequest(url, {
+        method: isNew ? 'POST' : 'PUT',
+        body: JSON.stringify({
+          ...interviewForm,
+          scheduled_at: interviewForm.scheduled_at ? new Date(interviewForm.scheduled_at).toISOString() : null
+        }),
+      });
+
+      if (response.ok) {
+        setEditingInterviewId(null);
+        fetchInterviews(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showRequestErrors('interview', data, 'Error saving interview');
+      }
+    } catch (error) {
+      showFormError('interview', 'Network error while saving interview');
+    }
+  };
+
+  const handleInterviewDelete = async (interviewId) => {
+    if (!window.confirm('Delete this interview round?')) {
+      return;
+    }
+
+    clearFieldErrors('interview');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/interviews/${interviewId}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchInterviews(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showFormError('interview', data.error || 'Error deleting interview');
+      }
+    } catch (error) {
+      showFormError('interview', 'Network error while deleting the interview');
+    }
+  };
+
+  const fetchCompanies = async (search = companySearch) => {
+    try {
+      const params = new URLSearchParams();
+      if (search.trim()) {
+        params.set('q', search.trim());
+      }
+      const response = await makeAuthenticatedRequest(`${API_BASE}/companies?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setCompanies(data.companies);
+      } else {
+        showFormError('view', data.error || 'Error loading companies');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading companies');
+    }
+  };
+
+  const openCompany = async (companyId) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/companies/${companyId}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelectedCompany(data);
+        setEditingCompany(false);
+        setMergeCompanyId('');
+        setCurrentView('company');
+        fetchCompanies('');
+      } else {
+        showFormError('view', data.error || 'Error loading company');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading the company');
+    }
+  };
+
+  const handleCompanyCreate = async (e) => {
+    e.preventDefault();
+    clearFieldErrors('companies');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/companies`, {
+        method: 'POST',
+        body: JSON.stringify({ name: newCompanyName }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setNewCompanyName('');
+        fetchCompanies();
+      } else {
+        showFormError('companies', data.error || 'Error creating company');
+      }
+    } catch (error) {
+      showFormError('companies', 'Network error while creating the company');
+    }
+  };
+
+  const startCompanyEdit = () => {
+    setCompanyForm(Object.fromEntries(
+      Object.keys(emptyCompanyForm).map(key => [key, selectedCompany[key] ?? ''])
+    ));
+    clearFieldErrors('company');
+    setEditingCompany(true);
+  };
+
+  const handleCompanySave = async (e) => {
+    e.preventDefault();
+    clearFieldErrors('company');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/companies/${selectedCompany.id}`, {
+        method: 'PUT',
+        body: JSON.stringify(companyForm),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        openCompany(selectedCompany.id);
+        fetchJobs();
+      } else {
+        showRequestErrors('company', data, 'Error saving company');
+      }
+    } catch (error) {
+      showFormError('company', 'Network error while saving the company');
+    }
+  };
+
+  const handleCompanyMerge = async () => {
+    const source = companies.find(company => company.id === Number(mergeCompanyId));
+    if (!source || !window.confirm(`Move every application at ${source.name} to ${selectedCompany.name} and delete ${source.name}?`)) {
+      return;
+    }
+
+    clearFieldErrors('companyMerge');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/companies/${selectedCompany.id}/merge`, {
+        method: 'POST',
+        body: JSON.stringify({ company_ids: [source.id] }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        openCompany(selectedCompany.id);
+        fetchJobs();
+      } else {
+        showFormError('companyMerge', data.error || 'Error merging companies');
+      }
+    } catch (error) {
+      showFormError('companyMerge', 'Network error while merging companies');
+    }
+  };
+
+  const handleCompanyDelete = async () => {
+    if (!window.confirm(`Delete ${selectedCompany.name}?`)) {
+      return;
+    }
+
+    clearFieldErrors('company');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/companies/${selectedCompany.id}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        setSelectedCompany(null);
+        setCurrentView('companies');
+      } else {
+        const data = await response.json();
+        showFormError('company', data.error || 'Error deleting company');
+      }
+    } catch (error) {
+      showFormError('company', 'Network error while deleting the company');
+    }
+  };
+
+  const fetchContacts = async (search = contactSearch) => {
+    try {
+      const params = new URLSearchParams();
+      if (search.trim()) {
+        params.set('q', search.trim());
+      }
+      const response = await makeAuthenticatedRequest(`${API_BASE}/contacts?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setContacts(data.contacts);
+      } else {
+        showFormError('view', data.error || 'Error loading contacts');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading contacts');
+    }
+  };
+
+  const openContact = async (contactId) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/contacts/${contactId}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setSelectedContact(data);
+        setEditingContact(false);
+        setInteractionForm(emptyInteractionForm);
+        setCurrentView('contact');
+      } else {
+        showFormError('view', data.error || 'Error loading contact');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading the contact');
+    }
+  };
+
+  const startContactEdit = (contact) => {
+    setContactForm(contact
+      ? Object.fromEntries(Object.keys(emptyContactForm).map(key => [key, contact[key] ?? '']))
+      : emptyContactForm);
+    if (!contact) {
+      setSelectedContact(null);
+      setCurrentView('contact');
+    }
+    clearFieldErrors('contact');
+    setEditingContact(true);
+  };
+
+  const handleContactSave = async (e) => {
+    e.preventDefault();
+    const isNew = !selectedContact;
+    clearFieldErrors('contact');
+
+    try {
+      const response = await makeAuthenticatedRequest(isNew ? `${API_BASE}/contacts` : `${API_BASE}/contacts/${selectedContact.id}`, {
+        method: isNew ? 'POST' : 'PUT',
+        body: JSON.stringify(contactForm),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        openContact(data.id);
+      } else {
+        showRequestErrors('contact', data, 'Error saving contact');
+      }
+    } catch (error) {
+      showFormError('contact', 'Network error while saving the contact');
+    }
+  };
+
+  const handleContactDelete = async () => {
+    if (!window.confirm(`Delete ${selectedContact.name} and their interaction log?`)) {
+      return;
+    }
+
+    clearFieldErrors('contact');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/contacts/${selectedContact.id}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        setSelectedContact(null);
+        setCurrentView('contacts');
+      } else {
+        const data = await response.json();
+        showFormError('contact', data.error || 'Error deleting contact');
+      }
+    } catch (error) {
+      showFormError('contact', 'Network error while deleting the contact');
+    }
+  };
+
+  const handleInteractionAdd = async (e) => {
+    e.preventDefault();
+    clearFieldErrors('interaction');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/contacts/${selectedContact.id}/interactions`, {
+        method: 'POST',
+        body: JSON.stringify(interactionForm),
+      });
+
+      if (response.ok) {
+        openContact(selectedContact.id);
+      } else {
+        const data = await response.json();
+        showFormError('interaction', data.error || 'Error logging interaction');
+      }
+    } catch (error) {
+      showFormError('interaction', 'Network error while logging the interaction');
+    }
+  };
+
+  const handleInteractionDelete = async (interactionId) => {
+    clearFieldErrors('interaction');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/contacts/${selectedContact.id}/interactions/${interactionId}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        openContact(selectedContact.id);
+      } else {
+        const data = await response.json();
+        showFormError('interaction', data.error || 'Error deleting interaction');
+      }
+    } catch (error) {
+      showFormError('interaction', 'Network error while deleting the interaction');
+    }
+  };
+
+  const fetchJobContacts = async (jobId) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}/contacts`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobContacts(data.contacts);
+      } else {
+        showFormError('view', data.error || 'Error loading contacts');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading contacts');
+    }
+  };
+
+  const linkJobContact = async (contactId, role) => {
+    clearFieldErrors('jobContacts');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/contacts/${contactId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ role }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        showFormError('jobContacts', data.error || 'Error linking contact');
+      }
+    } catch (error) {
+      showFormError('jobContacts', 'Network error while linking the contact');
+    }
+    fetchJobContacts(selectedJob.id);
+  };
+
+  // Link an existing contact, or create one from the name/email entered and link it
+  const handleJobContactAdd = async () => {
+    clearFieldErrors('jobContacts');
+
+    try {
+      let contactId = contactLinkForm.contact_id;
+
+      if (contactId === 'new') {
+        const response = await makeAuthenticatedRequest(`${API_BASE}/contacts`, {
+          method: 'POST',
+          body: JSON.stringify({
+            name: contactLinkForm.name,
+            email: contactLinkForm.email,
+            company_name: selectedJob.company_name
+          }),
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          showFormError('jobContacts', data.error || 'Error creating contact');
+          return;
+        }
+        contactId = data.id;
+        fetchContacts('');
+      }
+
+      await linkJobContact(contactId, contactLinkForm.role);
+      setContactLinkForm(emptyContactLinkForm);
+    } catch (error) {
+      showFormError('jobContacts', 'Network error while creating the contact');
+    }
+  };
+
+  const handleJobContactUnlink = async (contactId) => {
+    clearFieldErrors('jobContacts');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/contacts/${contactId}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchJobContacts(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showFormError('jobContacts', data.error || 'Error unlinking contact');
+      }
+    } catch (error) {
+      showFormError('jobContacts', 'Network error while unlinking the contact');
+    }
+  };
+
+  const fetchDocuments = async () => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/documents`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setDocuments(data.documents);
+      } else {
+        showFormError('view', data.error || 'Error loading documents');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading documents');
+    }
+  };
+
+  const fetchJobDocuments = async (jobId) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}/documents`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setJobDocuments(data.documents);
+      } else {
+        showFormError('view', data.error || 'Error loading documents');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading documents');
+    }
+  };
+
+  // Upload to the library; from the edit view the document is attached to the application too
+  const handleDocumentUpload = async (e, jobId) => {
+    e.preventDefault();
+    const form = e.target;
+
+    const body = new FormData();
+    body.append('file', documentUpload.file);
+    body.append('kind', documentUpload.kind);
+    if (documentUpload.name.trim()) {
+      body.append('name', documentUpload.name.trim());
+    }
+    if (jobId) {
+      body.append('job_id', jobId);
+    }
+
+    clearFieldErrors('documentUpload');
+    setUploading(true);
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/documents`, {
+        method: 'POST',
+        body,
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setDocumentUpload({ file: null, name: '', kind: documentUpload.kind });
+        form.reset();
+        fetchDocuments();
+        if (jobId) {
+          fetchJobDocuments(jobId);
+        }
+      } else {
+        showFormError('documentUpload', data.error || 'Error uploading document');
+      }
+    } catch (error) {
+      showFormError('documentUpload', 'Network error while uploading');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const downloadDocument = async (doc) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/documents/${doc.id}/download`);
+
+      if (!response.ok) {
+        const data = await response.json();
+        showFormError('view', data.error || 'Error downloading document');
+        return;
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = doc.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showFormError('view', 'Network error while downloading');
+    }
+  };
+
+  const handleDocumentUpdate = async (doc, changes) => {
+    clearFieldErrors('documents');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/documents/${doc.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name: doc.name, kind: doc.kind, ...changes }),
+      });
+
+      if (response.ok) {
+        fetchDocuments();
+      } else {
+        const data = await response.json();
+        showFormError('documents', data.error || 'Error updating document');
+      }
+    } catch (error) {
+      showFormError('documents', 'Network error while updating the document');
+    }
+  };
+
+  const handleDocumentDelete = async (doc) => {
+    const linked = doc.applications.length;
+    if (!window.confirm(linked > 0
+      ? `Delete ${doc.name}? It is attached to ${linked} application${linked === 1 ? '' : 's'} and will be removed from them too.`
+      : `Delete ${doc.name}?`)) {
+      return;
+    }
+
+    clearFieldErrors('documents');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/documents/${doc.id}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchDocuments();
+      } else {
+        const data = await response.json();
+        showFormError('documents', data.error || 'Error deleting document');
+      }
+    } catch (error) {
+      showFormError('documents', 'Network error while deleting the document');
+    }
+  };
+
+  const attachDocument = async (documentId) => {
+    clearFieldErrors('jobDocuments');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/documents/${documentId}`, {
+        method: 'PUT',
+      });
+
+      if (response.ok) {
+        fetchJobDocuments(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showFormError('jobDocuments', data.error || 'Error attaching document');
+      }
+    } catch (error) {
+      showFormError('jobDocuments', 'Network error while attaching the document');
+    }
+  };
+
+  const detachDocument = async (documentId) => {
+    clearFieldErrors('jobDocuments');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/documents/${documentId}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchJobDocuments(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showFormError('jobDocuments', data.error || 'Error detaching document');
+      }
+    } catch (error) {
+      showFormError('jobDocuments', 'Network error while detaching the document');
+    }
+  };
+
+  const fetchOffers = async (jobId) => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}/offers`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setOffers(data.offers);
+      } else {
+        showFormError('view', data.error || 'Error loading offers');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading offers');
+    }
+  };
+
+  const fetchAllOffers = async () => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/offers`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setAllOffers(data.offers);
+      } else {
+        showFormError('view', data.error || 'Error loading offers');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading offers');
+    }
+  };
+
+  const startOfferEdit = (offer) => {
+    if (offer) {
+      setOfferForm(Object.fromEntries(
+        Object.keys(emptyOfferForm).map(key => [key, offer[key] ?? ''])
+      ));
+      setEditingOfferId(offer.id);
+    } else {
+      setOfferForm({ ...emptyOfferForm, currency: selectedJob.salary_currency || '' });
+      setEditingOfferId('new');
+    }
+    clearFieldErrors('offer');
+  };
+
+  const handleOfferSubmit = async () => {
+    const isNew = editingOfferId === 'new';
+    const url = isNew
+      ? `${API_BASE}/jobs/${selectedJob.id}/offers`
+      : `${API_BASE}/jobs/${selectedJob.id}/offers/${editingOfferId}`;
+    clearFieldErrors('offer');
+
+    try {
+      const response = await makeAuthenticatedRequest(url, {
+        method: isNew ? 'POST' : 'PUT',
+        body: JSON.stringify(offerForm),
+      });
+
+      if (response.ok) {
+        setEditingOfferId(null);
+        fetchOffers(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showRequestErrors('offer', data, 'Error saving offer');
+      }
+    } catch (error) {
+      showFormError('offer', 'Network error while saving offer');
+    }
+  };
+
+  const handleOfferDelete = async (offerId) => {
+    if (!window.confirm('Delete this offer and its negotiation history?')) {
+      return;
+    }
+
+    clearFieldErrors('offer');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/offers/${offerId}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchOffers(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showFormError('offer', data.error || 'Error deleting offer');
+      }
+    } catch (error) {
+      showFormError('offer', 'Network error while deleting the offer');
+    }
+  };
+
+  const handleNegotiationAdd = async (offerId) => {
+    clearFieldErrors('negotiation');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/offers/${offerId}/negotiations`, {
+        method: 'POST',
+        body: JSON.stringify(negotiationForm),
+      });
+
+      if (response.ok) {
+        setNegotiatingOfferId(null);
+        setNegotiationForm(emptyNegotiationForm);
+        fetchOffers(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showRequestErrors('negotiation', data, 'Error saving negotiation entry');
+      }
+    } catch (error) {
+      showFormError('negotiation', 'Network error while saving the negotiation entry');
+    }
+  };
+
+  const handleNegotiationDelete = async (offerId, entryId) => {
+    clearFieldErrors('negotiation');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${selectedJob.id}/offers/${offerId}/negotiations/${entryId}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        fetchOffers(selectedJob.id);
+      } else {
+        const data = await response.json();
+        showFormError('negotiation', data.error || 'Error deleting negotiation entry');
+      }
+    } catch (error) {
+      showFormError('negotiation', 'Network error while deleting the negotiation entry');
+    }
+  };
+
+  const fetchBoard = async () => {
+    try {
+      const queryParams = buildFilterParams();
+      queryParams.delete('status');
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/board?${queryParams}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setBoard(data.columns);
+      } else {
+        showFormError('view', data.error || 'Error loading the board');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while loading the board');
+    }
+  };
+
+  // Move the dragged card to `index` in the `status` column (index counts the cards as displayed)
+  const handleBoardDrop = async (e, status, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const moved = draggedJob;
+    setDraggedJob(null);
+    if (!moved) return;
+
+    const targetColumn = board.find(column => column.status === status);
+    const targetIndex = index === undefined ? targetColumn.jobs.length : index;
+    const position = moved.status === status && moved.index < targetIndex ? targetIndex - 1 : targetIndex;
+
+    if (moved.status === status && position === moved.index) return;
+
+    // Optimistically update the board so the card doesn't jump back while saving
+    const job = board.flatMap(column => column.jobs).find(j => j.id === moved.id);
+    const columns = board.map(column => {
+      const jobs = column.jobs.filter(j => j.id !== moved.id);
+      if (column.status === status) {
+        jobs.splice(position, 0, { ...job, status });
+      }
+      return { ...column, jobs, count: jobs.length };
+    });
+    setBoard(columns);
+    clearFieldErrors('view');
+
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${moved.id}/status`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status, position }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        showFormError('view', data.error || 'Error moving application');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while moving application');
+    }
+    fetchBoard();
+    fetchJobs();
+  };
+
+  const fetchCalendarToken = async () => {
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/calendar/token`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setCalendarToken(data.token);
+      } else {
+        showFormError('calendar', data.error || 'Error loading the calendar feed URL');
+      }
+    } catch (error) {
+      showFormError('calendar', 'Network error while loading the calendar feed URL');
+    }
+  };
+
+  const regenerateCalendarToken = async () => {
+    if (!window.confirm('Regenerate the feed URL? Calendars subscribed with the old URL will stop updating.')) {
+      return;
+    }
+
+    clearFieldErrors('calendar');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/calendar/token`, {
+        method: 'POST',
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setCalendarToken(data.token);
+      } else {
+        showFormError('calendar', data.error || 'Error regenerating calendar feed URL');
+      }
+    } catch (error) {
+      showFormError('calendar', 'Network error while regenerating feed URL');
+    }
+  };
+
+  const calendarFeedUrl = () => {
+    const base = API_BASE.startsWith('http') ? API_BASE : `${window.location.origin}${API_BASE}`;
+    return `${base}/calendar/feed/${calendarToken}.ics`;
+  };
+
+  const handleExport = async (format) => {
+    clearFieldErrors('export');
+
+    try {
+      const queryParams = buildFilterParams();
+      queryParams.append('format', format);
+
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/export?${queryParams}`);
+
+      if (!response.ok) {
+        const data = await response.json();
+        showFormError('export', data.error || 'Error exporting applications');
+        return;
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `job-applications.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showFormError('export', 'Network error while exporting');
+    }
+  };
+
+  const resetImport = () => {
+    setImportState({ step: 'upload', format: 'csv', fileName: '', data: '', mapping: null, dateOrder: '', result: null });
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const data = await file.text();
+    setImportState({
+      ...importState,
+      fileName: file.name,
+      format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      data,
+      mapping: null,
+      dateOrder: ''
+    });
+  };
+
+  const runImport = async (dryRun, mapping = importState.mapping, dateOrder = importState.dateOrder) => {
+    setLoading(true);
+    clearFieldErrors('import');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/import`, {
+        method: 'POST',
+        body: JSON.stringify({
+          format: importState.format,
+          data: importState.data,
+          mapping: mapping || undefined,
+          date_order: dateOrder || undefined,
+          dry_run: dryRun
+        }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setImportState({ ...importState, mapping, dateOrder, result: data, step: dryRun ? 'preview' : 'done' });
+        if (!dryRun) {
+          fetchJobs();
+          fetchReminders();
+        }
+      } else {
+        showFormError('import', data.error || 'Error importing applications');
+      }
+    } catch (error) {
+      showFormError('import', 'Network error while importing');
+    }
+    setLoading(false);
+  };
+
+  const handleMappingChange = (column, field) => {
+    const sourceColumns = [
+      ...Object.keys(importState.result.columns),
+      ...importState.result.unmapped_columns
+    ];
+    const mapping = {};
+    for (const source of sourceColumns) {
+      mapping[source] = importState.result.columns[source] || '';
+    }
+    mapping[column] = field;
+    runImport(true, mapping);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    clearFieldErrors('job');
+
+    try {
+      const url = currentView === 'edit' 
+        ? `${API_BASE}/jobs/${selectedJob.id}`
+        : `${API_BASE}/jobs`;
+      
+      const method = currentView === 'edit' ? 'PUT' : 'POST';
+      
+      const response = await makeAuthenticatedRequest(url, {
+        method,
+        body: JSON.stringify(formData),
+      });
+
+      if (response.ok) {
+        setCurrentView('list');
+        fetchJobs();
+        fetchReminders();
+        resetForm();
+      } else {
+        const data = await response.json();
+        showRequestErrors('job', data, 'Error saving job application');
+      }
+    } catch (error) {
+      showFormError('job', 'Network error while saving');
+    }
+    setLoading(false);
+  };
+
+  const handleDelete = async (jobId) => {
+    if (!window.confirm('Are you sure you want to delete this job application?')) {
+      return;
+    }
+
+    setLoading(true);
+    clearFieldErrors('view');
+    try {
+      const response = await makeAuthenticatedRequest(`${API_BASE}/jobs/${jobId}`, {
+        method: 'DELETE',
+      });
+
+      if (response.ok) {
+        if (currentView === 'detail') {
+          setCurrentView('list');
+        }
+        fetchJobs();
+        fetchReminders();
+      } else {
+        const data = await response.json();
+        showFormError('view', data.error || 'Error deleting job application');
+      }
+    } catch (error) {
+      showFormError('view', 'Network error while deleting');
+    }
+    setLoading(false);
+  };
+
+  const handleEdit = (job) => {
+    setSelectedJob(job);
+    setFormData({
+      company_name: job.company_name || '',
+      job_title: job.job_title || '',
+      job_url: job.job_url || '',
+      location: job.location || '',
+      source: job.source || '',
+      salary_range: job.salary_range || '',
+      salary_min: job.salary_min ?? '',
+      salary_max: job.salary_max ?? '',
+      salary_currency: job.salary_currency || '',
+      salary_period: job.salary_period || 'year',
+      application_date: job.application_date ? new Date(job.application_date).toISOString().split('T')[0] : '',
+      status: job.status || '',
+      description: job.description || '',
+      requirements: job.requirements || '',
+      notes: job.notes || '',
+      contact_person: job.contact_person || '',
+      contact_email: job.contact_email || '',
+      follow_up_date: job.follow_up_date ? new Date(job.follow_up_date).toISOString().split('T')[0] : '',
+      status_note: '',
+      tag_ids: (job.tags || []).map(tag => tag.id)
+    });
+    clearFieldErrors('job');
+    setInterviews([]);
+    setEditingInterviewId(null);
+    fetchInterviews(job.id);
+    setOffers([]);
+    setEditingOfferId(null);
+    setNegotiatingOfferId(null);
+    fetchOffers(job.id);
+    setJobContacts([]);
+    setContactLinkForm(emptyContactLinkForm);
+    fetchJobContacts(job.id);
+    fetchContacts('');
+    setJobDocuments([]);
+    fetchJobDocuments(job.id);
+    fetchDocuments();
+    setCurrentView('edit');
+  };
+
+  const resetForm = () => {
+    setFormData({
+      company_name: '',
+      job_title: '',
+      job_url: '',
+      location: '',
+      source: '',
+      salary_range: '',
+      salary_min: '',
+      salary_max: '',
+      salary_currency: '',
+      salary_period: 'year',
+      application_date: new Date().toISOString().split('T')[0],
+      status: statusOptions[0]?.value || '',
+      description: '',
+      requirements: '',
+      notes: '',
+      contact_person: '',
+      contact_email: '',
+      follow_up_date: '',
+      status_note: '',
+      tag_ids: []
+    });
+    clearFieldErrors('job');
+    setSelectedJob(null);
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'No date';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return 'Invalid date';
+    return date.toLocaleDateString();
+  };
+
+  const formatMoney = (amount, currency) => currency
+    ? new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount)
+    : Number(amount).toLocaleString();
+
+  // Structured salary as "$80,000 – $100,000/yr", falling back to the free-text range
+  const formatSalary = (job) => {
+    if (job.salary_min === null && job.salary_max === null) {
+      return job.salary_range;
+    }
+    const period = salaryPeriodOptions.find(p => p.value === job.salary_period)?.short || '';
+    if (job.salary_max === null) return `${formatMoney(job.salary_min, job.salary_currency)}+${period}`;
+    if (job.salary_min === null) return `Up to ${formatMoney(job.salary_max, job.salary_currency)}${period}`;
+    if (job.salary_min === job.salary_max) return `${formatMoney(job.salary_min, job.salary_currency)}${period}`;
+    return `${formatMoney(job.salary_min, job.salary_currency)} – ${formatMoney(job.salary_max, job.salary_currency)}${period}`;
+  };
+
+  // Convert a stored timestamp to the value format of a datetime-local input
+  const toDateTimeInput = (dateString) => {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return '';
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters({ ...filters, q: searchInput.trim(), page: 1 });
+  };
+
+  const updateFilter = (changes) => {
+    setFilters({ ...filters, ...changes, page: 1 });
+  };
+
+  const toggleStatusFilter = (status) => {
+    const statuses = filters.statuses.includes(status)
+      ? filters.statuses.filter(s => s !== status)
+      : [...filters.statuses, status];
+    updateFilter({ statuses });
+  };
+
+  const toggleTagFilter = (tagId) => {
+    const selected = filters.tags.includes(tagId)
+      ? filters.tags.filter(id => id !== tagId)
+      : [...filters.tags, tagId];
+    updateFilter({ tags: selected });
+  };
+
+  const activeFilterCount = () =>
+    (filters.statuses.length > 0 ? 1 : 0) +
+    (filters.tags.length > 0 ? 1 : 0) +
+    ['company', 'location', 'applied_from', 'applied_to', 'follow_up_from', 'follow_up_to', 'follow_up_overdue', 'salary_min', 'salary_max', 'salary_currency']
+      .filter(key => filters[key]).length;
+
+  const sortOptions = [
+    { value: 'company', label: 'Company', defaultOrder: 'asc' },
+    { value: 'application_date', label: 'Applied', defaultOrder: 'desc' },
+    { value: 'status', label: 'Status', defaultOrder: 'asc' },
+    { value: 'salary', label: 'Salary', defaultOrder: 'desc' },
+    { value: 'updated_at', label: 'Updated', defaultOrder: 'desc' }
+  ];
+
+  // Clicking the active sort column flips its direction; another column starts at its default
+  const handleSort = (option) => {
+    if (filters.sort === option.value) {
+      updateFilter({ order: filters.order === 'asc' ? 'desc' : 'asc' });
+    } else {
+      updateFilter({ sort: option.value, order: option.defaultOrder });
+    }
+  };
+
+  // Render text containing ⟦match⟧ markers from the search API with highlighted matches
+  const renderHighlighted = (text) =>
+    text.split(/⟦(.*?)⟧/).map((part, index) =>
+      index % 2 === 1 ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part}</mark> : part
+    );
+
+  const renderFieldError = (form, field) => (
+    fieldErrors[form]?.[field] ? <p className="text-sm text-red-600 mt-1">{fieldErrors[form][field]}</p> : null
+  );
+
+  const renderFormMessage = (form) => (
+    formMessages[form] ? (
+      <p
+        role={formMessages[form].error ? 'alert' : 'status'}
+        className={`text-sm mt-2 ${formMessages[form].error ? 'text-red-600' : 'text-green-700'}`}
+      >
+        {formMessages[form].text}
+      </p>
+    ) : null
+  );
+
+  const isOverdue = (dateString) => {
+    if (!dateString) return false;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return new Date(dateString) < today;
+  };
+
+  const auditActionLabel = (action) => auditActionOptions.find(option => option.value === action)?.label || action;
+
+  const auditFieldValue = (field, value) => field === 'status' ? statusLabel(value) : String(value);
+
+  // What an audit event changed or why it happened, below its headline
+  const renderAuditDetails = (event) => {
+    const details = event.details || {};
+
+    if (event.action === 'auth.login_failed') {
+      return loginFailureReasons[details.reason] || null;
+    }
+
+    if (event.action === 'auth.login' && details.method === 'email_verification') {
+      return 'Through the email verification link';
+    }
+
+    if (event.action === 'token.new_ip' && details.previous_ip) {
+      return `Previously used from ${details.previous_ip}`;
+    }
+
+    const changes = Object.entries(details.changes || {});
+    if (changes.length === 0) {
+      return null;
+    }
+
+    return (
+      <ul className="space-y-0.5">
+        {changes.map(([field, change]) => (
+          <li key={field} className="break-words">
+            <span className="text-gray-500">{field.replace(/_/g, ' ')}:</span>{' '}
+            {change.from !== null && (
+              <span className="text-red-700 line-through">{auditFieldValue(field, change.from)}</span>
+            )}
+            {change.from !== null && change.to !== null && <span className="text-gray-400"> → </span>}
+            {change.to !== null && (
+              <span className="text-green-700">{auditFieldValue(field, change.to)}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  const renderStatusTimeline = () => (
+    jobHistory.length === 0 ? (
+      <p className="text-sm text-gray-500">No status changes recorded yet.</p>
+    ) : (
+      <ol className="border-l border-gray-200 ml-2 space-y-4">
+        {jobHistory.map((entry, index) => (
+          <li key={entry.id} className="relative ml-4">
+            <div className="absolute -left-[1.4rem] top-1.5 w-3 h-3 rounded-full bg-purple-500 border border-white"></div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              {entry.old_status ? (
+                <>
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium" style={statusStyle(entry.old_status)}>
+                    {statusLabel(entry.old_status)}
+                  </span>
+                  <span className="text-gray-400">→</span>
+                </>
+              ) : (
+                <span className="text-gray-500">Created as</span>
+              )}
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium" style={statusStyle(entry.new_status)}>
+                {statusLabel(entry.new_status)}
+              </span>
+              <span className="text-gray-500">{new Date(entry.changed_at).toLocaleString()}</span>
+              {index > 0 && (
+                <span className="text-xs text-gray-400">
+                  (+{daysBetween(jobHistory[index - 1].changed_at, entry.changed_at)} days)
+                </span>
+              )}
+            </div>
+            {entry.note && (
+              <p className="text-sm text-gray-600 mt-1">{entry.note}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+    )
+  );
+
+  const offerStatus = (status) => offerStatusOptions.find(o => o.value === status) || offerStatusOptions[0];
+
+  // Compensation breakdown and negotiation history of one offer
+  const renderOfferSummary = (offer, editable) => (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${offerStatus(offer.status).color}`}>
+          {offerStatus(offer.status).label}
+        </span>
+        <span className="font-medium text-gray-900">
+          {formatMoney(offer.totals.first_year_total, offer.currency)} first year
+        </span>
+        <span className="text-sm text-gray-600">
+          · {formatMoney(offer.totals.annualized_total, offer.currency)}/yr annualized
+        </span>
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600 mt-2">
+        {offer.base_salary !== null && <span>Base {formatMoney(offer.base_salary, offer.currency)}</span>}
+        {offer.totals.bonus > 0 && (
+          <span>Bonus {formatMoney(offer.totals.bonus, offer.currency)}{offer.bonus_amount === null && ` (${Number(offer.bonus_percent)}%)`}</span>
+        )}
+        {offer.sign_on_bonus !== null && <span>Sign-on {formatMoney(offer.sign_on_bonus, offer.currency)}</span>}
+        {offer.equity_value !== null && (
+          <span>
+            Equity {formatMoney(offer.equity_value, offer.currency)} over {Number(offer.equity_vesting_years)} yrs
+            {offer.equity_cliff_months > 0 && `, ${offer.equity_cliff_months}-month cliff`}
+          </span>
+        )}
+        {offer.pto_days !== null && <span>{offer.pto_days} days PTO</span>}
+        {offer.start_date && <span>Starts {formatDate(offer.start_date)}</span>}
+        {offer.decision_deadline && (
+          <span className={isOverdue(offer.decision_deadline) && ['pending', 'negotiating'].includes(offer.status) ? 'text-red-600 font-medium' : ''}>
+            Decide by {formatDate(offer.decision_deadline)}
+          </span>
+        )}
+      </div>
+      {offer.equity_details && <p className="text-sm text-gray-600 mt-1">{offer.equity_details}</p>}
+      {offer.benefits && <p className="text-sm text-gray-600 mt-1"><strong>Benefits:</strong> {offer.benefits}</p>}
+      {offer.notes && <p className="text-sm text-gray-600 mt-1 whitespace-pre-wrap">{offer.notes}</p>}
+
+      {offer.negotiations.length > 0 && (
+        <ol className="mt-3 space-y-1 text-sm">
+          {offer.negotiations.map(entry => (
+            <li key={entry.id} className="flex items-center gap-2 text-gray-700">
+              <span className="text-gray-500">{formatDate(entry.occurred_on)}</span>
+              <span className="font-medium">{negotiationKindOptions.find(k => k.value === entry.kind)?.label}</span>
+              {entry.amount !== null && <span>{formatMoney(entry.amount, offer.currency)}</span>}
+              {entry.note && <span className="text-gray-600">— {entry.note}</span>}
+              {editable && (
+                <button
+                  type="button"
+                  onClick={() => handleNegotiationDelete(offer.id, entry.id)}
+                  className="text-red-500 hover:text-red-700"
+                  title="Delete entry"
+                >
+                  <X size={12} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+
+  // Rows of the offer comparison table; `value` feeds the "best offer" highlight
+  const offerComparisonRows = [
+    { label: 'Status', render: offer => offerStatus(offer.status).label },
+    { label: 'Base salary', value: offer => offer.base_salary, money: true },
+    { label: 'Annual bonus', value: offer => offer.totals.bonus, money: true },
+    { label: 'Sign-on bonus', value: offer => offer.sign_on_bonus, money: true },
+    { label: 'Equity grant', value: offer => offer.equity_value, money: true },
+    {
+      label: 'Vesting',
+      render: offer => (offer.equity_value === null
+        ? '-'
+        : `${Number(offer.equity_vesting_years)} yrs${offer.equity_cliff_months > 0 ? `, ${offer.equity_cliff_months}-mo cliff` : ''}`)
+    },
+    { label: 'Equity per year', value: offer => offer.totals.annual_equity, money: true },
+    { label: 'First-year total', value: offer => offer.totals.first_year_total, money: true, total: true },
+    { label: 'Annualized total', value: offer => offer.totals.annualized_total, money: true, total: true },
+    { label: 'PTO days', value: offer => offer.pto_days },
+    { label: 'Benefits', render: offer => offer.benefits || '-' },
+    { label: 'Start date', render: offer => (offer.start_date ? formatDate(offer.start_date) : '-') },
+    { label: 'Decision deadline', render: offer => (offer.decision_deadline ? formatDate(offer.decision_deadline) : '-') }
+  ];
+
+  const documentKindLabel = (kind) => documentKindOptions.find(option => option.value === kind)?.label || kind;
+
+  const formatFileSize = (bytes) => (bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+  // File picker, name and kind for uploading a document (attached to jobId when given)
+  const renderDocumentUpload = (jobId) => (
+    <form onSubmit={(e) => handleDocumentUpload(e, jobId)} className="flex flex-wrap items-end gap-2">
+      <input
+        type="file"
+        accept=".pdf,.doc,.docx,.odt,.rtf,.txt,.md"
+        onChange={(e) => setDocumentUpload({ ...documentUpload, file: e.target.files[0] || null })}
+        className="text-sm"
+        required
+      />
+      <input
+        type="text"
+        placeholder="Name (defaults to the file name)"
+        value={documentUpload.name}
+        onChange={(e) => setDocumentUpload({ ...documentUpload, name: e.target.value })}
+        className="flex-1 min-w-[12rem] px-2 py-1 border rounded-lg text-sm"
+      />
+      <select
+        value={documentUpload.kind}
+        onChange={(e) => setDocumentUpload({ ...documentUpload, kind: e.target.value })}
+        className="px-2 py-1 border rounded-lg text-sm"
+      >
+        {documentKindOptions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        disabled={uploading || !documentUpload.file}
+        className="px-3 py-1 bg-pink-600 text-white rounded-lg hover:bg-pink-700 text-sm flex items-center gap-1 disabled:opacity-50"
+      >
+        <Upload size={14} />
+        {uploading ? 'Uploading...' : 'Upload'}
+      </button>
+    </form>
+  );
+
+  const contactRoleLabel = (role) => contactRoleOptions.find(option => option.value === role)?.label || role;
+
+  const roundLabel = (roundType) => interviewRoundOptions.find(r => r.value === roundType)?.label || roundType;
+
+  // Dark or light text, whichever reads better on a tag or stage background color
+  const textColorOn = (color) => {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#1f2937' : '#ffffff';
+  };
+
+  const renderTagChip = (tag, extra = {}) => (
+    <span
+      key={tag.id}
+      className={`px-2 py-0.5 rounded-full text-xs font-medium ${extra.className || ''}`}
+      style={{ backgroundColor: tag.color, color: textColorOn(tag.color) }}
+    >
+      {tag.name}{extra.count !== undefined && ` (${extra.count})`}
+    </span>
+  );
+
+  // Name and color inputs for creating a tag; onCreated receives the new tag
+  const renderNewTagInput = (onCreated) => (
+    <div className="flex items-center gap-2">
+      <input
+        type="text"
+        maxLength="50"
+        placeholder="New tag"
+        value={newTag.name}
+        onChange={(e) => setNewTag({ ...newTag, name: e.target.value })}
+        onKeyDown={async (e) => {
+          if (e.key !== 'Enter') return;
+          e.preventDefault();
+          const tag = await handleTagCreate();
+          if (tag) onCreated(tag);
+        }}
+        className="px-2 py-1 border rounded-lg text-sm"
+      />
+      <input
+        type="color"
+        value={newTag.color}
+        onChange={(e) => setNewTag({ ...newTag, color: e.target.value })}
+        className="h-8 w-8 border rounded cursor-pointer"
+        title="Tag color"
+      />
+      <button
+        type="button"
+        onClick={async () => {
+          const tag = await handleTagCreate();
+          if (tag) onCreated(tag);
+        }}
+        disabled={!newTag.name.trim()}
+        className="px-2 py-1 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300 flex items-center gap-1 disabled:opacity-50"
+      >
+        <Plus size={14} />
+        Add
+      </button>
+    </div>
+  );
+
+  // Toggle chips for every tag plus the new-tag input; new tags are selected right away
+  const renderTagPicker = (selectedIds, onChange) => (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {tags.length === 0 && <span className="text-sm text-gray-500">No tags yet.</span>}
+        {tags.map(tag => {
+          const selected = selectedIds.includes(tag.id);
+          return (
             <button
-              type="submit"
-              disabled={loading}
-              className="w-full py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              key={tag.id}
+              type="button"
+              onClick={() => onChange(selected ? selectedIds.filter(id => id !== tag.id) : [...selectedIds, tag.id])}
+              className={`px-2 py-0.5 rounded-full text-xs font-medium border ${selected ? 'border-transparent' : 'bg-white text-gray-600'}`}
+              style={selected ? { backgroundColor: tag.color, color: textColorOn(tag.color) } : { borderColor: tag.color }}
             >
-              {loading ? 'Processing...' : (authView === 'login' ? 'Login' : 'Create Account')}
+              {tag.name}
             </button>
-          </form>
+          );
+        })}
+      </div>
+      {renderNewTagInput(tag => onChange([...selectedIds, tag.id]))}
+      {renderFormMessage('tags')}
+    </div>
+  );
+
+  const stageFor = (status) => stages.find(stage => stage.key === status);
+
+  const statusLabel = (status) => stageFor(status)?.name || status;
+
+  // Applications in terminal stages (e.g. rejected) no longer need follow-ups
+  const isTerminalStatus = (status) => Boolean(stageFor(status)?.is_terminal);
+
+  // Badge colors of a status; statuses outside the pipeline are gray
+  const statusStyle = (status) => {
+    const color = stageFor(status)?.color || '#e5e7eb';
+    return { backgroundColor: color, color: textColorOn(color) };
+  };
+
+  const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+
+  // If user is not authenticated, show login/register form
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
+          <div className="text-center mb-6">
+            <h1 className="text-2xl font-bold text-gray-900">Job Application Tracker</h1>
+            <p className="text-gray-600 mt-2">Track your job applications securely</p>
+          </div>
+
+          {authNotice && (
+            <div className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+              {authNotice}
+              {unverifiedEmail && (
+                <button
+                  type="button"
+                  onClick={resendVerification}
+                  className="block mt-2 font-medium text-blue-700 hover:underline"
+                >
+                  Resend verification email
+                </button>
+              )}
+            </div>
+          )}
+
+          {formMessages.auth && (
+            <div role="alert" className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              {formMessages.auth.text}
+            </div>
+          )}
+
+          {authView === 'forgot' && (
+            <form onSubmit={handleForgotPassword} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Enter the email address you registered with and we'll send you a link to reset your password.
+              </p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Email
+                </label>
+                <input
+                  type="email"
+                  required
+                  value={authData.email}
+                  onChange={(e) => setAuthData({...authData, email: e.target.value})}
+                  className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Enter email"
+                />
+                {renderFieldError('auth', 'email')}
+              </div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {loading ? 'Sending...' : 'Send Reset Link'}
+              </button>
+              <button
+                type="button"
+                onClick={() => switchAuthView('login')}
+                className="w-full text-sm text-gray-600 hover:underline"
+              >
+                Back to login
+              </button>
+            </form>
+          )}
+
+          {authView === 'reset' && (
+            <form onSubmit={handleResetPassword} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  New Password
+                </label>
+                <input
+                  type="password"
+                  required
+                  value={authData.password}
+                  onChange={(e) => setAuthData({...authData, password: e.target.value})}
+                  className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Enter a new password"
+                  minLength="6"
+                />
+                {renderFieldError('auth', 'password')}
+                <p className="text-xs text-gray-500 mt-1">Password must be at least 6 characters. You'll be logged out on every device.</p>
+              </div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {loading ? 'Saving...' : 'Set New Password'}
+              </button>
+            </form>
+          )}
+
+          {(authView === 'login' || authView === 'register') && (
+            <>
+              <div className="flex mb-6">
+                <button
+                  onClick={() => switchAuthView('login')}
+                  className={`flex-1 py-2 px-4 text-center rounded-l-lg ${authView === 'login' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+                >
+                  <LogIn className="inline mr-2" size={16} />
+                  Login
+                </button>
+                <button
+                  onClick={() => switchAuthView('register')}
+                  className={`flex-1 py-2 px-4 text-center rounded-r-lg ${authView === 'register' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+                >
+                  <UserPlus className="inline mr-2" size={16} />
+                  Register
+                </button>
+              </div>
+
+              <form onSubmit={handleAuth} className="space-y-4">
+                {authView === 'register' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Username
+                    </label>
+                    <input
+                      type="text"
+                      required
+                      value={authData.username}
+                      onChange={(e) => setAuthData({...authData, username: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Enter username"
+                    />
+                    {renderFieldError('auth', 'username')}
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Email
+                  </label>
+                  <input
+                    type="email"
+                    required
+                    value={authData.email}
+                    onChange={(e) => setAuthData({...authData, email: e.target.value})}
+                    className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Enter email"
+                  />
+                  {renderFieldError('auth', 'email')}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Password
+                  </label>
+                  <input
+                    type="password"
+                    required
+                    value={authData.password}
+                    onChange={(e) => setAuthData({...authData, password: e.target.value})}
+                    className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Enter password"
+                    minLength="6"
+                  />
+                  {renderFieldError('auth', 'password')}
+                  {authView === 'register' && (
+                    <p className="text-xs text-gray-500 mt-1">Password must be at least 6 characters</p>
+                  )}
+                  {authView === 'login' && (
+                    <button
+                      type="button"
+                      onClick={() => switchAuthView('forgot')}
+                      className="text-sm text-blue-600 hover:underline mt-1"
+                    >
+                      Forgot password?
+                    </button>
+                  )}
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {loading ? 'Processing...' : (authView === 'login' ? 'Login' : 'Create Account')}
+                </button>
+              </form>
+            </>
+          )}
         </div>
       </div>
     );
   }
 
-  // Main application UI (shown when user is authenticated)
-  return (
-    <div className="min-h-screen bg-gray-100">
-      <div className="container mx-auto px-4 py-8">
-        <div className="mb-8 flex justify-between items-center">
-          <div>
-            <h1 className="text-3xl font-bold text-gray-900">Job Application Tracker</h1>
-            <p className="text-gray-600 mt-2">Welcome back, {user.username}!</p>
+  // Main application UI (shown when user is authenticated)
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="container mx-auto px-4 py-8">
+        {rateLimitNotice && (
+          <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center gap-2">
+            <Clock size={16} />
+            {rateLimitNotice}
+          </div>
+        )}
+
+        {formMessages.view && (
+          <div role="alert" className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            {formMessages.view.text}
+          </div>
+        )}
+
+        <div className="mb-8 flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Job Application Tracker</h1>
+            <p className="text-gray-600 mt-2">Welcome back, {user.username}!</p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setCurrentView('activity')}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg ${currentView === 'activity' ? 'bg-gray-700 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              <Activity size={16} />
+              Activity
+            </button>
+            <button
+              onClick={() => setCurrentView('settings')}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg ${currentView === 'settings' ? 'bg-gray-700 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            >
+              <Settings size={16} />
+              Settings
+            </button>
+            <button
+              onClick={handleLogout}
+              className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+            >
+              <LogOut size={16} />
+              Logout
+            </button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          <button
+            onClick={() => setCurrentView('list')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'list' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <Eye size={16} />
+            Job List
+          </button>
+          <button
+            onClick={() => { setCurrentView('add'); resetForm(); }}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'add' ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <Plus size={16} />
+            Add Job
+          </button>
+          <button
+            onClick={() => setCurrentView('board')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'board' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <Kanban size={16} />
+            Board
+          </button>
+          <button
+            onClick={() => setCurrentView('stats')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'stats' ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <BarChart3 size={16} />
+            Statistics
+          </button>
+          <button
+            onClick={() => setCurrentView('offers')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'offers' ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <Scale size={16} />
+            Offers
+          </button>
+          <button
+            onClick={() => setCurrentView('companies')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${['companies', 'company'].includes(currentView) ? 'bg-orange-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <Building2 size={16} />
+            Companies
+          </button>
+          <button
+            onClick={() => setCurrentView('contacts')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${['contacts', 'contact'].includes(currentView) ? 'bg-cyan-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <Users size={16} />
+            Contacts
+          </button>
+          <button
+            onClick={() => setCurrentView('documents')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'documents' ? 'bg-pink-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <FileText size={16} />
+            Documents
+          </button>
+          <button
+            onClick={() => setCurrentView('calendar')}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'calendar' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <CalendarDays size={16} />
+            Calendar Feed
+          </button>
+          <button
+            onClick={() => { setCurrentView('import'); resetImport(); }}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'import' ? 'bg-teal-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+          >
+            <Upload size={16} />
+            Import
+          </button>
+        </div>
+
+        {currentView === 'import' && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-xl font-bold mb-2">Import Applications</h2>
+            {renderFormMessage('import')}
+
+            {importState.step === 'upload' && (
+              <div className="space-y-4">
+                <p className="text-gray-600">
+                  Upload a CSV file with a header row or a JSON array of objects. Columns such as
+                  Company, Position, Date Applied and Status are matched automatically; you can adjust
+                  the mapping on the next step.
+                </p>
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={handleImportFile}
+                  className="block"
+                />
+                {importState.fileName && (
+                  <div className="flex items-center gap-4">
+                    <span className="text-sm text-gray-600">{importState.fileName}</span>
+                    <select
+                      value={importState.format}
+                      onChange={(e) => setImportState({...importState, format: e.target.value})}
+                      className="px-3 py-2 border rounded-lg"
+                    >
+                      <option value="csv">CSV</option>
+                      <option value="json">JSON</option>
+                    </select>
+                    <button
+                      onClick={() => runImport(true)}
+                      disabled={loading}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {loading ? 'Checking...' : 'Preview Import'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {importState.step === 'preview' && importState.result && (
+              <div className="space-y-6">
+                <div className="grid grid-cols-3 gap-4">
+                  <div className="text-center p-4 bg-gray-50 rounded-lg">
+                    <div className="text-2xl font-bold text-gray-900">{importState.result.total}</div>
+                    <div className="text-sm text-gray-600">Rows</div>
+                  </div>
+                  <div className="text-center p-4 bg-green-50 rounded-lg">
+                    <div className="text-2xl font-bold text-green-600">{importState.result.valid}</div>
+                    <div className="text-sm text-gray-600">Ready to import</div>
+                  </div>
+                  <div className="text-center p-4 bg-red-50 rounded-lg">
+                    <div className="text-2xl font-bold text-red-600">{importState.result.invalid}</div>
+                    <div className="text-sm text-gray-600">With errors</div>
+                  </div>
+                </div>
+
+                <div>
+                  <h3 className="font-semibold mb-2">Column Mapping</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {[...Object.keys(importState.result.columns), ...importState.result.unmapped_columns].map(column => (
+                      <div key={column} className="flex items-center gap-2 text-sm">
+                        <span className="w-40 truncate font-mono" title={column}>{column}</span>
+                        <span className="text-gray-400">→</span>
+                        <select
+                          value={importState.result.columns[column] || ''}
+                          onChange={(e) => handleMappingChange(column, e.target.value)}
+                          disabled={loading}
+                          className="flex-1 px-2 py-1 border rounded"
+                        >
+                          <option value="">(ignore)</option>
+                          {importFields.map(field => (
+                            <option key={field} value={field}>{field}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2 text-sm mt-4">
+                    <span className="w-40 text-gray-700">Dates like 03/04/2024</span>
+                    <span className="text-gray-400">→</span>
+                    <select
+                      value={importState.dateOrder}
+                      onChange={(e) => runImport(true, importState.mapping, e.target.value)}
+                      disabled={loading}
+                      className="flex-1 px-2 py-1 border rounded"
+                    >
+                      <option value="">Reject when ambiguous</option>
+                      <option value="mdy">Month first (March 4)</option>
+                      <option value="dmy">Day first (3 April)</option>
+                    </select>
+                  </div>
+                </div>
+
+                {importState.result.errors.length > 0 && (
+                  <div>
+                    <h3 className="font-semibold mb-2 text-red-700">Rows with errors (will be skipped)</h3>
+                    <div className="max-h-48 overflow-y-auto border rounded">
+                      <table className="w-full text-sm">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="text-left p-2">Row</th>
+                            <th className="text-left p-2">Field</th>
+                            <th className="text-left p-2">Problem</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {importState.result.errors.map((error, index) => (
+                            <tr key={index} className="border-t">
+                              <td className="p-2">{error.row}</td>
+                              <td className="p-2 font-mono">{error.field || '-'}</td>
+                              <td className="p-2">{error.message}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {importState.result.preview.length > 0 && (
+                  <div>
+                    <h3 className="font-semibold mb-2">Preview</h3>
+                    <div className="overflow-x-auto border rounded">
+                      <table className="w-full text-sm">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="text-left p-2">Company</th>
+                            <th className="text-left p-2">Job Title</th>
+                            <th className="text-left p-2">Status</th>
+                            <th className="text-left p-2">Applied</th>
+                            <th className="text-left p-2">Location</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {importState.result.preview.map((row, index) => (
+                            <tr key={index} className="border-t">
+                              <td className="p-2">{row.company_name}</td>
+                              <td className="p-2">{row.job_title}</td>
+                              <td className="p-2">{statusLabel(row.status)}</td>
+                              <td className="p-2">{row.application_date || '-'}</td>
+                              <td className="p-2">{row.location || '-'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    {importState.result.valid > importState.result.preview.length && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Showing the first {importState.result.preview.length} of {importState.result.valid} rows.
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex gap-4">
+                  <button
+                    onClick={() => runImport(false)}
+                    disabled={loading || importState.result.valid === 0}
+                    className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                  >
+                    <Upload size={16} />
+                    {loading ? 'Importing...' : `Import ${importState.result.valid} rows`}
+                  </button>
+                  <button
+                    onClick={resetImport}
+                    className="px-6 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+                  >
+                    Start Over
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {importState.step === 'done' && importState.result && (
+              <div className="space-y-4">
+                <p className="text-gray-700">
+                  Imported {importState.result.imported} application{importState.result.imported === 1 ? '' : 's'}
+                  {importState.result.invalid > 0 && `, skipped ${importState.result.invalid} row${importState.result.invalid === 1 ? '' : 's'} with errors`}.
+                </p>
+                <div className="flex gap-4">
+                  <button
+                    onClick={() => setCurrentView('list')}
+                    className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                  >
+                    View Applications
+                  </button>
+                  <button
+                    onClick={resetImport}
+                    className="px-6 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+                  >
+                    Import Another File
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'calendar' && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-xl font-bold mb-2">Calendar Feed</h2>
+            <p className="text-gray-600 mb-4">
+              Subscribe to this URL from Google Calendar, Outlook or Apple Calendar to see application dates,
+              follow-ups and interviews. Keep it private: anyone with the URL can read the feed.
+            </p>
+            {calendarToken ? (
+              <>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={calendarFeedUrl()}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-3 py-2 border rounded-lg bg-gray-50 font-mono text-sm"
+                  />
+                  <button
+                    onClick={() => navigator.clipboard.writeText(calendarFeedUrl())}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                    title="Copy URL"
+                  >
+                    <Copy size={16} />
+                    Copy
+                  </button>
+                </div>
+                <div className="flex flex-wrap gap-4 mt-4">
+                  <a
+                    href={calendarFeedUrl().replace(/^https?:/, 'webcal:')}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 flex items-center gap-2"
+                  >
+                    <CalendarDays size={16} />
+                    Open in calendar app
+                  </a>
+                  <button
+                    onClick={regenerateCalendarToken}
+                    className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 flex items-center gap-2"
+                  >
+                    <RefreshCw size={16} />
+                    Regenerate URL
+                  </button>
+                </div>
+              </>
+            ) : (
+              <p className="text-gray-500">Loading feed URL...</p>
+            )}
+            {renderFormMessage('calendar')}
+          </div>
+        )}
+
+        {currentView === 'list' && (
+          <div className="space-y-4">
+            {(() => {
+              const overdue = reminders.overdue?.follow_ups || [];
+              const today = reminders.today?.follow_ups || [];
+              const todayIds = new Set(today.map(job => job.id));
+              const upcoming = (reminders.week?.follow_ups || []).filter(job => !todayIds.has(job.id));
+              const upcomingInterviews = reminders.week?.interviews || [];
+
+              if (overdue.length + today.length + upcoming.length + upcomingInterviews.length === 0) {
+                return null;
+              }
+
+              const reminderItem = (job, detail) => (
+                <li key={job.id} className="flex justify-between gap-2">
+                  <span className="truncate">{job.company_name} — {job.job_title}</span>
+                  <span className="text-gray-500 whitespace-nowrap">{detail}</span>
+                </li>
+              );
+
+              return (
+                <div className="bg-white p-6 rounded-lg shadow">
+                  <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                    <Bell size={18} />
+                    Reminders
+                  </h2>
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 text-sm">
+                    <div className="p-4 bg-red-50 rounded-lg">
+                      <div className="font-medium text-red-700 mb-2 flex items-center gap-1">
+                        <AlertTriangle size={14} />
+                        Overdue follow-ups ({overdue.length})
+                      </div>
+                      <ul className="space-y-1">
+                        {overdue.map(job => reminderItem(job, `${job.days_overdue}d late`))}
+                      </ul>
+                    </div>
+                    <div className="p-4 bg-yellow-50 rounded-lg">
+                      <div className="font-medium text-yellow-700 mb-2">Due today ({today.length})</div>
+                      <ul className="space-y-1">
+                        {today.map(job => reminderItem(job, 'today'))}
+                      </ul>
+                    </div>
+                    <div className="p-4 bg-blue-50 rounded-lg">
+                      <div className="font-medium text-blue-700 mb-2">Next 7 days ({upcoming.length})</div>
+                      <ul className="space-y-1">
+                        {upcoming.map(job => reminderItem(job, formatDate(job.follow_up_date)))}
+                      </ul>
+                    </div>
+                    <div className="p-4 bg-purple-50 rounded-lg">
+                      <div className="font-medium text-purple-700 mb-2">Upcoming interviews ({upcomingInterviews.length})</div>
+                      <ul className="space-y-1">
+                        {upcomingInterviews.map(interview => (
+                          <li key={interview.id} className="flex justify-between gap-2">
+                            <span className="truncate">{interview.company_name} — {roundLabel(interview.round_type)}</span>
+                            <span className="text-gray-500 whitespace-nowrap">
+                              {new Date(interview.scheduled_at).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                </div>
+              );
+            })()}
+
+            <div className="flex flex-wrap justify-between gap-2">
+              <form onSubmit={handleSearch} className="flex flex-1 gap-2 max-w-xl">
+                <div className="relative flex-1">
+                  <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type="search"
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                    placeholder='Search titles, descriptions, notes... e.g. kubernetes -contract'
+                    className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  Search
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowFilters(!showFilters)}
+                  className={`px-3 py-2 border rounded-lg flex items-center gap-1 ${showFilters || activeFilterCount() > 0 ? 'bg-blue-50 border-blue-300 text-blue-700' : 'bg-white text-gray-700'}`}
+                >
+                  <Filter size={16} />
+                  Filters{activeFilterCount() > 0 && ` (${activeFilterCount()})`}
+                </button>
+                {filters.q && (
+                  <button
+                    type="button"
+                    onClick={() => { setSearchInput(''); setFilters({ ...filters, q: '', page: 1 }); }}
+                    className="px-3 py-2 text-gray-600 hover:text-gray-900"
+                    title="Clear search"
+                  >
+                    <X size={16} />
+                  </button>
+                )}
+              </form>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleExport('csv')}
+                  className="px-3 py-1 bg-white border rounded-lg text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-1"
+                >
+                  <Download size={14} />
+                  Export CSV
+                </button>
+                <button
+                  onClick={() => handleExport('json')}
+                  className="px-3 py-1 bg-white border rounded-lg text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-1"
+                >
+                  <Download size={14} />
+                  Export JSON
+                </button>
+              </div>
+            </div>
+            {renderFormMessage('export')}
+
+            {showFilters && (
+              <div className="bg-white p-4 rounded-lg shadow space-y-4">
+                <div>
+                  <div className="text-sm font-medium text-gray-700 mb-2">Status</div>
+                  <div className="flex flex-wrap gap-2">
+                    {stages.map(stage => (
+                      <button
+                        key={stage.key}
+                        onClick={() => toggleStatusFilter(stage.key)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium border ${filters.statuses.includes(stage.key) ? 'border-transparent' : 'bg-white text-gray-600'}`}
+                        style={filters.statuses.includes(stage.key) ? statusStyle(stage.key) : { borderColor: stage.color }}
+                      >
+                        {stage.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
+                {tags.length > 0 && (
+                  <div>
+                    <div className="flex items-center gap-3 mb-2">
+                      <span className="text-sm font-medium text-gray-700">Tags</span>
+                      <select
+                        value={filters.tag_match}
+                        onChange={(e) => updateFilter({ tag_match: e.target.value })}
+                        className="px-2 py-0.5 border rounded-lg text-xs"
+                      >
+                        <option value="any">Any selected tag</option>
+                        <option value="all">All selected tags</option>
+                      </select>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {tags.map(tag => {
+                        const selected = filters.tags.includes(tag.id);
+                        return (
+                          <button
+                            key={tag.id}
+                            onClick={() => toggleTagFilter(tag.id)}
+                            className={`px-3 py-1 rounded-full text-xs font-medium border ${selected ? 'border-transparent' : 'bg-white text-gray-600'}`}
+                            style={selected ? { backgroundColor: tag.color, color: textColorOn(tag.color) } : { borderColor: tag.color }}
+                          >
+                            {tag.name}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Company</label>
+                    <input
+                      type="text"
+                      value={filters.company}
+                      onChange={(e) => updateFilter({ company: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                    <input
+                      type="text"
+                      value={filters.location}
+                      onChange={(e) => updateFilter({ location: e.target.value })}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Applied between</label>
+                    <div className="flex gap-1">
+                      <input
+                        type="date"
+                        value={filters.applied_from}
+                        onChange={(e) => updateFilter({ applied_from: e.target.value })}
+                        className="w-full px-2 py-2 border rounded-lg text-sm"
+                      />
+                      <input
+                        type="date"
+                        value={filters.applied_to}
+                        onChange={(e) => updateFilter({ applied_to: e.target.value })}
+                        className="w-full px-2 py-2 border rounded-lg text-sm"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Follow-up between</label>
+                    <div className="flex gap-1">
+                      <input
+                        type="date"
+                        value={filters.follow_up_from}
+                        onChange={(e) => updateFilter({ follow_up_from: e.target.value })}
+                        className="w-full px-2 py-2 border rounded-lg text-sm"
+                      />
+                      <input
+                        type="date"
+                        value={filters.follow_up_to}
+                        onChange={(e) => updateFilter({ follow_up_to: e.target.value })}
+                        className="w-full px-2 py-2 border rounded-lg text-sm"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Annual salary between</label>
+                    <div className="flex gap-1">
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="Min"
+                        value={filters.salary_min}
+                        onChange={(e) => updateFilter({ salary_min: e.target.value })}
+                        className="w-full px-2 py-2 border rounded-lg text-sm"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="Max"
+                        value={filters.salary_max}
+                        onChange={(e) => updateFilter({ salary_max: e.target.value })}
+                        className="w-full px-2 py-2 border rounded-lg text-sm"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Salary currency</label>
+                    <input
+                      type="text"
+                      maxLength="3"
+                      placeholder="e.g. USD"
+                      value={filters.salary_currency}
+                      onChange={(e) => updateFilter({ salary_currency: e.target.value.toUpperCase() })}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex justify-between items-center">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={filters.follow_up_overdue}
+                      onChange={(e) => updateFilter({ follow_up_overdue: e.target.checked })}
+                    />
+                    Only overdue follow-ups
+                  </label>
+                  <button
+                    onClick={() => setFilters({ ...defaultFilters, q: filters.q, sort: filters.sort, order: filters.order })}
+                    className="text-sm text-gray-600 hover:text-gray-900"
+                  >
+                    Clear filters
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+              <span>Sort by:</span>
+              {sortOptions.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleSort(option)}
+                  className={`px-2 py-1 rounded flex items-center gap-1 ${filters.sort === option.value ? 'bg-blue-100 text-blue-800 font-medium' : 'hover:bg-gray-200'}`}
+                >
+                  {option.label}
+                  {filters.sort === option.value && (filters.order === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                </button>
+              ))}
+              {filters.sort && (
+                <button
+                  onClick={() => updateFilter({ sort: '', order: 'desc' })}
+                  className="px-2 py-1 text-gray-500 hover:text-gray-900"
+                >
+                  {filters.q ? 'Best match' : 'Newest'}
+                </button>
+              )}
+            </div>
+
+            {loading ? (
+              <div className="text-center py-8">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                <p className="mt-4 text-gray-600">Loading jobs...</p>
+              </div>
+            ) : jobs.length === 0 ? (
+              <div className="text-center py-8">
+                <p className="text-gray-600">
+                  {filters.q
+                    ? `No applications match "${filters.q}".`
+                    : activeFilterCount() > 0
+                      ? 'No applications match the current filters.'
+                      : 'No job applications found. Start by adding your first application!'}
+                </p>
+              </div>
+            ) : (
+              <div className="grid gap-4">
+                {jobs.map((job) => (
+                  <div key={job.id} className="bg-white p-6 rounded-lg shadow hover:shadow-md transition-shadow">
+                    <div className="flex justify-between items-start mb-3">
+                      <div className="flex-1">
+                        <h3 className="text-lg font-semibold text-gray-900">
+                          <button onClick={() => openDetail(job)} className="text-left hover:text-blue-600 hover:underline">
+                            {job.title_highlight ? renderHighlighted(job.title_highlight) : job.job_title}
+                          </button>
+                        </h3>
+                        <div className="flex items-center gap-2 text-gray-600 mt-1">
+                          <Building2 size={16} />
+                          <button
+                            onClick={() => job.company_id && openCompany(job.company_id)}
+                            className="text-left hover:text-orange-600 hover:underline"
+                          >
+                            {job.company_highlight ? renderHighlighted(job.company_highlight) : job.company_name}
+                          </button>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className="px-2 py-1 rounded-full text-xs font-medium" style={statusStyle(job.status)}>
+                          {statusLabel(job.status)}
+                        </span>
+                        <button
+                          onClick={() => setTagEditorJobId(tagEditorJobId === job.id ? null : job.id)}
+                          className={`p-2 rounded-lg transition-colors ${tagEditorJobId === job.id ? 'bg-gray-100 text-gray-800' : 'text-gray-600 hover:bg-gray-100'}`}
+                          title="Edit tags"
+                        >
+                          <Tag size={16} />
+                        </button>
+                        <button
+                          onClick={() => toggleHistory(job.id)}
+                          className={`p-2 rounded-lg transition-colors ${historyJobId === job.id ? 'bg-purple-50 text-purple-700' : 'text-purple-600 hover:bg-purple-50'}`}
+                          title="Status history"
+                        >
+                          <History size={16} />
+                        </button>
+                        <button
+                          onClick={() => handleEdit(job)}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          title="Edit job"
+                        >
+                          <Edit2 size={16} />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(job.id)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Delete job"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="flex flex-wrap gap-4 text-sm text-gray-600 mb-4">
+                      {job.location && (
+                        <div className="flex items-center gap-1">
+                          <MapPin size={14} />
+                          <span>{job.location}</span>
+                        </div>
+                      )}
+                      {formatSalary(job) && (
+                        <div className="flex items-center gap-1">
+                          <DollarSign size={14} />
+                          <span>{formatSalary(job)}</span>
+                        </div>
+                      )}
+                      <div className="flex items-center gap-1">
+                        <Calendar size={14} />
+                        <span>Applied: {formatDate(job.application_date)}</span>
+                      </div>
+                      {job.follow_up_date && (
+                        <div className={`flex items-center gap-1 ${isOverdue(job.follow_up_date) && !isTerminalStatus(job.status) ? 'text-red-600 font-medium' : ''}`}>
+                          <Bell size={14} />
+                          <span>Follow up: {formatDate(job.follow_up_date)}</span>
+                        </div>
+                      )}
+                    </div>
+
+                    {job.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mb-3">
+                        {job.tags.map(tag => renderTagChip(tag))}
+                      </div>
+                    )}
+
+                    {tagEditorJobId === job.id && (
+                      <div className="mb-3 p-3 bg-gray-50 rounded-lg">
+                        {renderTagPicker((job.tags || []).map(tag => tag.id), (tagIds) => updateJobTags(job, tagIds))}
+                      </div>
+                    )}
+
+                    {job.search_snippet && job.search_snippet.includes('⟦') && (
+                      <div className="text-sm text-gray-600 italic mb-3">
+                        …{renderHighlighted(job.search_snippet)}…
+                      </div>
+                    )}
+
+                    {job.notes && (
+                      <div className="text-sm text-gray-600 bg-gray-50 p-3 rounded">
+                        <strong>Notes:</strong> {job.notes}
+                      </div>
+                    )}
+
+                    {historyJobId === job.id && (
+                      <div className="mt-4 border-t pt-4">
+                        <h4 className="text-sm font-semibold text-gray-700 mb-3">Status Timeline</h4>
+                        {renderStatusTimeline()}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {pagination.totalPages > 1 && (
+              <div className="flex justify-center items-center gap-4 text-sm text-gray-600">
+                <button
+                  onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+                  disabled={filters.page <= 1}
+                  className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  title="Previous page"
+                >
+                  <ChevronLeft size={16} />
+                </button>
+                <span>Page {pagination.page} of {pagination.totalPages} ({pagination.total} applications)</span>
+                <button
+                  onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+                  disabled={filters.page >= pagination.totalPages}
+                  className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  title="Next page"
+                >
+                  <ChevronRight size={16} />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'board' && board && (
+          <div className="flex gap-4 overflow-x-auto pb-4">
+            {board.map((column) => (
+              <div
+                key={column.status}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => handleBoardDrop(e, column.status)}
+                className="flex-shrink-0 w-72 bg-gray-200 rounded-lg p-3 min-h-[300px]"
+              >
+                <div className="flex items-center justify-between mb-3">
+                  <span className="px-2 py-1 rounded-full text-xs font-medium" style={statusStyle(column.status)}>
+                    {column.name}{column.archived && ' (archived)'}
+                  </span>
+                  <span className="text-sm font-semibold text-gray-600">{column.count}</span>
+                </div>
+                <div className="space-y-2">
+                  {column.jobs.map((job, index) => (
+                    <div
+                      key={job.id}
+                      draggable
+                      onDragStart={() => setDraggedJob({ id: job.id, status: column.status, index })}
+                      onDragEnd={() => setDraggedJob(null)}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => handleBoardDrop(e, column.status, index)}
+                      className={`bg-white p-3 rounded-lg shadow cursor-move ${draggedJob?.id === job.id ? 'opacity-50' : ''}`}
+                    >
+                      <div className="flex justify-between items-start gap-2">
+                        <div className="min-w-0">
+                          <button
+                            onClick={() => openDetail(job)}
+                            className="block max-w-full font-medium text-gray-900 truncate text-left hover:text-blue-600 hover:underline"
+                          >
+                            {job.job_title}
+                          </button>
+                          <div className="text-sm text-gray-600 truncate">{job.company_name}</div>
+                        </div>
+                        <button
+                          onClick={() => handleEdit(job)}
+                          className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+                          title="Edit job"
+                        >
+                          <Edit2 size={14} />
+                        </button>
+                      </div>
+                      <div className="flex flex-wrap gap-2 text-xs text-gray-500 mt-2">
+                        {job.location && (
+                          <span className="flex items-center gap-1">
+                            <MapPin size={12} />
+                            {job.location}
+                          </span>
+                        )}
+                        <span className="flex items-center gap-1">
+                          <Calendar size={12} />
+                          {formatDate(job.application_date)}
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {currentView === 'stats' && stats && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-xl font-bold mb-4">Application Statistics</h2>
+            <div className="flex flex-wrap items-end gap-3 mb-6 p-4 bg-gray-50 rounded-lg">
+              <div className="flex flex-wrap gap-1">
+                {statsRangePresets.map(preset => (
+                  <button
+                    key={preset.label}
+                    onClick={() => applyStatsRangePreset(preset)}
+                    className="px-3 py-1.5 rounded-lg text-sm bg-white border hover:bg-gray-100"
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+                <input
+                  type="date"
+                  value={statsRange.from}
+                  max={statsRange.to || undefined}
+                  onChange={(e) => updateStatsRange({ ...statsRange, from: e.target.value })}
+                  className="px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+                <input
+                  type="date"
+                  value={statsRange.to}
+                  min={statsRange.from || undefined}
+                  onChange={(e) => updateStatsRange({ ...statsRange, to: e.target.value })}
+                  className="px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <p className="text-sm text-gray-500">
+                {stats.from || stats.to
+                  ? `Applications from ${stats.from ? formatDate(`${stats.from}T00:00:00`) : 'the start'} to ${stats.to ? formatDate(`${stats.to}T00:00:00`) : 'today'}`
+                  : 'All applications'}
+              </p>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+              <div className="text-center p-4 bg-gray-50 rounded-lg">
+                <div className="text-2xl font-bold text-gray-900">{stats.total}</div>
+                <div className="text-sm text-gray-600">Total</div>
+              </div>
+              {stats.stages.map(stage => (
+                <div key={stage.key} className="text-center p-4 rounded-lg" style={{ backgroundColor: `${stage.color}1a` }}>
+                  <div className="text-2xl font-bold" style={{ color: stage.color }}>{stage.count}</div>
+                  <div className="text-sm text-gray-600">
+                    {stage.name}{stage.archived && ' (archived)'}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <p className="text-sm text-gray-600 mt-4">
+              {stats.active} still in progress · {stats.positive} with a positive outcome · {stats.negative} with a negative outcome
+            </p>
+
+            {renderTimeline()}
+
+            {funnel && funnel.applications > 0 && (
+              <div className="mt-8">
+                <h3 className="text-lg font-semibold mb-1">Funnel</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  How many applications reached each stage, counting every stage an application has been in and those before it.
+                </p>
+                <div className="space-y-2">
+                  {funnel.stages.map(stage => (
+                    <div key={stage.key} className="flex items-center gap-3 text-sm">
+                      <div className="w-28 text-right text-gray-700 truncate" title={stage.name}>{stage.name}</div>
+                      <div className="flex-1 flex justify-center">
+                        <div
+                          className="h-8 rounded flex items-center justify-center font-medium"
+                          style={{
+                            width: `${Math.max((stage.from_start || 0) * 100, 2)}%`,
+                            backgroundColor: stage.color,
+                            color: textColorOn(stage.color)
+                          }}
+                        >
+                          {stage.reached}
+                        </div>
+                      </div>
+                      <div className="w-36 text-gray-600">
+                        {stage.conversion === null ? 'all applications' : `${formatRate(stage.conversion)} from previous`}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+                  <div className="text-center p-4 bg-gray-50 rounded-lg">
+                    <div className="text-2xl font-bold text-gray-900">{formatRate(funnel.response_rate)}</div>
+                    <div className="text-sm text-gray-600">Response rate ({funnel.responded} of {funnel.applications})</div>
+                  </div>
+                  <div className="text-center p-4 bg-gray-50 rounded-lg">
+                    <div className="text-2xl font-bold text-gray-900">{formatDays(funnel.time_to_response.avg_days)}</div>
+                    <div className="text-sm text-gray-600">Average time to first response</div>
+                  </div>
+                  <div className="text-center p-4 bg-gray-50 rounded-lg">
+                    <div className="text-2xl font-bold text-gray-900">{formatDays(funnel.time_to_response.median_days)}</div>
+                    <div className="text-sm text-gray-600">Median time to first response</div>
+                  </div>
+                  <div className="text-center p-4 bg-gray-50 rounded-lg">
+                    <div className="text-2xl font-bold text-gray-900">{formatRate(funnel.positive_rate)}</div>
+                    <div className="text-sm text-gray-600">Positive outcome rate</div>
+                  </div>
+                </div>
+
+                {funnel.time_in_stage.length > 0 && (
+                  <div className="mt-6">
+                    <h4 className="text-sm font-medium text-gray-700 mb-2">Time in each stage</h4>
+                    <div className="space-y-2">
+                      {funnel.time_in_stage.map(stage => {
+                        const longest = Math.max(...funnel.time_in_stage.map(item => item.avg_days), 1);
+                        return (
+                          <div key={stage.key} className="flex items-center gap-3 text-sm">
+                            <div className="w-28 text-right text-gray-700 truncate" title={stage.name}>{stage.name}</div>
+                            <div className="flex-1 bg-gray-100 rounded h-5">
+                              <div
+                                className="h-5 rounded"
+                                style={{ width: `${Math.max((stage.avg_days / longest) * 100, 1)}%`, backgroundColor: stage.color }}
+                              />
+                            </div>
+                            <div className="w-56 text-gray-600">
+                              avg {formatDays(stage.avg_days)} · median {formatDays(stage.median_days)} · {stage.count} {stage.count === 1 ? 'stay' : 'stays'}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
+                <div className="mt-6">
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <h4 className="text-sm font-medium text-gray-700">Breakdown</h4>
+                    <div className="flex gap-1">
+                      {funnelDimensionOptions.map(option => (
+                        <button
+                          key={option.value}
+                          onClick={() => setFunnelDimension(option.value)}
+                          className={`px-3 py-1 rounded-lg text-sm ${funnelDimension === option.value ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700'}`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-3">
+                    {funnel.stages.map(stage => (
+                      <span key={stage.key} className="flex items-center gap-1">
+                        <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: stage.color }} />
+                        {stage.name}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="space-y-3">
+                    {funnel.breakdowns[funnelDimension].slice(0, funnelDimension === 'month' ? 24 : 10).map(row => {
+                      const largest = Math.max(...funnel.breakdowns[funnelDimension].map(item => item.applications));
+                      return (
+                        <div key={row.value} className="flex items-center gap-3 text-sm">
+                          <div className="w-28 text-right text-gray-700 truncate" title={row.value}>
+                            {funnelDimension === 'month' ? formatMonth(row.value) : row.value}
+                          </div>
+                          <div className="flex-1 space-y-0.5">
+                            {funnel.stages.map(stage => (
+                              <div
+                                key={stage.key}
+                                className="h-2 rounded"
+                                title={`${stage.name}: ${row.reached[stage.key]}`}
+                                style={{ width: `${(row.reached[stage.key] / largest) * 100}%`, backgroundColor: stage.color }}
+                              />
+                            ))}
+                          </div>
+                          <div className="w-56 text-gray-600">
+                            {row.applications} applied · {formatRate(row.response_rate)} responded
+                            {row.median_days_to_response !== null && ` in ~${formatDays(row.median_days_to_response)}`}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {stats.tags?.length > 0 && (
+              <div className="mt-8">
+                <h3 className="text-lg font-semibold mb-4">Tags</h3>
+                <div className="flex flex-wrap gap-2">
+                  {stats.tags.map(tag => (
+                    <button
+                      key={tag.id}
+                      onClick={() => { setFilters({ ...defaultFilters, tags: [tag.id] }); setShowFilters(true); setCurrentView('list'); }}
+                      title="Show these applications"
+                    >
+                      {renderTagChip(tag, { count: tag.count, className: 'text-sm px-3 py-1' })}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {stats.compensation && (
+              <div className="mt-8">
+                <h3 className="text-lg font-semibold mb-1">Compensation</h3>
+                <p className="text-sm text-gray-500 mb-4">Annualized salaries; applications in different currencies are never combined.</p>
+                {stats.compensation.by_status.length === 0 ? (
+                  <p className="text-sm text-gray-500">Add salary amounts to your applications to see compensation statistics.</p>
+                ) : (
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    {[
+                      { title: 'By status', key: 'status', rows: stats.compensation.by_status },
+                      { title: 'By location', key: 'location', rows: stats.compensation.by_location.slice(0, 10) }
+                    ].map(table => (
+                      <div key={table.key}>
+                        <h4 className="text-sm font-medium text-gray-700 mb-2">{table.title}</h4>
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-gray-500 border-b">
+                              <th className="p-2">{table.key === 'status' ? 'Status' : 'Location'}</th>
+                              <th className="p-2 text-right">Jobs</th>
+                              <th className="p-2 text-right">Median</th>
+                              <th className="p-2 text-right">Range</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {table.rows.map(row => (
+                              <tr key={`${row[table.key]}-${row.currency}`} className="border-b last:border-0">
+                                <td className="p-2">
+                                  {table.key === 'status' ? statusLabel(row.status) : row.location}
+                                  {!row.currency && <span className="text-xs text-gray-400 ml-1">(no currency)</span>}
+                                </td>
+                                <td className="p-2 text-right">{row.count}</td>
+                                <td className="p-2 text-right font-medium">{formatMoney(row.median, row.currency)}</td>
+                                <td className="p-2 text-right text-gray-600">
+                                  {formatMoney(row.min, row.currency)} – {formatMoney(row.max, row.currency)}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'documents' && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-xl font-bold mb-2">Document Library</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Upload each resume and cover letter version once and attach it to every application you sent it with.
+              PDF, Word, OpenDocument, RTF, text and Markdown files are accepted.
+            </p>
+
+            <div className="mb-6">
+              {renderDocumentUpload(null)}
+              {renderFormMessage('documentUpload')}
+            </div>
+
+            {renderFormMessage('documents')}
+
+            {documents.length === 0 ? (
+              <p className="text-gray-500">No documents uploaded yet.</p>
+            ) : (
+              <div className="space-y-3">
+                {documents.map(doc => (
+                  <div key={doc.id} className="p-4 bg-gray-50 rounded-lg">
+                    <div className="flex flex-wrap items-center gap-3">
+                      <FileText size={18} className="text-gray-500" />
+                      <button
+                        onClick={() => downloadDocument(doc)}
+                        className="font-medium text-gray-900 hover:text-pink-700 hover:underline"
+                        title="Download"
+                      >
+                        {doc.name}
+                      </button>
+                      <select
+                        value={doc.kind}
+                        onChange={(e) => handleDocumentUpdate(doc, { kind: e.target.value })}
+                        className="px-2 py-0.5 border rounded-lg text-xs"
+                      >
+                        {documentKindOptions.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <span className="text-sm text-gray-500">
+                        {doc.filename} · {formatFileSize(doc.size_bytes)} · uploaded {formatDate(doc.created_at)}
+                      </span>
+                      <div className="ml-auto flex gap-1">
+                        <button
+                          onClick={() => downloadDocument(doc)}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          title="Download"
+                        >
+                          <Download size={14} />
+                        </button>
+                        <button
+                          onClick={() => {
+                            const name = window.prompt('Document name', doc.name);
+                            if (name && name.trim() && name !== doc.name) {
+                              handleDocumentUpdate(doc, { name });
+                            }
+                          }}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          title="Rename"
+                        >
+                          <Edit2 size={14} />
+                        </button>
+                        <button
+                          onClick={() => handleDocumentDelete(doc)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Delete"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
+                    {doc.applications.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2 text-sm">
+                        <span className="text-gray-500">Sent with:</span>
+                        {doc.applications.map(job => (
+                          <button
+                            key={job.id}
+                            onClick={() => openJob(job.id)}
+                            className="text-blue-600 hover:underline"
+                          >
+                            {job.job_title} at {job.company_name}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'contacts' && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+              <h2 className="text-xl font-bold">Contacts</h2>
+              <button
+                onClick={() => startContactEdit(null)}
+                className="px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 flex items-center gap-2"
+              >
+                <Plus size={16} />
+                New Contact
+              </button>
+            </div>
+
+            <div className="relative mb-4">
+              <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={contactSearch}
+                onChange={(e) => { setContactSearch(e.target.value); fetchContacts(e.target.value); }}
+                placeholder="Search by name, email or company..."
+                className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            {contacts.length === 0 ? (
+              <p className="text-gray-500">No contacts found. Add recruiters, hiring managers and referrers to keep track of your network.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4">Name</th>
+                      <th className="py-2 pr-4">Title</th>
+                      <th className="py-2 pr-4">Company</th>
+                      <th className="py-2 pr-4">Email</th>
+                      <th className="py-2 pr-4">Applications</th>
+                      <th className="py-2 pr-4">Last contact</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {contacts.map(contact => (
+                      <tr key={contact.id} className="border-b hover:bg-gray-50">
+                        <td className="py-2 pr-4">
+                          <button
+                            onClick={() => openContact(contact.id)}
+                            className="font-medium text-gray-900 hover:text-cyan-700 hover:underline text-left"
+                          >
+                            {contact.name}
+                          </button>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{contact.title || '-'}</td>
+                        <td className="py-2 pr-4 text-gray-600">{contact.company_name || '-'}</td>
+                        <td className="py-2 pr-4 text-gray-600">{contact.email || '-'}</td>
+                        <td className="py-2 pr-4">{contact.application_count}</td>
+                        <td className="py-2 pr-4 text-gray-600">{contact.last_interaction ? formatDate(contact.last_interaction) : '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'contact' && (selectedContact || editingContact) && (
+          <div className="space-y-6">
+            <div className="bg-white p-6 rounded-lg shadow">
+              <button
+                onClick={() => setCurrentView('contacts')}
+                className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1 mb-2"
+              >
+                <ArrowLeft size={14} />
+                Back to contacts
+              </button>
+
+              {editingContact ? (
+                <form onSubmit={handleContactSave} className="space-y-4">
+                  <h2 className="text-xl font-bold">{selectedContact ? 'Edit Contact' : 'New Contact'}</h2>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Name *
+                      </label>
+                      <input
+                        type="text"
+                        value={contactForm.name}
+                        onChange={(e) => setContactForm({...contactForm, name: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        required
+                      />
+                      {renderFieldError('contact', 'name')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Title / Role
+                      </label>
+                      <input
+                        type="text"
+                        value={contactForm.title}
+                        onChange={(e) => setContactForm({...contactForm, title: e.target.value})}
+                        placeholder="e.g., Technical Recruiter"
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('contact', 'title')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Company
+                      </label>
+                      <input
+                        type="text"
+                        value={contactForm.company_name}
+                        onChange={(e) => setContactForm({...contactForm, company_name: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('contact', 'company_name')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Email
+                      </label>
+                      <input
+                        type="email"
+                        value={contactForm.email}
+                        onChange={(e) => setContactForm({...contactForm, email: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('contact', 'email')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Phone
+                      </label>
+                      <input
+                        type="tel"
+                        value={contactForm.phone}
+                        onChange={(e) => setContactForm({...contactForm, phone: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('contact', 'phone')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        LinkedIn
+                      </label>
+                      <input
+                        type="url"
+                        value={contactForm.linkedin_url}
+                        onChange={(e) => setContactForm({...contactForm, linkedin_url: e.target.value})}
+                        placeholder="https://www.linkedin.com/in/..."
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('contact', 'linkedin_url')}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      How We Met
+                    </label>
+                    <input
+                      type="text"
+                      value={contactForm.how_we_met}
+                      onChange={(e) => setContactForm({...contactForm, how_we_met: e.target.value})}
+                      placeholder="e.g., Reached out on LinkedIn, met at a meetup"
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('contact', 'how_we_met')}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Notes
+                    </label>
+                    <textarea
+                      value={contactForm.notes}
+                      onChange={(e) => setContactForm({...contactForm, notes: e.target.value})}
+                      rows={3}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('contact', 'notes')}
+                  </div>
+
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                    >
+                      <Save size={16} />
+                      Save Contact
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => (selectedContact ? setEditingContact(false) : setCurrentView('contacts'))}
+                      className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <div className="flex justify-between items-start gap-4">
+                    <div>
+                      <h2 className="text-2xl font-bold text-gray-900">{selectedContact.name}</h2>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600 mt-1">
+                        {selectedContact.title && <span>{selectedContact.title}</span>}
+                        {selectedContact.company_name && (
+                          <button
+                            onClick={() => openCompany(selectedContact.company_id)}
+                            className="flex items-center gap-1 hover:text-orange-600 hover:underline"
+                          >
+                            <Building2 size={14} />
+                            {selectedContact.company_name}
+                          </button>
+                        )}
+                        {selectedContact.email && (
+                          <a href={`mailto:${selectedContact.email}`} className="text-blue-600 hover:underline flex items-center gap-1">
+                            <Mail size={14} />
+                            {selectedContact.email}
+                          </a>
+                        )}
+                        {selectedContact.phone && <span>{selectedContact.phone}</span>}
+                        {selectedContact.linkedin_url && (
+                          <a
+                            href={selectedContact.linkedin_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-blue-600 hover:underline flex items-center gap-1"
+                          >
+                            <ExternalLink size={14} />
+                            LinkedIn
+                          </a>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => startContactEdit(selectedContact)}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                      >
+                        <Edit2 size={16} />
+                        Edit
+                      </button>
+                      <button
+                        onClick={handleContactDelete}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2"
+                      >
+                        <Trash2 size={16} />
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                  {selectedContact.how_we_met && (
+                    <p className="mt-4 text-sm text-gray-700"><strong>How we met:</strong> {selectedContact.how_we_met}</p>
+                  )}
+                  {selectedContact.notes && (
+                    <p className="mt-2 text-gray-700 whitespace-pre-wrap">{selectedContact.notes}</p>
+                  )}
+                </>
+              )}
+              {renderFormMessage('contact')}
+            </div>
+
+            {selectedContact && !editingContact && (
+              <>
+                <div className="bg-white p-6 rounded-lg shadow">
+                  <h3 className="text-lg font-semibold mb-4">Applications ({selectedContact.applications.length})</h3>
+                  {selectedContact.applications.length === 0 ? (
+                    <p className="text-sm text-gray-500">Not linked to any application. Link contacts from an application's edit page.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {selectedContact.applications.map(job => (
+                        <button
+                          key={job.id}
+                          onClick={() => openJob(job.id)}
+                          className="w-full flex flex-wrap items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 text-left"
+                        >
+                          <span className="font-medium text-gray-900">{job.job_title}</span>
+                          <span className="text-gray-600">{job.company_name}</span>
+                          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-cyan-100 text-cyan-800">
+                            {contactRoleLabel(job.role)}
+                          </span>
+                          <span className="ml-auto px-2 py-0.5 rounded-full text-xs font-medium" style={statusStyle(job.status)}>
+                            {statusLabel(job.status)}
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div className="bg-white p-6 rounded-lg shadow">
+                  <h3 className="text-lg font-semibold mb-4">Interaction Log</h3>
+                  <form onSubmit={handleInteractionAdd} className="flex flex-wrap items-end gap-2 mb-4">
+                    <select
+                      value={interactionForm.kind}
+                      onChange={(e) => setInteractionForm({...interactionForm, kind: e.target.value})}
+                      className="px-2 py-1 border rounded-lg text-sm"
+                    >
+                      {interactionKindOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="date"
+                      value={interactionForm.occurred_on}
+                      onChange={(e) => setInteractionForm({...interactionForm, occurred_on: e.target.value})}
+                      className="px-2 py-1 border rounded-lg text-sm"
+                    />
+                    {selectedContact.applications.length > 0 && (
+                      <select
+                        value={interactionForm.job_id}
+                        onChange={(e) => setInteractionForm({...interactionForm, job_id: e.target.value})}
+                        className="px-2 py-1 border rounded-lg text-sm"
+                      >
+                        <option value="">No application</option>
+                        {selectedContact.applications.map(job => (
+                          <option key={job.id} value={job.id}>{job.job_title} at {job.company_name}</option>
+                        ))}
+                      </select>
+                    )}
+                    <input
+                      type="text"
+                      placeholder="What was it about?"
+                      value={interactionForm.summary}
+                      onChange={(e) => setInteractionForm({...interactionForm, summary: e.target.value})}
+                      className="flex-1 min-w-[12rem] px-2 py-1 border rounded-lg text-sm"
+                    />
+                    <button
+                      type="submit"
+                      className="px-3 py-1 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 text-sm flex items-center gap-1"
+                    >
+                      <Plus size={14} />
+                      Log
+                    </button>
+                  </form>
+                  {renderFormMessage('interaction')}
+
+                  {selectedContact.interactions.length === 0 ? (
+                    <p className="text-sm text-gray-500">No interactions logged yet.</p>
+                  ) : (
+                    <ol className="space-y-2">
+                      {selectedContact.interactions.map(interaction => (
+                        <li key={interaction.id} className="flex items-start gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                          <span className="text-gray-500 whitespace-nowrap">{formatDate(interaction.occurred_on)}</span>
+                          <span className="font-medium whitespace-nowrap">
+                            {interactionKindOptions.find(option => option.value === interaction.kind)?.label}
+                          </span>
+                          <div className="flex-1">
+                            {interaction.summary && <p className="text-gray-700">{interaction.summary}</p>}
+                            {interaction.job_title && (
+                              <p className="text-xs text-gray-500">{interaction.job_title} at {interaction.company_name}</p>
+                            )}
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => handleInteractionDelete(interaction.id)}
+                            className="text-red-500 hover:text-red-700"
+                            title="Delete entry"
+                          >
+                            <X size={14} />
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+              </>
+            )}
           </div>
-          <button
-            onClick={handleLogout}
-            className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
-          >
-            <LogOut size={16} />
-            Logout
-          </button>
-        </div>
+        )}
 
-        <div className="flex flex-wrap gap-2 mb-6">
-          <button
-            onClick={() => setCurrentView('list')}
-            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'list' ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700'}`}
-          >
-            <Eye size={16} />
-            Job List
-          </button>
-          <button
-            onClick={() => { setCurrentView('add'); resetForm(); }}
-            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'add' ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-700'}`}
-          >
-            <Plus size={16} />
-            Add Job
-          </button>
-          <button
-            onClick={() => setCurrentView('stats')}
-            className={`px-4 py-2 rounded-lg flex items-center gap-2 ${currentView === 'stats' ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700'}`}
-          >
-            <BarChart3 size={16} />
-            Statistics
-          </button>
-        </div>
+        {currentView === 'companies' && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+              <h2 className="text-xl font-bold">Companies</h2>
+              <form onSubmit={handleCompanyCreate} className="flex gap-2">
+                <input
+                  type="text"
+                  value={newCompanyName}
+                  onChange={(e) => setNewCompanyName(e.target.value)}
+                  placeholder="New company name"
+                  className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  required
+                />
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 flex items-center gap-2"
+                >
+                  <Plus size={16} />
+                  Add
+                </button>
+              </form>
+            </div>
+            {renderFormMessage('companies')}
 
-        {currentView === 'list' && (
-          <div className="space-y-4">
-            {loading ? (
-              <div className="text-center py-8">
-                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-                <p className="mt-4 text-gray-600">Loading jobs...</p>
-              </div>
-            ) : jobs.length === 0 ? (
-              <div className="text-center py-8">
-                <p className="text-gray-600">No job applications found. Start by adding your first application!</p>
-              </div>
+            <div className="relative mb-4">
+              <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={companySearch}
+                onChange={(e) => { setCompanySearch(e.target.value); fetchCompanies(e.target.value); }}
+                placeholder="Search companies or industries..."
+                className="w-full pl-9 pr-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            {companies.length === 0 ? (
+              <p className="text-gray-500">No companies found. Companies are created automatically when you add an application.</p>
             ) : (
-              <div className="grid gap-4">
-                {jobs.map((job) => (
-                  <div key={job.id} className="bg-white p-6 rounded-lg shadow hover:shadow-md transition-shadow">
-                    <div className="flex justify-between items-start mb-3">
-                      <div className="flex-1">
-                        <h3 className="text-lg font-semibold text-gray-900">{job.job_title}</h3>
-                        <div className="flex items-center gap-2 text-gray-600 mt-1">
-                          <Building2 size={16} />
-                          <span>{job.company_name}</span>
-                        </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4">Company</th>
+                      <th className="py-2 pr-4">Industry</th>
+                      <th className="py-2 pr-4">Size</th>
+                      <th className="py-2 pr-4">Applications</th>
+                      <th className="py-2 pr-4">Outcomes</th>
+                      <th className="py-2 pr-4">Last applied</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {companies.map(company => (
+                      <tr key={company.id} className="border-b hover:bg-gray-50">
+                        <td className="py-2 pr-4">
+                          <button
+                            onClick={() => openCompany(company.id)}
+                            className="font-medium text-gray-900 hover:text-orange-600 hover:underline text-left"
+                          >
+                            {company.name}
+                          </button>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{company.industry || '-'}</td>
+                        <td className="py-2 pr-4 text-gray-600">{company.size || '-'}</td>
+                        <td className="py-2 pr-4">
+                          {company.application_count}
+                          {company.active_count > 0 && <span className="text-gray-500"> ({company.active_count} active)</span>}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <div className="flex flex-wrap gap-1">
+                            {Object.entries(company.status_counts).map(([status, count]) => (
+                              <span key={status} className="px-2 py-0.5 rounded-full text-xs font-medium" style={statusStyle(status)}>
+                                {statusLabel(status)} {count}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{company.last_applied ? formatDate(company.last_applied) : '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'company' && selectedCompany && (
+          <div className="space-y-6">
+            <div className="bg-white p-6 rounded-lg shadow">
+              <button
+                onClick={() => setCurrentView('companies')}
+                className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1 mb-2"
+              >
+                <ArrowLeft size={14} />
+                Back to companies
+              </button>
+
+              {editingCompany ? (
+                <form onSubmit={handleCompanySave} className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Name *
+                      </label>
+                      <input
+                        type="text"
+                        value={companyForm.name}
+                        onChange={(e) => setCompanyForm({...companyForm, name: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        required
+                      />
+                      {renderFieldError('company', 'name')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Website
+                      </label>
+                      <input
+                        type="url"
+                        value={companyForm.website}
+                        onChange={(e) => setCompanyForm({...companyForm, website: e.target.value})}
+                        placeholder="https://..."
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('company', 'website')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Industry
+                      </label>
+                      <input
+                        type="text"
+                        value={companyForm.industry}
+                        onChange={(e) => setCompanyForm({...companyForm, industry: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('company', 'industry')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Size (employees)
+                      </label>
+                      <select
+                        value={companyForm.size}
+                        onChange={(e) => setCompanyForm({...companyForm, size: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Unknown</option>
+                        {companySizeOptions.map(size => (
+                          <option key={size} value={size}>{size}</option>
+                        ))}
+                      </select>
+                      {renderFieldError('company', 'size')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Headquarters
+                      </label>
+                      <input
+                        type="text"
+                        value={companyForm.headquarters}
+                        onChange={(e) => setCompanyForm({...companyForm, headquarters: e.target.value})}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('company', 'headquarters')}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Notes
+                    </label>
+                    <textarea
+                      value={companyForm.notes}
+                      onChange={(e) => setCompanyForm({...companyForm, notes: e.target.value})}
+                      rows={4}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('company', 'notes')}
+                  </div>
+
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                    >
+                      <Save size={16} />
+                      Save Company
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditingCompany(false)}
+                      className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <div className="flex justify-between items-start gap-4">
+                    <div>
+                      <h2 className="text-2xl font-bold text-gray-900">{selectedCompany.name}</h2>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600 mt-1">
+                        {selectedCompany.industry && <span>{selectedCompany.industry}</span>}
+                        {selectedCompany.size && <span>{selectedCompany.size} employees</span>}
+                        {selectedCompany.headquarters && (
+                          <span className="flex items-center gap-1"><MapPin size={14} />{selectedCompany.headquarters}</span>
+                        )}
+                        {selectedCompany.website && (
+                          <a
+                            href={selectedCompany.website}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-blue-600 hover:underline flex items-center gap-1"
+                          >
+                            <ExternalLink size={14} />
+                            Website
+                          </a>
+                        )}
                       </div>
-                      <div className="flex items-center gap-2">
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[job.status]}`}>
-                          {statusOptions.find(s => s.value === job.status)?.label}
-                        </span>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={startCompanyEdit}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                      >
+                        <Edit2 size={16} />
+                        Edit
+                      </button>
+                      {selectedCompany.applications.length === 0 && (
                         <button
-                          onClick={() => handleEdit(job)}
-                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                          title="Edit job"
+                          onClick={handleCompanyDelete}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2"
                         >
-                          <Edit2 size={16} />
+                          <Trash2 size={16} />
+                          Delete
                         </button>
+                      )}
+                    </div>
+                  </div>
+                  {selectedCompany.notes && (
+                    <p className="mt-4 text-gray-700 whitespace-pre-wrap">{selectedCompany.notes}</p>
+                  )}
+                </>
+              )}
+              {renderFormMessage('company')}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="text-lg font-semibold mb-4">Applications ({selectedCompany.applications.length})</h3>
+              {Object.keys(selectedCompany.status_counts).length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {Object.entries(selectedCompany.status_counts).map(([status, count]) => (
+                    <span key={status} className="px-2 py-1 rounded-full text-xs font-medium" style={statusStyle(status)}>
+                      {statusLabel(status)}: {count}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {selectedCompany.applications.length === 0 ? (
+                <p className="text-sm text-gray-500">No applications at this company yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {selectedCompany.applications.map(job => (
+                    <button
+                      key={job.id}
+                      onClick={() => openDetail(job)}
+                      className="w-full flex flex-wrap items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 text-left"
+                    >
+                      <span className="font-medium text-gray-900">{job.job_title}</span>
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium" style={statusStyle(job.status)}>
+                        {statusLabel(job.status)}
+                      </span>
+                      {job.location && <span className="text-sm text-gray-600">{job.location}</span>}
+                      <span className="ml-auto text-sm text-gray-500">
+                        {job.application_date ? `Applied ${formatDate(job.application_date)}` : `Added ${formatDate(job.created_at)}`}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {selectedCompany.contacts.length > 0 && (
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h3 className="text-lg font-semibold mb-4">Contacts</h3>
+                <div className="space-y-2">
+                  {selectedCompany.contacts.map(contact => (
+                    <button
+                      key={contact.id}
+                      onClick={() => openContact(contact.id)}
+                      className="w-full flex flex-wrap items-center gap-3 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 text-left text-sm"
+                    >
+                      <span className="font-medium text-gray-900">{contact.name}</span>
+                      {contact.title && <span className="text-gray-600">{contact.title}</span>}
+                      {contact.email && <span className="ml-auto text-gray-500">{contact.email}</span>}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {companies.some(company => company.id !== selectedCompany.id) && (
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h3 className="text-lg font-semibold mb-2">Merge a Duplicate</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  Move every application from another company into {selectedCompany.name}. The other company is deleted; its notes are appended here.
+                </p>
+                <div className="flex gap-2">
+                  <select
+                    value={mergeCompanyId}
+                    onChange={(e) => setMergeCompanyId(e.target.value)}
+                    className="flex-1 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Choose a company...</option>
+                    {companies.filter(company => company.id !== selectedCompany.id).map(company => (
+                      <option key={company.id} value={company.id}>
+                        {company.name} ({company.application_count})
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleCompanyMerge}
+                    disabled={!mergeCompanyId}
+                    className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 disabled:opacity-50"
+                  >
+                    Merge
+                  </button>
+                </div>
+                {renderFormMessage('companyMerge')}
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'offers' && (() => {
+          const comparedIds = comparedOfferIds
+            || allOffers.filter(offer => ['pending', 'negotiating', 'accepted'].includes(offer.status)).map(offer => offer.id);
+          const compared = allOffers.filter(offer => comparedIds.includes(offer.id));
+          // Amounts in different currencies are not comparable, so only highlight within a single currency
+          const sameCurrency = new Set(compared.map(offer => offer.currency)).size === 1;
+
+          const toggleCompared = (offerId) => {
+            setComparedOfferIds(comparedIds.includes(offerId)
+              ? comparedIds.filter(id => id !== offerId)
+              : [...comparedIds, offerId]);
+          };
+
+          return (
+            <div className="space-y-6">
+              <div className="bg-white p-6 rounded-lg shadow">
+                <h2 className="text-xl font-bold mb-4">Offers</h2>
+                {allOffers.length === 0 ? (
+                  <p className="text-gray-500">No offers recorded yet. Add one from an application's edit page.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {allOffers.map(offer => (
+                      <label key={offer.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={comparedIds.includes(offer.id)}
+                          onChange={() => toggleCompared(offer.id)}
+                        />
+                        <span className="font-medium">{offer.company_name}</span>
+                        <span className="text-gray-600">{offer.job_title}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${offerStatus(offer.status).color}`}>
+                          {offerStatus(offer.status).label}
+                        </span>
+                        <span className="ml-auto text-sm text-gray-700">
+                          {formatMoney(offer.totals.first_year_total, offer.currency)} first year
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {compared.length > 0 && (
+                <div className="bg-white p-6 rounded-lg shadow overflow-x-auto">
+                  <h3 className="text-lg font-semibold mb-4">Side-by-side Comparison</h3>
+                  {!sameCurrency && (
+                    <p className="text-sm text-yellow-700 mb-3">
+                      These offers use different currencies, so best values are not highlighted.
+                    </p>
+                  )}
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 pr-4"></th>
+                        {compared.map(offer => (
+                          <th key={offer.id} className="py-2 pr-4">
+                            <div className="font-semibold text-gray-900">{offer.company_name}</div>
+                            <div className="font-normal">{offer.job_title}</div>
+                            {offer.location && <div className="font-normal text-xs">{offer.location}</div>}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {offerComparisonRows.map(row => {
+                        const values = row.value ? compared.map(offer => row.value(offer)) : [];
+                        const numeric = values.filter(value => value !== null).map(Number);
+                        const best = sameCurrency && compared.length > 1 && numeric.length > 1 ? Math.max(...numeric) : null;
+
+                        return (
+                          <tr key={row.label} className={`border-b ${row.total ? 'font-semibold' : ''}`}>
+                            <td className="py-2 pr-4 text-gray-600">{row.label}</td>
+                            {compared.map((offer, index) => {
+                              const value = row.value ? values[index] : null;
+                              let content;
+                              if (row.render) {
+                                content = row.render(offer);
+                              } else if (value === null) {
+                                content = '-';
+                              } else {
+                                content = row.money ? formatMoney(value, offer.currency) : value;
+                              }
+                              const isBest = best !== null && value !== null && Number(value) === best;
+
+                              return (
+                                <td key={offer.id} className={`py-2 pr-4 ${isBest ? 'text-green-700 bg-green-50' : ''}`}>
+                                  {content}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <p className="text-xs text-gray-500 mt-3">
+                    First-year total is base + bonus + sign-on + equity vesting in year one (nothing if the cliff is longer than 12 months).
+                    Annualized total leaves out the sign-on bonus and spreads equity evenly over the vesting period.
+                  </p>
+                </div>
+              )}
+            </div>
+          );
+        })()}
+
+        {currentView === 'activity' && (
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-xl font-bold mb-2 flex items-center gap-2">
+              <ShieldCheck size={20} />
+              Account Activity
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Sign-ins to your account and every change to your applications. If you see a login you don't recognise,
+              change your password and log out everywhere from Settings.
+            </p>
+
+            <div className="flex flex-wrap items-end gap-3 mb-6 p-4 bg-gray-50 rounded-lg">
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Event</label>
+                <select
+                  value={activityFilters.action}
+                  onChange={(e) => updateActivityFilters({ action: e.target.value })}
+                  className="px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">All events</option>
+                  {auditActionOptions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+                <input
+                  type="date"
+                  value={activityFilters.from}
+                  max={activityFilters.to || undefined}
+                  onChange={(e) => updateActivityFilters({ from: e.target.value })}
+                  className="px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+                <input
+                  type="date"
+                  value={activityFilters.to}
+                  min={activityFilters.from || undefined}
+                  onChange={(e) => updateActivityFilters({ to: e.target.value })}
+                  className="px-3 py-1.5 border rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              {activityFilters.job_id && (
+                <span className="px-3 py-1.5 rounded-full text-sm bg-blue-100 text-blue-800 flex items-center gap-1">
+                  One application only
+                  <button onClick={() => updateActivityFilters({ job_id: null })} title="Show all applications">
+                    <X size={14} />
+                  </button>
+                </span>
+              )}
+              {(activityFilters.action || activityFilters.from || activityFilters.to || activityFilters.job_id) && (
+                <button
+                  onClick={() => updateActivityFilters(defaultActivityFilters)}
+                  className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900"
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+
+            {renderFormMessage('activity')}
+            {activity.events.length === 0 ? (
+              <p className="text-sm text-gray-500">No activity matches these filters.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4 font-medium">When</th>
+                      <th className="py-2 pr-4 font-medium">Event</th>
+                      <th className="py-2 pr-4 font-medium">Details</th>
+                      <th className="py-2 font-medium">From</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {activity.events.map(event => (
+                      <tr key={event.id} className="align-top">
+                        <td className="py-3 pr-4 whitespace-nowrap text-gray-600">{new Date(event.created_at).toLocaleString()}</td>
+                        <td className="py-3 pr-4">
+                          <div className={`font-medium ${event.action === 'auth.login_failed' ? 'text-red-700' : 'text-gray-900'}`}>
+                            {auditActionLabel(event.action)}
+                          </div>
+                          {event.entity_type === 'job' && event.details && (
+                            <button
+                              onClick={() => updateActivityFilters({ job_id: event.entity_id })}
+                              className="text-blue-600 hover:underline text-left"
+                              title="Show only this application's history"
+                            >
+                              {event.details.job_title} at {event.details.company_name}
+                            </button>
+                          )}
+                          {event.details?.via === 'import' && (
+                            <div className="text-xs text-gray-500">Imported from a file</div>
+                          )}
+                        </td>
+                        <td className="py-3 pr-4 text-gray-700 max-w-md">{renderAuditDetails(event)}</td>
+                        <td className="py-3 text-gray-500">
+                          <div>{event.ip_address}</div>
+                          <div className="text-xs truncate max-w-xs" title={event.user_agent || ''}>{event.user_agent || 'Unknown device'}</div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {activity.pagination.totalPages > 1 && (
+              <div className="flex justify-center items-center gap-4 text-sm text-gray-600 mt-4">
+                <button
+                  onClick={() => updateActivityFilters({ page: activityFilters.page - 1 })}
+                  disabled={activityFilters.page <= 1}
+                  className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  title="Previous page"
+                >
+                  <ChevronLeft size={16} />
+                </button>
+                <span>Page {activity.pagination.page} of {activity.pagination.totalPages} ({activity.pagination.total} events)</span>
+                <button
+                  onClick={() => updateActivityFilters({ page: activityFilters.page + 1 })}
+                  disabled={activityFilters.page >= activity.pagination.totalPages}
+                  className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  title="Next page"
+                >
+                  <ChevronRight size={16} />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {currentView === 'settings' && (
+          <div className="space-y-6">
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h2 className="text-xl font-bold mb-4">Account Settings</h2>
+              <form onSubmit={handleProfileSave} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Username
+                    </label>
+                    <input
+                      type="text"
+                      required
+                      maxLength="50"
+                      value={profileForm.username}
+                      onChange={(e) => setProfileForm({...profileForm, username: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('profile', 'username')}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Email
+                    </label>
+                    <input
+                      type="email"
+                      required
+                      value={profileForm.email}
+                      onChange={(e) => setProfileForm({...profileForm, email: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('profile', 'email')}
+                    {user.email_verified_at === null && (
+                      <p className="text-xs text-yellow-700 mt-1">Not verified yet — check your inbox for the verification link.</p>
+                    )}
+                    {profileForm.email !== user.email && (
+                      <p className="text-xs text-gray-500 mt-1">You'll need to verify the new address before your next login.</p>
+                    )}
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                >
+                  <Save size={16} />
+                  Save Profile
+                </button>
+              </form>
+              {renderFormMessage('profile')}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <KeyRound size={18} />
+                Change Password
+              </h3>
+              <form onSubmit={handlePasswordChange} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Current Password
+                    </label>
+                    <input
+                      type="password"
+                      required
+                      value={passwordForm.current_password}
+                      onChange={(e) => setPasswordForm({...passwordForm, current_password: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('password', 'current_password')}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      New Password
+                    </label>
+                    <input
+                      type="password"
+                      required
+                      minLength="6"
+                      value={passwordForm.new_password}
+                      onChange={(e) => setPasswordForm({...passwordForm, new_password: e.target.value})}
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('password', 'new_password')}
+                    <p className="text-xs text-gray-500 mt-1">At least 6 characters. Other devices will be logged out.</p>
+                  </div>
+                </div>
+                <button
+                  type="submit"
+                  className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                >
+                  <Lock size={16} />
+                  Change Password
+                </button>
+              </form>
+              {renderFormMessage('password')}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="text-lg font-semibold mb-2">Pipeline Stages</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                The statuses an application moves through, in order. Terminal stages end follow-up reminders;
+                positive and negative outcomes are counted in the statistics. Archived stages keep their applications
+                but can't be chosen anymore.
+              </p>
+              <div className="space-y-2 mb-4">
+                {stages.map((stage, index) => (
+                  <div key={stage.id} className={`flex flex-wrap items-center gap-3 p-2 rounded-lg ${stage.archived_at ? 'bg-gray-50 opacity-60' : ''}`}>
+                    <div className="flex flex-col">
+                      <button
+                        onClick={() => moveStage(index, -1)}
+                        disabled={index === 0}
+                        className="text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <ArrowUp size={14} />
+                      </button>
+                      <button
+                        onClick={() => moveStage(index, 1)}
+                        disabled={index === stages.length - 1}
+                        className="text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <ArrowDown size={14} />
+                      </button>
+                    </div>
+                    <input
+                      type="color"
+                      value={stage.color}
+                      onChange={(e) => handleStageUpdate(stage, { color: e.target.value })}
+                      className="h-8 w-8 border rounded cursor-pointer"
+                      title="Stage color"
+                    />
+                    <input
+                      key={stage.name}
+                      type="text"
+                      maxLength="50"
+                      defaultValue={stage.name}
+                      onBlur={(e) => e.target.value.trim() && e.target.value !== stage.name && handleStageUpdate(stage, { name: e.target.value })}
+                      className="px-2 py-1 border rounded-lg text-sm"
+                    />
+                    <label className="flex items-center gap-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={stage.is_terminal}
+                        onChange={(e) => handleStageUpdate(stage, { is_terminal: e.target.checked })}
+                      />
+                      Terminal
+                    </label>
+                    <select
+                      value={stage.outcome || ''}
+                      onChange={(e) => handleStageUpdate(stage, { outcome: e.target.value })}
+                      className="px-2 py-1 border rounded-lg text-sm"
+                    >
+                      <option value="">No outcome</option>
+                      <option value="positive">Positive</option>
+                      <option value="negative">Negative</option>
+                    </select>
+                    <span className="text-sm text-gray-500">
+                      {stage.job_count} application{stage.job_count === 1 ? '' : 's'}
+                    </span>
+                    <div className="ml-auto flex gap-1">
+                      <button
+                        onClick={() => handleStageUpdate(stage, { archived: !stage.archived_at })}
+                        className="px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 rounded-lg"
+                      >
+                        {stage.archived_at ? 'Restore' : 'Archive'}
+                      </button>
+                      {stage.job_count === 0 && (
                         <button
-                          onClick={() => handleDelete(job.id)}
+                          onClick={() => handleStageDelete(stage)}
                           className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                          title="Delete job"
+                          title="Delete stage"
                         >
-                          <Trash2 size={16} />
+                          <Trash2 size={14} />
                         </button>
-                      </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <form onSubmit={handleStageCreate} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  required
+                  maxLength="50"
+                  placeholder="New stage, e.g. Phone screen"
+                  value={newStage.name}
+                  onChange={(e) => setNewStage({ ...newStage, name: e.target.value })}
+                  className="px-2 py-1 border rounded-lg text-sm"
+                />
+                <input
+                  type="color"
+                  value={newStage.color}
+                  onChange={(e) => setNewStage({ ...newStage, color: e.target.value })}
+                  className="h-8 w-8 border rounded cursor-pointer"
+                  title="Stage color"
+                />
+                <button
+                  type="submit"
+                  className="px-2 py-1 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300 flex items-center gap-1"
+                >
+                  <Plus size={14} />
+                  Add stage
+                </button>
+              </form>
+              {renderFormMessage('pipeline')}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="text-lg font-semibold mb-2">Tags</h3>
+              <p className="text-sm text-gray-600 mb-4">Rename, recolor or delete the tags you use to organize applications.</p>
+              {tags.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No tags yet.</p>
+              ) : (
+                <div className="space-y-2 mb-4">
+                  {tags.map(tag => (
+                    <div key={tag.id} className="flex items-center gap-3">
+                      <input
+                        type="color"
+                        value={tag.color}
+                        onChange={(e) => handleTagUpdate(tag, { color: e.target.value })}
+                        className="h-8 w-8 border rounded cursor-pointer"
+                        title="Tag color"
+                      />
+                      <input
+                        key={tag.name}
+                        type="text"
+                        maxLength="50"
+                        defaultValue={tag.name}
+                        onBlur={(e) => e.target.value.trim() && e.target.value !== tag.name && handleTagUpdate(tag, { name: e.target.value })}
+                        className="px-2 py-1 border rounded-lg text-sm"
+                      />
+                      <span className="text-sm text-gray-500">
+                        {tag.job_count} application{tag.job_count === 1 ? '' : 's'}
+                      </span>
+                      <button
+                        onClick={() => handleTagDelete(tag)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Delete tag"
+                      >
+                        <Trash2 size={14} />
+                      </button>
                     </div>
+                  ))}
+                </div>
+              )}
+              {renderNewTagInput(() => {})}
+              {renderFormMessage('tags')}
+            </div>
 
-                    <div className="flex flex-wrap gap-4 text-sm text-gray-600 mb-4">
-                      {job.location && (
-                        <div className="flex items-center gap-1">
-                          <MapPin size={14} />
-                          <span>{job.location}</span>
+            <div className="bg-white p-6 rounded-lg shadow">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold">Active Sessions</h3>
+                <button
+                  onClick={logoutEverywhere}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2"
+                >
+                  <LogOut size={16} />
+                  Log out everywhere
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 mb-6">
+                Every device you're logged in on. Revoke any session you don't recognise.
+              </p>
+              {renderFormMessage('sessions')}
+
+              {sessions.length === 0 ? (
+                <p className="text-sm text-gray-500">No active sessions.</p>
+              ) : (
+                <div className="divide-y">
+                  {sessions.map(session => (
+                    <div key={session.id} className="py-4 flex justify-between items-center gap-4">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2 font-medium text-gray-900">
+                          <Monitor size={16} />
+                          <span className="truncate">{session.user_agent || 'Unknown device'}</span>
+                          {session.current && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">This device</span>
+                          )}
                         </div>
-                      )}
-                      {job.salary_range && (
-                        <div className="flex items-center gap-1">
-                          <DollarSign size={14} />
-                          <span>{job.salary_range}</span>
+                        <div className="text-sm text-gray-500 mt-1">
+                          {session.ip_address} · Signed in {new Date(session.created_at).toLocaleString()} · Last active {new Date(session.last_used_at).toLocaleString()}
                         </div>
-                      )}
-                      <div className="flex items-center gap-1">
-                        <Calendar size={14} />
-                        <span>Applied: {formatDate(job.application_date)}</span>
                       </div>
+                      <button
+                        onClick={() => revokeSession(session)}
+                        className="px-3 py-1 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50"
+                      >
+                        {session.current ? 'Log out' : 'Revoke'}
+                      </button>
                     </div>
-
-                    {job.notes && (
-                      <div className="text-sm text-gray-600 bg-gray-50 p-3 rounded">
-                        <strong>Notes:</strong> {job.notes}
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            )}
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow border border-red-200">
+              <h3 className="text-lg font-semibold text-red-700 mb-2">Delete Account</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Deleting your account permanently removes your profile and every application, status change,
+                interview and session stored for it. Download a copy of your data first if you want to keep it.
+              </p>
+              <button
+                type="button"
+                onClick={handleAccountExport}
+                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 flex items-center gap-2 mb-4"
+              >
+                <Download size={16} />
+                Download My Data (JSON)
+              </button>
+              {renderFormMessage('accountExport')}
+              <form onSubmit={handleAccountDelete} className="flex flex-wrap items-end gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm with your password
+                  </label>
+                  <input
+                    type="password"
+                    required
+                    value={deletePassword}
+                    onChange={(e) => setDeletePassword(e.target.value)}
+                    className="px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-red-500"
+                  />
+                  {renderFieldError('deleteAccount', 'password')}
+                </div>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2"
+                >
+                  <Trash2 size={16} />
+                  Delete My Account
+                </button>
+              </form>
+              {renderFormMessage('deleteAccount')}
+            </div>
           </div>
         )}
 
-        {currentView === 'stats' && stats && (
+        {currentView === 'detail' && selectedJob && (
           <div className="bg-white p-6 rounded-lg shadow">
-            <h2 className="text-xl font-bold mb-4">Application Statistics</h2>
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
-              <div className="text-center p-4 bg-gray-50 rounded-lg">
-                <div className="text-2xl font-bold text-gray-900">{stats.total}</div>
-                <div className="text-sm text-gray-600">Total</div>
+            <div className="flex justify-between items-start gap-4 mb-6">
+              <div>
+                <button
+                  onClick={() => setCurrentView('list')}
+                  className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1 mb-2"
+                >
+                  <ArrowLeft size={14} />
+                  Back to applications
+                </button>
+                <h2 className="text-2xl font-bold text-gray-900">{selectedJob.job_title}</h2>
+                <div className="flex items-center gap-2 text-gray-600 mt-1">
+                  <Building2 size={16} />
+                  <button
+                    onClick={() => selectedJob.company_id && openCompany(selectedJob.company_id)}
+                    className="hover:text-orange-600 hover:underline"
+                  >
+                    {selectedJob.company_name}
+                  </button>
+                  <span className="px-2 py-1 rounded-full text-xs font-medium" style={statusStyle(selectedJob.status)}>
+                    {statusLabel(selectedJob.status)}
+                  </span>
+                </div>
+                {selectedJob.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {selectedJob.tags.map(tag => renderTagChip(tag))}
+                  </div>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleEdit(selectedJob)}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+                >
+                  <Edit2 size={16} />
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDelete(selectedJob.id)}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center gap-2"
+                >
+                  <Trash2 size={16} />
+                  Delete
+                </button>
               </div>
-              <div className="text-center p-4 bg-blue-50 rounded-lg">
-                <div className="text-2xl font-bold text-blue-600">{stats.applied}</div>
-                <div className="text-sm text-gray-600">Applied</div>
+            </div>
+
+            <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-4 text-sm">
+              <div>
+                <dt className="font-medium text-gray-500">Job URL</dt>
+                <dd className="text-gray-900 mt-1 break-all">
+                  {selectedJob.job_url ? (
+                    <a href={selectedJob.job_url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline inline-flex items-center gap-1">
+                      {selectedJob.job_url}
+                      <ExternalLink size={14} />
+                    </a>
+                  ) : '—'}
+                </dd>
               </div>
-              <div className="text-center p-4 bg-yellow-50 rounded-lg">
-                <div className="text-2xl font-bold text-yellow-600">{stats.interview}</div>
-                <div className="text-sm text-gray-600">Interview</div>
+              <div>
+                <dt className="font-medium text-gray-500">Location</dt>
+                <dd className="text-gray-900 mt-1">{selectedJob.location || '—'}</dd>
               </div>
-              <div className="text-center p-4 bg-green-50 rounded-lg">
-                <div className="text-2xl font-bold text-green-600">{stats.offer}</div>
-                <div className="text-sm text-gray-600">Offers</div>
+              <div>
+                <dt className="font-medium text-gray-500">Source</dt>
+                <dd className="text-gray-900 mt-1">{selectedJob.source || '—'}</dd>
               </div>
-              <div className="text-center p-4 bg-red-50 rounded-lg">
-                <div className="text-2xl font-bold text-red-600">{stats.rejected}</div>
-                <div className="text-sm text-gray-600">Rejected</div>
+              <div>
+                <dt className="font-medium text-gray-500">Salary Range</dt>
+                <dd className="text-gray-900 mt-1">
+                  {formatSalary(selectedJob) || '—'}
+                  {selectedJob.salary_range && selectedJob.salary_range !== formatSalary(selectedJob) && (
+                    <span className="text-gray-500"> ({selectedJob.salary_range})</span>
+                  )}
+                </dd>
               </div>
-              <div className="text-center p-4 bg-gray-50 rounded-lg">
-                <div className="text-2xl font-bold text-gray-600">{stats.withdrawn}</div>
-                <div className="text-sm text-gray-600">Withdrawn</div>
+              <div>
+                <dt className="font-medium text-gray-500">Application Date</dt>
+                <dd className="text-gray-900 mt-1">{selectedJob.application_date ? formatDate(selectedJob.application_date) : '—'}</dd>
               </div>
+              <div>
+                <dt className="font-medium text-gray-500">Follow-up Date</dt>
+                <dd className={`mt-1 ${selectedJob.follow_up_date && isOverdue(selectedJob.follow_up_date) && !isTerminalStatus(selectedJob.status) ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                  {selectedJob.follow_up_date ? formatDate(selectedJob.follow_up_date) : '—'}
+                </dd>
+              </div>
+              <div>
+                <dt className="font-medium text-gray-500">Primary Contact</dt>
+                <dd className="text-gray-900 mt-1">
+                  {selectedJob.contact_person || (!selectedJob.contact_email && '—')}
+                  {selectedJob.contact_email && (
+                    <a href={`mailto:${selectedJob.contact_email}`} className="text-blue-600 hover:underline inline-flex items-center gap-1 ml-2">
+                      <Mail size={14} />
+                      {selectedJob.contact_email}
+                    </a>
+                  )}
+                </dd>
+              </div>
+              <div>
+                <dt className="font-medium text-gray-500">Created</dt>
+                <dd className="text-gray-900 mt-1">{new Date(selectedJob.created_at).toLocaleString()}</dd>
+              </div>
+              <div>
+                <dt className="font-medium text-gray-500">Last Updated</dt>
+                <dd className="text-gray-900 mt-1">{new Date(selectedJob.updated_at).toLocaleString()}</dd>
+              </div>
+            </dl>
+
+            {[
+              { label: 'Job Description', value: selectedJob.description },
+              { label: 'Requirements', value: selectedJob.requirements },
+              { label: 'Notes', value: selectedJob.notes }
+            ].map(section => (
+              <div key={section.label} className="mt-6">
+                <h3 className="text-lg font-semibold mb-2">{section.label}</h3>
+                {section.value ? (
+                  <p className="text-gray-700 whitespace-pre-wrap">{section.value}</p>
+                ) : (
+                  <p className="text-sm text-gray-500">Nothing recorded yet.</p>
+                )}
+              </div>
+            ))}
+
+            <div className="mt-8 border-t pt-6">
+              <h3 className="text-lg font-semibold mb-4">Interview Rounds</h3>
+              {interviews.length === 0 ? (
+                <p className="text-sm text-gray-500">No interviews scheduled for this application yet.</p>
+              ) : (
+                <div className="space-y-3">
+                  {interviews.map((interview) => (
+                    <div key={interview.id} className="p-4 bg-gray-50 rounded-lg">
+                      <div className="font-medium text-gray-900">{roundLabel(interview.round_type)}</div>
+                      <div className="flex flex-wrap gap-4 text-sm text-gray-600 mt-1">
+                        <span className="flex items-center gap-1">
+                          <Clock size={14} />
+                          {interview.scheduled_at ? new Date(interview.scheduled_at).toLocaleString() : 'Not scheduled'}
+                          {interview.duration_minutes && ` (${interview.duration_minutes} min)`}
+                        </span>
+                        {interview.interviewers && (
+                          <span className="flex items-center gap-1">
+                            <Users size={14} />
+                            {interview.interviewers}
+                          </span>
+                        )}
+                        {interview.rating && (
+                          <span className="flex items-center gap-1">
+                            <Star size={14} />
+                            {interview.rating}/5
+                          </span>
+                        )}
+                      </div>
+                      {interview.prep_notes && (
+                        <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap"><span className="font-medium">Prep:</span> {interview.prep_notes}</p>
+                      )}
+                      {interview.feedback && (
+                        <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap"><span className="font-medium">Feedback:</span> {interview.feedback}</p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="mt-8 border-t pt-6">
+              <h3 className="text-lg font-semibold mb-4">Documents</h3>
+              {jobDocuments.length === 0 ? (
+                <p className="text-sm text-gray-500">No resume or cover letter attached to this application yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {jobDocuments.map(doc => (
+                    <div key={doc.id} className="flex flex-wrap items-center gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                      <Paperclip size={14} className="text-gray-500" />
+                      <button onClick={() => downloadDocument(doc)} className="font-medium text-gray-900 hover:text-pink-700 hover:underline">
+                        {doc.name}
+                      </button>
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-pink-100 text-pink-800">
+                        {documentKindLabel(doc.kind)}
+                      </span>
+                      <span className="ml-auto text-gray-500">{doc.filename} · {formatFileSize(doc.size_bytes)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="mt-8 border-t pt-6">
+              <h3 className="text-lg font-semibold mb-4">Contacts</h3>
+              {jobContacts.length === 0 ? (
+                <p className="text-sm text-gray-500">No contacts linked to this application yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {jobContacts.map(contact => (
+                    <div key={contact.id} className="flex flex-wrap items-center gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                      <button onClick={() => openContact(contact.id)} className="font-medium text-gray-900 hover:text-cyan-700 hover:underline">
+                        {contact.name}
+                      </button>
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-cyan-100 text-cyan-800">
+                        {contactRoleLabel(contact.role)}
+                      </span>
+                      {contact.title && <span className="text-gray-600">{contact.title}</span>}
+                      {contact.email && (
+                        <a href={`mailto:${contact.email}`} className="text-blue-600 hover:underline inline-flex items-center gap-1">
+                          <Mail size={14} />
+                          {contact.email}
+                        </a>
+                      )}
+                      {contact.phone && <span className="text-gray-600">{contact.phone}</span>}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="mt-8 border-t pt-6">
+              <h3 className="text-lg font-semibold mb-4">Offers</h3>
+              {offers.length === 0 ? (
+                <p className="text-sm text-gray-500">No offer recorded for this application yet.</p>
+              ) : (
+                <div className="space-y-3">
+                  {offers.map(offer => (
+                    <div key={offer.id} className="p-4 bg-gray-50 rounded-lg">
+                      {renderOfferSummary(offer, false)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="mt-8 border-t pt-6">
+              <h3 className="text-lg font-semibold mb-4">Status Timeline</h3>
+              {renderStatusTimeline()}
             </div>
           </div>
         )}
@@ -555,6 +5804,7 @@ const JobTracker = () => {
                     onChange={(e) => setFormData({...formData, company_name: e.target.value})}
                     className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
+                  {renderFieldError('job', 'company_name')}
                 </div>
 
                 <div>
@@ -568,6 +5818,7 @@ const JobTracker = () => {
                     onChange={(e) => setFormData({...formData, job_title: e.target.value})}
                     className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
+                  {renderFieldError('job', 'job_title')}
                 </div>
 
                 <div>
@@ -580,6 +5831,7 @@ const JobTracker = () => {
                     onChange={(e) => setFormData({...formData, job_url: e.target.value})}
                     className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
+                  {renderFieldError('job', 'job_url')}
                 </div>
 
                 <div>
@@ -592,6 +5844,26 @@ const JobTracker = () => {
                     onChange={(e) => setFormData({...formData, location: e.target.value})}
                     className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
+                  {renderFieldError('job', 'location')}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Source
+                  </label>
+                  <input
+                    type="text"
+                    list="source-suggestions"
+                    value={formData.source}
+                    onChange={(e) => setFormData({...formData, source: e.target.value})}
+                    placeholder="Where you found the posting"
+                    maxLength={100}
+                    className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {renderFieldError('job', 'source')}
+                  <datalist id="source-suggestions">
+                    {sourceSuggestions.map(source => <option key={source} value={source} />)}
+                  </datalist>
                 </div>
 
                 <div>
@@ -601,10 +5873,58 @@ const JobTracker = () => {
                   <input
                     type="text"
                     value={formData.salary_range}
-                    onChange={(e) => setFormData({...formData, salary_range: e.target.value})}
+                    onChange={(e) => setFormData({...formData, salary_range: e.target.value, salary_min: '', salary_max: '', salary_currency: '', salary_period: 'year'})}
                     placeholder="e.g., $80k-100k"
                     className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
+                  {renderFieldError('job', 'salary_range')}
+                  <p className="text-xs text-gray-500 mt-1">Amounts are filled in from this text unless you enter them below.</p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Salary Amounts
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={formData.salary_min}
+                      onChange={(e) => setFormData({...formData, salary_min: e.target.value})}
+                      placeholder="Min"
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={formData.salary_max}
+                      onChange={(e) => setFormData({...formData, salary_max: e.target.value})}
+                      placeholder="Max"
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <input
+                      type="text"
+                      maxLength="3"
+                      value={formData.salary_currency}
+                      onChange={(e) => setFormData({...formData, salary_currency: e.target.value.toUpperCase()})}
+                      placeholder="USD"
+                      className="w-20 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <select
+                      value={formData.salary_period}
+                      onChange={(e) => setFormData({...formData, salary_period: e.target.value})}
+                      className="px-2 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {salaryPeriodOptions.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {renderFieldError('job', 'salary_min')}
+                  {renderFieldError('job', 'salary_max')}
+                  {renderFieldError('job', 'salary_currency')}
                 </div>
 
                 <div>
@@ -617,6 +5937,7 @@ const JobTracker = () => {
                     onChange={(e) => setFormData({...formData, application_date: e.target.value})}
                     className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
+                  {renderFieldError('job', 'application_date')}
                 </div>
 
                 <div>
@@ -633,10 +5954,106 @@ const JobTracker = () => {
                         {option.label}
                       </option>
                     ))}
+                    {currentView === 'edit' && stageFor(selectedJob?.status)?.archived_at && (
+                      <option value={selectedJob.status}>{statusLabel(selectedJob.status)} (archived)</option>
+                    )}
                   </select>
+                  {renderFieldError('job', 'status')}
+                </div>
+
+                {(currentView === 'add' || formData.status !== selectedJob?.status) && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Status Note
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.status_note}
+                      onChange={(e) => setFormData({...formData, status_note: e.target.value})}
+                      placeholder="e.g., Recruiter replied by email"
+                      className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    {renderFieldError('job', 'status_note')}
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Follow-up Date
+                  </label>
+                  <input
+                    type="date"
+                    value={formData.follow_up_date}
+                    onChange={(e) => setFormData({...formData, follow_up_date: e.target.value})}
+                    className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {renderFieldError('job', 'follow_up_date')}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Primary Contact
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.contact_person}
+                    onChange={(e) => setFormData({...formData, contact_person: e.target.value})}
+                    placeholder="e.g., Recruiter or hiring manager"
+                    className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {renderFieldError('job', 'contact_person')}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Primary Contact Email
+                  </label>
+                  <input
+                    type="email"
+                    value={formData.contact_email}
+                    onChange={(e) => setFormData({...formData, contact_email: e.target.value})}
+                    className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {renderFieldError('job', 'contact_email')}
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Job Description
+                </label>
+                <textarea
+                  value={formData.description}
+                  onChange={(e) => setFormData({...formData, description: e.target.value})}
+                  rows={4}
+                  className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Paste the job description..."
+                />
+                {renderFieldError('job', 'description')}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Requirements
+                </label>
+                <textarea
+                  value={formData.requirements}
+                  onChange={(e) => setFormData({...formData, requirements: e.target.value})}
+                  rows={4}
+                  className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Key requirements and qualifications..."
+                />
+                {renderFieldError('job', 'requirements')}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tags
+                </label>
+                {renderTagPicker(formData.tag_ids, (tagIds) => setFormData({...formData, tag_ids: tagIds}))}
+                {renderFieldError('job', 'tag_ids')}
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Notes
@@ -648,6 +6065,7 @@ const JobTracker = () => {
                   className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                   placeholder="Any notes about this application..."
                 />
+                {renderFieldError('job', 'notes')}
               </div>
 
               <div className="flex gap-4">
@@ -667,7 +6085,745 @@ const JobTracker = () => {
                   Cancel
                 </button>
               </div>
+              {renderFormMessage('job')}
             </form>
+
+            {currentView === 'edit' && selectedJob && (
+              <div className="mt-8 border-t pt-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold">Interview Rounds</h3>
+                  {editingInterviewId === null && (
+                    <button
+                      type="button"
+                      onClick={() => startInterviewEdit(null)}
+                      className="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center gap-1 text-sm"
+                    >
+                      <Plus size={14} />
+                      Add Interview
+                    </button>
+                  )}
+                </div>
+                {renderFormMessage('interview')}
+
+                {interviews.length === 0 && editingInterviewId === null && (
+                  <p className="text-sm text-gray-500">No interviews scheduled for this application yet.</p>
+                )}
+
+                <div className="space-y-3">
+                  {interviews.map((interview) => (
+                    editingInterviewId === interview.id ? null : (
+                      <div key={interview.id} className="p-4 bg-gray-50 rounded-lg">
+                        <div className="flex justify-between items-start">
+                          <div>
+                            <div className="font-medium text-gray-900">{roundLabel(interview.round_type)}</div>
+                            <div className="flex flex-wrap gap-4 text-sm text-gray-600 mt-1">
+                              <span className="flex items-center gap-1">
+                                <Clock size={14} />
+                                {interview.scheduled_at ? new Date(interview.scheduled_at).toLocaleString() : 'Not scheduled'}
+                                {interview.duration_minutes && ` (${interview.duration_minutes} min)`}
+                              </span>
+                              {interview.interviewers && (
+                                <span className="flex items-center gap-1">
+                                  <Users size={14} />
+                                  {interview.interviewers}
+                                </span>
+                              )}
+                              {interview.location && (
+                                <span className="flex items-center gap-1">
+                                  <MapPin size={14} />
+                                  {/^https?:\/\//.test(interview.location) ? (
+                                    <a href={interview.location} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                      Meeting link
+                                    </a>
+                                  ) : interview.location}
+                                </span>
+                              )}
+                              {interview.rating && (
+                                <span className="flex items-center gap-1">
+                                  <Star size={14} />
+                                  {interview.rating}/5
+                                </span>
+                              )}
+                            </div>
+                          </div>
+                          <div className="flex gap-1">
+                            <button
+                              type="button"
+                              onClick={() => startInterviewEdit(interview)}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                              title="Edit interview"
+                            >
+                              <Edit2 size={14} />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleInterviewDelete(interview.id)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                              title="Delete interview"
+                            >
+                              <Trash2 size={14} />
+                            </button>
+                          </div>
+                        </div>
+                        {interview.prep_notes && (
+                          <div className="text-sm text-gray-600 mt-2">
+                            <strong>Prep:</strong> {interview.prep_notes}
+                          </div>
+                        )}
+                        {interview.feedback && (
+                          <div className="text-sm text-gray-600 mt-1">
+                            <strong>Feedback:</strong> {interview.feedback}
+                          </div>
+                        )}
+                      </div>
+                    )
+                  ))}
+                </div>
+
+                {editingInterviewId !== null && (
+                  <div className="mt-4 p-4 border rounded-lg space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Round Type
+                        </label>
+                        <select
+                          value={interviewForm.round_type}
+                          onChange={(e) => setInterviewForm({...interviewForm, round_type: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {interviewRoundOptions.map(option => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                        {renderFieldError('interview', 'round_type')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Date & Time
+                        </label>
+                        <input
+                          type="datetime-local"
+                          value={interviewForm.scheduled_at}
+                          onChange={(e) => setInterviewForm({...interviewForm, scheduled_at: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('interview', 'scheduled_at')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Duration (minutes)
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={interviewForm.duration_minutes}
+                          onChange={(e) => setInterviewForm({...interviewForm, duration_minutes: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('interview', 'duration_minutes')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Interviewers
+                        </label>
+                        <input
+                          type="text"
+                          value={interviewForm.interviewers}
+                          onChange={(e) => setInterviewForm({...interviewForm, interviewers: e.target.value})}
+                          placeholder="e.g., Jane Doe (EM), John Smith"
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('interview', 'interviewers')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Location or Meeting Link
+                        </label>
+                        <input
+                          type="text"
+                          value={interviewForm.location}
+                          onChange={(e) => setInterviewForm({...interviewForm, location: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('interview', 'location')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Rating
+                        </label>
+                        <select
+                          value={interviewForm.rating}
+                          onChange={(e) => setInterviewForm({...interviewForm, rating: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Not rated</option>
+                          {[1, 2, 3, 4, 5].map(value => (
+                            <option key={value} value={value}>{value}/5</option>
+                          ))}
+                        </select>
+                        {renderFieldError('interview', 'rating')}
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Prep Notes
+                      </label>
+                      <textarea
+                        value={interviewForm.prep_notes}
+                        onChange={(e) => setInterviewForm({...interviewForm, prep_notes: e.target.value})}
+                        rows={2}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('interview', 'prep_notes')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Feedback
+                      </label>
+                      <textarea
+                        value={interviewForm.feedback}
+                        onChange={(e) => setInterviewForm({...interviewForm, feedback: e.target.value})}
+                        rows={2}
+                        placeholder="How did it go?"
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('interview', 'feedback')}
+                    </div>
+
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        onClick={handleInterviewSubmit}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2 text-sm"
+                      >
+                        <Save size={14} />
+                        {editingInterviewId === 'new' ? 'Add Interview' : 'Update Interview'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditingInterviewId(null)}
+                        className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 text-sm"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {currentView === 'edit' && selectedJob && (
+              <div className="mt-8 border-t pt-6">
+                <h3 className="text-lg font-semibold mb-4">Documents</h3>
+
+                {jobDocuments.length === 0 && (
+                  <p className="text-sm text-gray-500 mb-3">No resume or cover letter attached to this application yet.</p>
+                )}
+
+                <div className="space-y-2">
+                  {jobDocuments.map(doc => (
+                    <div key={doc.id} className="flex flex-wrap items-center gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                      <Paperclip size={14} className="text-gray-500" />
+                      <button
+                        type="button"
+                        onClick={() => downloadDocument(doc)}
+                        className="font-medium text-gray-900 hover:text-pink-700 hover:underline"
+                      >
+                        {doc.name}
+                      </button>
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-pink-100 text-pink-800">
+                        {documentKindLabel(doc.kind)}
+                      </span>
+                      <span className="ml-auto text-gray-500">{formatFileSize(doc.size_bytes)}</span>
+                      <button
+                        type="button"
+                        onClick={() => detachDocument(doc.id)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Detach document"
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                {documents.some(doc => !jobDocuments.some(attached => attached.id === doc.id)) && (
+                  <div className="mt-3">
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && attachDocument(e.target.value)}
+                      className="px-2 py-1 border rounded-lg text-sm"
+                    >
+                      <option value="">Attach from library...</option>
+                      {documents.filter(doc => !jobDocuments.some(attached => attached.id === doc.id)).map(doc => (
+                        <option key={doc.id} value={doc.id}>
+                          {doc.name} ({documentKindLabel(doc.kind)})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {renderFormMessage('jobDocuments')}
+
+                <div className="mt-3">
+                  {renderDocumentUpload(selectedJob.id)}
+                  {renderFormMessage('documentUpload')}
+                </div>
+              </div>
+            )}
+
+            {currentView === 'edit' && selectedJob && (
+              <div className="mt-8 border-t pt-6">
+                <h3 className="text-lg font-semibold mb-4">Contacts</h3>
+                {renderFormMessage('jobContacts')}
+
+                {jobContacts.length === 0 && (
+                  <p className="text-sm text-gray-500 mb-3">No contacts linked to this application yet.</p>
+                )}
+
+                <div className="space-y-2">
+                  {jobContacts.map(contact => (
+                    <div key={contact.id} className="flex flex-wrap items-center gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                      <span className="font-medium text-gray-900">{contact.name}</span>
+                      {contact.email && <span className="text-gray-600">{contact.email}</span>}
+                      <select
+                        value={contact.role}
+                        onChange={(e) => linkJobContact(contact.id, e.target.value)}
+                        className="ml-auto px-2 py-1 border rounded-lg text-sm"
+                      >
+                        {contactRoleOptions.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => handleJobContactUnlink(contact.id)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Unlink contact"
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="mt-3 flex flex-wrap items-end gap-2">
+                  <select
+                    value={contactLinkForm.contact_id}
+                    onChange={(e) => setContactLinkForm({...contactLinkForm, contact_id: e.target.value})}
+                    className="px-2 py-1 border rounded-lg text-sm"
+                  >
+                    <option value="">Link a contact...</option>
+                    <option value="new">+ New contact</option>
+                    {contacts.filter(contact => !jobContacts.some(linked => linked.id === contact.id)).map(contact => (
+                      <option key={contact.id} value={contact.id}>
+                        {contact.name}{contact.company_name ? ` (${contact.company_name})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                  {contactLinkForm.contact_id === 'new' && (
+                    <>
+                      <input
+                        type="text"
+                        placeholder="Name"
+                        value={contactLinkForm.name}
+                        onChange={(e) => setContactLinkForm({...contactLinkForm, name: e.target.value})}
+                        className="px-2 py-1 border rounded-lg text-sm"
+                      />
+                      <input
+                        type="email"
+                        placeholder="Email"
+                        value={contactLinkForm.email}
+                        onChange={(e) => setContactLinkForm({...contactLinkForm, email: e.target.value})}
+                        className="px-2 py-1 border rounded-lg text-sm"
+                      />
+                    </>
+                  )}
+                  <select
+                    value={contactLinkForm.role}
+                    onChange={(e) => setContactLinkForm({...contactLinkForm, role: e.target.value})}
+                    className="px-2 py-1 border rounded-lg text-sm"
+                  >
+                    {contactRoleOptions.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={handleJobContactAdd}
+                    disabled={!contactLinkForm.contact_id}
+                    className="px-3 py-1 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 text-sm flex items-center gap-1 disabled:opacity-50"
+                  >
+                    <Plus size={14} />
+                    Link
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {currentView === 'edit' && selectedJob && (
+              <div className="mt-8 border-t pt-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold">Offers</h3>
+                  {editingOfferId === null && (
+                    <button
+                      type="button"
+                      onClick={() => startOfferEdit(null)}
+                      className="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center gap-1 text-sm"
+                    >
+                      <Plus size={14} />
+                      Add Offer
+                    </button>
+                  )}
+                </div>
+                {renderFormMessage('offer')}
+                {renderFormMessage('negotiation')}
+
+                {offers.length === 0 && editingOfferId === null && (
+                  <p className="text-sm text-gray-500">No offer recorded for this application yet.</p>
+                )}
+
+                <div className="space-y-3">
+                  {offers.map((offer) => (
+                    editingOfferId === offer.id ? null : (
+                      <div key={offer.id} className="p-4 bg-gray-50 rounded-lg">
+                        <div className="flex justify-between items-start gap-2">
+                          {renderOfferSummary(offer, true)}
+                          <div className="flex gap-1">
+                            <button
+                              type="button"
+                              onClick={() => startOfferEdit(offer)}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                              title="Edit offer"
+                            >
+                              <Edit2 size={14} />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleOfferDelete(offer.id)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                              title="Delete offer"
+                            >
+                              <Trash2 size={14} />
+                            </button>
+                          </div>
+                        </div>
+
+                        {negotiatingOfferId === offer.id ? (
+                          <>
+                            <div className="mt-3 flex flex-wrap items-end gap-2">
+                              <select
+                                value={negotiationForm.kind}
+                                onChange={(e) => setNegotiationForm({...negotiationForm, kind: e.target.value})}
+                                className="px-2 py-1 border rounded-lg text-sm"
+                              >
+                                {negotiationKindOptions.map(option => (
+                                  <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                              </select>
+                              <input
+                                type="number"
+                                min="0"
+                                placeholder="Amount"
+                                value={negotiationForm.amount}
+                                onChange={(e) => setNegotiationForm({...negotiationForm, amount: e.target.value})}
+                                className="w-32 px-2 py-1 border rounded-lg text-sm"
+                              />
+                              <input
+                                type="text"
+                                placeholder="Note"
+                                value={negotiationForm.note}
+                                onChange={(e) => setNegotiationForm({...negotiationForm, note: e.target.value})}
+                                className="flex-1 min-w-[10rem] px-2 py-1 border rounded-lg text-sm"
+                              />
+                              <input
+                                type="date"
+                                value={negotiationForm.occurred_on}
+                                onChange={(e) => setNegotiationForm({...negotiationForm, occurred_on: e.target.value})}
+                                className="px-2 py-1 border rounded-lg text-sm"
+                              />
+                              <button
+                                type="button"
+                                onClick={() => handleNegotiationAdd(offer.id)}
+                                className="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+                              >
+                                Add
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => setNegotiatingOfferId(null)}
+                                className="px-3 py-1 bg-gray-500 text-white rounded-lg hover:bg-gray-600 text-sm"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                            {renderFieldError('negotiation', 'amount')}
+                            {renderFieldError('negotiation', 'occurred_on')}
+                          </>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => { setNegotiatingOfferId(offer.id); setNegotiationForm(emptyNegotiationForm); clearFieldErrors('negotiation'); }}
+                            className="mt-3 text-sm text-blue-600 hover:underline"
+                          >
+                            + Log negotiation step
+                          </button>
+                        )}
+                      </div>
+                    )
+                  ))}
+                </div>
+
+                {editingOfferId !== null && (
+                  <div className="mt-4 p-4 border rounded-lg space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Status
+                        </label>
+                        <select
+                          value={offerForm.status}
+                          onChange={(e) => setOfferForm({...offerForm, status: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {offerStatusOptions.map(option => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
+                        {renderFieldError('offer', 'status')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Currency
+                        </label>
+                        <input
+                          type="text"
+                          maxLength="3"
+                          value={offerForm.currency}
+                          onChange={(e) => setOfferForm({...offerForm, currency: e.target.value.toUpperCase()})}
+                          placeholder="USD"
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'currency')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Base Salary
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={offerForm.base_salary}
+                          onChange={(e) => setOfferForm({...offerForm, base_salary: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'base_salary')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Bonus (fixed amount)
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={offerForm.bonus_amount}
+                          onChange={(e) => setOfferForm({...offerForm, bonus_amount: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'bonus_amount')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Bonus (% of base)
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={offerForm.bonus_percent}
+                          onChange={(e) => setOfferForm({...offerForm, bonus_percent: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'bonus_percent')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Sign-on Bonus
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={offerForm.sign_on_bonus}
+                          onChange={(e) => setOfferForm({...offerForm, sign_on_bonus: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'sign_on_bonus')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Equity Grant Value
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={offerForm.equity_value}
+                          onChange={(e) => setOfferForm({...offerForm, equity_value: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'equity_value')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Vesting (years)
+                        </label>
+                        <input
+                          type="number"
+                          min="0.5"
+                          step="0.5"
+                          value={offerForm.equity_vesting_years}
+                          onChange={(e) => setOfferForm({...offerForm, equity_vesting_years: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'equity_vesting_years')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Cliff (months)
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={offerForm.equity_cliff_months}
+                          onChange={(e) => setOfferForm({...offerForm, equity_cliff_months: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'equity_cliff_months')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          PTO (days)
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={offerForm.pto_days}
+                          onChange={(e) => setOfferForm({...offerForm, pto_days: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'pto_days')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Start Date
+                        </label>
+                        <input
+                          type="date"
+                          value={offerForm.start_date}
+                          onChange={(e) => setOfferForm({...offerForm, start_date: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'start_date')}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Decision Deadline
+                        </label>
+                        <input
+                          type="date"
+                          value={offerForm.decision_deadline}
+                          onChange={(e) => setOfferForm({...offerForm, decision_deadline: e.target.value})}
+                          className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        {renderFieldError('offer', 'decision_deadline')}
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Equity Details
+                      </label>
+                      <input
+                        type="text"
+                        value={offerForm.equity_details}
+                        onChange={(e) => setOfferForm({...offerForm, equity_details: e.target.value})}
+                        placeholder="e.g., 4,000 RSUs, monthly vesting after the cliff"
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('offer', 'equity_details')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Benefits
+                      </label>
+                      <textarea
+                        value={offerForm.benefits}
+                        onChange={(e) => setOfferForm({...offerForm, benefits: e.target.value})}
+                        rows={2}
+                        placeholder="Health, 401(k) match, remote stipend..."
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('offer', 'benefits')}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Notes
+                      </label>
+                      <textarea
+                        value={offerForm.notes}
+                        onChange={(e) => setOfferForm({...offerForm, notes: e.target.value})}
+                        rows={2}
+                        className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {renderFieldError('offer', 'notes')}
+                    </div>
+
+                    <div className="flex gap-2">
+                      <button
+                        type="button"
+                        onClick={handleOfferSubmit}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2 text-sm"
+                      >
+                        <Save size={14} />
+                        {editingOfferId === 'new' ? 'Add Offer' : 'Update Offer'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEditingOfferId(null)}
+                        className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 text-sm"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>